@@ -3,29 +3,233 @@
  * A storage system similar to React Native's AsyncStorage
  */
 
+import {
+  MemoryStorageBackend,
+  LocalStorageBackend,
+  IndexedDBStorageBackend,
+  AsyncStorageInstance,
+  StorageTransaction,
+  BudgetedStorageBackend,
+  measureBackend
+} from './storage';
+import { parseJSONValue, serializeJSONValue } from './storage/jsonValues';
+
+// Start of every stored key
+const STORAGE_PREFIX = '@ReactiveChmlsh';
+
 // Prefix for all keys to avoid conflicts
-const KEY_PREFIX = '@ReactiveChmlsh:';
+const KEY_PREFIX = `${STORAGE_PREFIX}:`;
+
+// Prefix of the keys of storage instances, outside of the AsyncStorage keys
+const INSTANCE_PREFIX = `${STORAGE_PREFIX}#`;
+
+// Prefixes of the keys counted in the usage and the budget
+const COUNTED_PREFIXES = [KEY_PREFIX, INSTANCE_PREFIX];
+
+// Built-in backends by name
+const BACKENDS = {
+  localStorage: LocalStorageBackend,
+  indexedDB: IndexedDBStorageBackend,
+  memory: MemoryStorageBackend,
+};
+
+/**
+ * Get the stored key of an AsyncStorage key
+ * @param {string} key - Key
+ * @returns {string} Stored key
+ * @private
+ */
+function toStoredKey(key) {
+  return `${KEY_PREFIX}${key}`;
+}
+
+/**
+ * Get the key a stored item is reported under in the usage and to the eviction policy
+ * AsyncStorage keys are reported without the prefix, items of storage instances
+ * by their stored key.
+ * @param {string} storedKey - Stored key
+ * @returns {string} Reported key
+ * @private
+ */
+function toReportedKey(storedKey) {
+  return storedKey.startsWith(KEY_PREFIX) ? storedKey.substring(KEY_PREFIX.length) : storedKey;
+}
+
+/**
+ * Get the stored key of a reported key
+ * @param {string} key - Reported key
+ * @returns {string} Stored key
+ * @private
+ */
+function fromReportedKey(key) {
+  return key.startsWith(INSTANCE_PREFIX) ? key : toStoredKey(key);
+}
 
 /**
  * AsyncStorage class for storing data
+ * Values are kept by a backend: localStorage when available and memory
+ * otherwise, unless another one is configured. Failed operations reject.
  */
 class AsyncStorage {
+  static _backend = null;
+  static _budgetedBackend = null;
+  static _budget = null;
+  static _evictionPolicy = null;
+  static _transactionQueue = Promise.resolve();
+  static _activeTransaction = null;
+  static _listeners = {
+    budgetExceeded: [],
+  };
+
+  /**
+   * Configure the storage backend and budget
+   * Values stored by the previous backend are not moved to the new one.
+   * Options that are not given keep their current value.
+   * The eviction policy may remove items itself or return the keys to remove.
+   * @param {Object} options - Storage options
+   * @param {string|Object} options.backend - 'localStorage', 'indexedDB', 'memory', or an object with getItem, setItem, removeItem, getAllKeys, multiGet, multiSet, multiRemove and writeBatch
+   * @param {number|null} options.budget - Maximum bytes of stored items, null for no budget
+   * @param {Function|null} options.evictionPolicy - Async function ({ keys, usage, requiredBytes, budget }) returning keys to remove when a write would exceed the budget
+   */
+  static configure(options = {}) {
+    if ('backend' in options) {
+      AsyncStorage._backend = AsyncStorage._createBackend(options.backend);
+    }
+    
+    if ('budget' in options) {
+      AsyncStorage._budget = options.budget;
+    }
+    
+    if ('evictionPolicy' in options) {
+      AsyncStorage._evictionPolicy = options.evictionPolicy;
+    }
+    
+    AsyncStorage._budgetedBackend = null;
+  }
+
+  /**
+   * Get the storage backend
+   * With a budget, the backend is wrapped to check writes against it.
+   * @returns {Object} Backend
+   */
+  static getBackend() {
+    if (!AsyncStorage._backend) {
+      AsyncStorage._backend = LocalStorageBackend.isAvailable()
+        ? new LocalStorageBackend()
+        : new MemoryStorageBackend();
+    }
+    
+    if (!AsyncStorage._budget) {
+      return AsyncStorage._backend;
+    }
+    
+    if (!AsyncStorage._budgetedBackend) {
+      const evictionPolicy = AsyncStorage._evictionPolicy;
+      const report = info => ({ ...info, keys: info.keys.map(toReportedKey) });
+      
+      AsyncStorage._budgetedBackend = new BudgetedStorageBackend(AsyncStorage._backend, {
+        budget: AsyncStorage._budget,
+        prefixes: COUNTED_PREFIXES,
+        evictionPolicy: evictionPolicy && (async info => (
+          ((await evictionPolicy(report(info))) || []).map(fromReportedKey)
+        )),
+        onExceeded: info => AsyncStorage._notifyListeners('budgetExceeded', report(info)),
+      });
+    }
+    
+    return AsyncStorage._budgetedBackend;
+  }
+
+  /**
+   * Get how much storage is used
+   * Item sizes count two bytes per character of key and value. Namespaces are
+   * the part of the keys before the first ':', '' for keys without one. Items of
+   * storage instances are listed by their stored key, e.g. '@ReactiveChmlsh#cart:items'
+   * in namespace 'cart'.
+   * @returns {Promise<Object>} Usage with totalBytes, budget, keys and namespaces (bytes by key and by namespace), and estimate ({ usage, quota } of the whole origin as reported by the browser, or null)
+   */
+  static async getUsage() {
+    const backend = AsyncStorage.getBackend();
+    const sizes = backend instanceof BudgetedStorageBackend
+      ? await backend.refreshSizes()
+      : await measureBackend(backend, COUNTED_PREFIXES);
+    
+    const keys = {};
+    const namespaces = {};
+    let totalBytes = 0;
+    
+    sizes.forEach((size, storedKey) => {
+      const key = toReportedKey(storedKey);
+      const start = storedKey.startsWith(INSTANCE_PREFIX) ? INSTANCE_PREFIX.length : 0;
+      const separator = key.indexOf(':', start);
+      const namespace = separator === -1 ? '' : key.substring(start, separator);
+      
+      keys[key] = size;
+      namespaces[namespace] = (namespaces[namespace] || 0) + size;
+      totalBytes += size;
+    });
+    
+    let estimate = null;
+    
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      try {
+        const { usage, quota } = await navigator.storage.estimate();
+        estimate = { usage, quota };
+      } catch (error) {
+        // Some browsers reject in private browsing
+      }
+    }
+    
+    return {
+      totalBytes,
+      budget: AsyncStorage._budget,
+      keys,
+      namespaces,
+      estimate,
+    };
+  }
+
+  /**
+   * Add storage listener
+   * 'budgetExceeded' is called with { keys, usage, requiredBytes, budget }
+   * before a write would exceed the budget, and before the eviction policy runs.
+   * @param {string} event - 'budgetExceeded'
+   * @param {Function} listener - Listener function
+   * @returns {Function} Unsubscribe function
+   */
+  static addListener(event, listener) {
+    if (!AsyncStorage._listeners[event]) {
+      console.warn(`Invalid event: ${event}`);
+      return () => {};
+    }
+    
+    AsyncStorage._listeners[event].push(listener);
+    
+    return () => {
+      AsyncStorage._listeners[event] = AsyncStorage._listeners[event].filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Create a storage instance with its own namespace
+   * Its keys do not collide with other namespaces and its clear() only removes
+   * its own items. Instances use the configured backend.
+   * @param {Object} options - Instance options
+   * @param {string} options.namespace - Namespace of the keys, without ':'
+   * @param {number|null} options.defaultTTL - Milliseconds before values expire, null to keep them
+   * @returns {AsyncStorageInstance} Storage instance
+   */
+  static createInstance(options) {
+    return new AsyncStorageInstance(options, () => AsyncStorage.getBackend());
+  }
+
   /**
    * Get an item from storage
    * @param {string} key - Key to get
    * @returns {Promise<string|null>} Stored value or null if not found
    */
   static async getItem(key) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return null;
-      }
-      
-      return localStorage.getItem(`${KEY_PREFIX}${key}`);
-    } catch (error) {
-      console.error('AsyncStorage getItem error:', error);
-      return null;
-    }
+    return AsyncStorage.getBackend().getItem(toStoredKey(key));
   }
 
   /**
@@ -35,15 +239,7 @@ class AsyncStorage {
    * @returns {Promise<void>}
    */
   static async setItem(key, value) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return;
-      }
-      
-      return localStorage.setItem(`${KEY_PREFIX}${key}`, value);
-    } catch (error) {
-      console.error('AsyncStorage setItem error:', error);
-    }
+    await AsyncStorage.getBackend().setItem(toStoredKey(key), value);
   }
 
   /**
@@ -52,59 +248,31 @@ class AsyncStorage {
    * @returns {Promise<void>}
    */
   static async removeItem(key) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return;
-      }
-      
-      return localStorage.removeItem(`${KEY_PREFIX}${key}`);
-    } catch (error) {
-      console.error('AsyncStorage removeItem error:', error);
-    }
+    await AsyncStorage.getBackend().removeItem(toStoredKey(key));
   }
 
   /**
    * Get all keys in storage
+   * Keys of storage instances are listed by their instance.
    * @returns {Promise<string[]>} Array of keys
    */
   static async getAllKeys() {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return [];
-      }
-      
-      const keys = [];
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith(KEY_PREFIX)) {
-          keys.push(key.substring(KEY_PREFIX.length));
-        }
-      }
-      
-      return keys;
-    } catch (error) {
-      console.error('AsyncStorage getAllKeys error:', error);
-      return [];
-    }
+    const keys = await AsyncStorage.getBackend().getAllKeys();
+    
+    return keys
+      .filter(key => key.startsWith(KEY_PREFIX))
+      .map(key => key.substring(KEY_PREFIX.length));
   }
 
   /**
-   * Clear all storage
+   * Clear all storage, including the items of storage instances
    * @returns {Promise<void>}
    */
   static async clear() {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return;
-      }
-      
-      const keys = await this.getAllKeys();
-      for (const key of keys) {
-        await this.removeItem(key);
-      }
-    } catch (error) {
-      console.error('AsyncStorage clear error:', error);
-    }
+    const keys = await AsyncStorage.getBackend().getAllKeys();
+    await AsyncStorage.getBackend().multiRemove(
+      keys.filter(key => COUNTED_PREFIXES.some(prefix => key.startsWith(prefix)))
+    );
   }
 
   /**
@@ -113,42 +281,19 @@ class AsyncStorage {
    * @returns {Promise<Array<Array<string|null>>>} Array of [key, value] pairs
    */
   static async multiGet(keys) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return keys.map(key => [key, null]);
-      }
-      
-      return Promise.all(
-        keys.map(async key => {
-          const value = await this.getItem(key);
-          return [key, value];
-        })
-      );
-    } catch (error) {
-      console.error('AsyncStorage multiGet error:', error);
-      return keys.map(key => [key, null]);
-    }
+    const values = await AsyncStorage.getBackend().multiGet(keys.map(toStoredKey));
+    return keys.map((key, index) => [key, values[index]]);
   }
 
   /**
-   * Set multiple items in storage
+   * Set multiple items in storage, all or nothing
    * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs
    * @returns {Promise<void>}
    */
   static async multiSet(keyValuePairs) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return;
-      }
-      
-      await Promise.all(
-        keyValuePairs.map(async ([key, value]) => {
-          await this.setItem(key, value);
-        })
-      );
-    } catch (error) {
-      console.error('AsyncStorage multiSet error:', error);
-    }
+    await AsyncStorage.getBackend().multiSet(
+      keyValuePairs.map(([key, value]) => [toStoredKey(key), value])
+    );
   }
 
   /**
@@ -157,19 +302,7 @@ class AsyncStorage {
    * @returns {Promise<void>}
    */
   static async multiRemove(keys) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return;
-      }
-      
-      await Promise.all(
-        keys.map(async key => {
-          await this.removeItem(key);
-        })
-      );
-    } catch (error) {
-      console.error('AsyncStorage multiRemove error:', error);
-    }
+    await AsyncStorage.getBackend().multiRemove(keys.map(toStoredKey));
   }
 
   /**
@@ -179,31 +312,127 @@ class AsyncStorage {
    * @returns {Promise<void>}
    */
   static async mergeItem(key, value) {
-    try {
-      if (typeof localStorage === 'undefined') {
-        return;
+    const existingValue = await this.getItem(key);
+    
+    if (existingValue) {
+      try {
+        const existingObject = JSON.parse(existingValue);
+        const valueObject = JSON.parse(value);
+        
+        const mergedObject = { ...existingObject, ...valueObject };
+        await this.setItem(key, JSON.stringify(mergedObject));
+      } catch (parseError) {
+        // If not JSON, just overwrite
+        await this.setItem(key, value);
       }
+    } else {
+      await this.setItem(key, value);
+    }
+  }
+
+  /**
+   * Get a JSON item from storage
+   * @param {string} key - Key to get
+   * @param {Object} options - Options
+   * @param {Function|Object} options.schema - Validator function returning an error message, or object with a parse method
+   * @returns {Promise<any>} Parsed value or null if not found; rejects when it is not valid JSON or does not match the schema
+   */
+  static async getJSON(key, options = {}) {
+    return parseJSONValue(key, await this.getItem(key), options.schema);
+  }
+
+  /**
+   * Set a JSON item in storage
+   * @param {string} key - Key to set
+   * @param {any} value - Value to store
+   * @param {Object} options - Options
+   * @param {Function|Object} options.schema - Validator function returning an error message, or object with a parse method
+   * @returns {Promise<void>} Rejects without writing when the value does not match the schema
+   */
+  static async setJSON(key, value, options = {}) {
+    await this.setItem(key, serializeJSONValue(key, value, options.schema));
+  }
+
+  /**
+   * Run a transaction
+   * The callback reads and writes through the transaction object, which has
+   * getItem, setItem, removeItem, mergeItem, getJSON and setJSON. Its writes
+   * are stored together once the callback resolves, and dropped if it throws.
+   * Transactions run one at a time, so read-modify-write in a transaction is
+   * not interleaved with other transactions of this page. Starting a transaction
+   * while the callback of another one runs rejects with a NestedTransactionError.
+   * @param {Function} callback - Async function (tx) => result
+   * @returns {Promise<any>} Result of the callback
+   */
+  static transaction(callback) {
+    // Queued behind the running callback, it would deadlock if that callback waits for it
+    if (AsyncStorage._activeTransaction) {
+      return Promise.reject(StorageTransaction.nestedError());
+    }
+    
+    const run = AsyncStorage._transactionQueue.then(async () => {
+      const tx = new StorageTransaction(AsyncStorage.getBackend(), {
+        prefix: KEY_PREFIX,
+      });
       
-      const existingValue = await this.getItem(key);
+      AsyncStorage._activeTransaction = tx;
       
-      if (existingValue) {
-        try {
-          const existingObject = JSON.parse(existingValue);
-          const valueObject = JSON.parse(value);
-          
-          const mergedObject = { ...existingObject, ...valueObject };
-          await this.setItem(key, JSON.stringify(mergedObject));
-        } catch (parseError) {
-          // If not JSON, just overwrite
-          await this.setItem(key, value);
-        }
-      } else {
-        await this.setItem(key, value);
+      try {
+        const result = await callback(tx);
+        await tx._commit();
+        return result;
+      } catch (error) {
+        tx._abort();
+        throw error;
+      } finally {
+        AsyncStorage._activeTransaction = null;
       }
-    } catch (error) {
-      console.error('AsyncStorage mergeItem error:', error);
+    });
+    
+    AsyncStorage._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Create a backend from configure()
+   * @param {string|Object} backend - Backend name or object
+   * @returns {Object|null} Backend, or null to use the default one
+   * @private
+   */
+  static _createBackend(backend) {
+    if (typeof backend !== 'string') {
+      return backend || null;
+    }
+    
+    const Backend = BACKENDS[backend];
+    
+    if (!Backend) {
+      throw new Error(`Unknown AsyncStorage backend: ${backend}`);
     }
+    
+    if (!Backend.isAvailable()) {
+      console.warn(`AsyncStorage backend ${backend} is not supported in this environment, using memory`);
+      return new MemoryStorageBackend();
+    }
+    
+    return new Backend();
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  static _notifyListeners(event, data) {
+    AsyncStorage._listeners[event].forEach((listener) => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error in AsyncStorage ${event} listener:`, error);
+      }
+    });
   }
 }
 
-export { AsyncStorage };
+export { AsyncStorage, KEY_PREFIX, INSTANCE_PREFIX };
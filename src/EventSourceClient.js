@@ -0,0 +1,476 @@
+/**
+ * EventSourceClient utility for Reactive chmlsh
+ * A Server-Sent Events client over fetch streams, with custom headers and auto-reconnect
+ */
+
+// Events of the client itself, every other name is a named server event
+const CLIENT_EVENTS = ['open', 'error', 'reconnect', 'stateChange'];
+
+/**
+ * Create a parser for the text/event-stream format
+ * @param {Function} onEvent - Function called with { type, data, lastEventId } for each event
+ * @param {Function} onRetry - Function called with the reconnection time sent by the server
+ * @param {string} initialLastEventId - Last event ID before this stream
+ * @returns {Function} Function feeding decoded text to the parser
+ * @private
+ */
+function createEventStreamParser(onEvent, onRetry, initialLastEventId) {
+  let buffer = '';
+  let skipLineFeed = false;
+  let eventType = '';
+  let data = '';
+  let lastEventId = initialLastEventId;
+  
+  const processLine = (line) => {
+    // An empty line dispatches the event
+    if (line === '') {
+      if (data !== '') {
+        onEvent({
+          type: eventType || 'message',
+          data: data.slice(0, -1),
+          lastEventId,
+        });
+      }
+      
+      eventType = '';
+      data = '';
+      return;
+    }
+    
+    // Lines starting with a colon are comments, often sent as keep-alives
+    if (line.charAt(0) === ':') {
+      return;
+    }
+    
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    
+    if (value.charAt(0) === ' ') {
+      value = value.slice(1);
+    }
+    
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        data += `${value}\n`;
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          onRetry(parseInt(value, 10));
+        }
+        break;
+      default:
+        break;
+    }
+  };
+  
+  return (text) => {
+    let chunk = text;
+    
+    // A CRLF pair may be split across chunks
+    if (skipLineFeed && chunk.charAt(0) === '\n') {
+      chunk = chunk.slice(1);
+    }
+    
+    skipLineFeed = chunk.charAt(chunk.length - 1) === '\r';
+    
+    const lines = `${buffer}${chunk}`.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.forEach(processLine);
+  };
+}
+
+/**
+ * EventSourceClient class for Server-Sent Events
+ * Unlike the native EventSource it can send headers, e.g. for authentication.
+ */
+class EventSourceClient {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 2;
+
+  /**
+   * Create a client
+   * @param {string} url - Stream URL
+   * @param {Object} options - Client options
+   * @param {Object|Function} options.headers - Request headers, or function returning them (or a promise) before each connection
+   * @param {string} options.method - HTTP method
+   * @param {any} options.body - Request body
+   * @param {boolean} options.withCredentials - Whether to send cookies to other origins
+   * @param {string} options.lastEventId - ID to resume from on the first connection
+   * @param {boolean} options.autoConnect - Whether to connect right away
+   * @param {boolean} options.reconnect - Whether to reconnect after the stream ends or fails
+   * @param {number} options.minReconnectDelay - First reconnect delay in milliseconds, replaced by the server's retry field
+   * @param {number} options.maxReconnectDelay - Maximum reconnect delay in milliseconds
+   * @param {number} options.reconnectFactor - Multiplier applied to the delay after each attempt
+   * @param {number} options.maxReconnectAttempts - Attempts before giving up
+   * @param {number} options.idleTimeout - Milliseconds without data, comments included, before reconnecting, 0 to disable
+   * @param {boolean} options.json - Whether to parse event data as JSON
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.options = {
+      headers: {},
+      method: 'GET',
+      body: undefined,
+      withCredentials: false,
+      lastEventId: null,
+      autoConnect: true,
+      reconnect: true,
+      minReconnectDelay: 1000,
+      maxReconnectDelay: 30000,
+      reconnectFactor: 2,
+      maxReconnectAttempts: Infinity,
+      idleTimeout: 0,
+      json: false,
+      fetch: typeof fetch !== 'undefined' ? fetch : undefined,
+      ...options,
+    };
+    
+    this.readyState = EventSourceClient.CLOSED;
+    this.lastEventId = this.options.lastEventId;
+    this._controller = null;
+    this._reconnectDelay = this.options.minReconnectDelay;
+    this._reconnectAttempts = 0;
+    this._reconnectTimeout = null;
+    this._idleTimeout = null;
+    this._listeners = {
+      open: [],
+      error: [],
+      reconnect: [],
+      stateChange: [],
+      message: [],
+    };
+    
+    if (this.options.autoConnect) {
+      this.connect();
+    }
+  }
+
+  /**
+   * Open the stream
+   */
+  connect() {
+    if (this._controller) {
+      return;
+    }
+    
+    const fetchImpl = this.options.fetch;
+    
+    if (!fetchImpl || typeof AbortController === 'undefined') {
+      console.warn('EventSourceClient is not supported in this environment');
+      return;
+    }
+    
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+    
+    const controller = new AbortController();
+    this._controller = controller;
+    this._setReadyState(EventSourceClient.CONNECTING);
+    
+    this._stream(controller).catch((error) => {
+      // Errors of a stream that was already replaced or closed are ignored
+      if (controller !== this._controller) {
+        return;
+      }
+      
+      this._controller = null;
+      this._clearIdleTimeout();
+      this._notifyListeners('error', error);
+      
+      if (error.fatal) {
+        this._setReadyState(EventSourceClient.CLOSED);
+      } else {
+        this._scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Close the stream without reconnecting
+   */
+  close() {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+    this._clearIdleTimeout();
+    
+    if (this._controller) {
+      const controller = this._controller;
+      this._controller = null;
+      controller.abort();
+    }
+    
+    this._setReadyState(EventSourceClient.CLOSED);
+  }
+
+  /**
+   * Add client listener
+   * @param {string} event - 'open', 'error', 'reconnect', 'stateChange', 'message' or the name of a server event
+   * @param {Function} listener - Listener function, called with { type, data, lastEventId } for server events
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(event, listener) {
+    if (!this._listeners[event]) {
+      this._listeners[event] = [];
+    }
+    
+    this._listeners[event].push(listener);
+    
+    return () => {
+      this._listeners[event] = this._listeners[event].filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Request the stream and read it until it ends
+   * Rejects with `fatal` set when reconnecting would not help.
+   * @param {AbortController} controller - Controller of this connection
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _stream(controller) {
+    const {
+      method,
+      body,
+      withCredentials,
+      fetch: fetchImpl,
+    } = this.options;
+    
+    const headers = {
+      'Accept': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...(typeof this.options.headers === 'function'
+        ? await this.options.headers()
+        : this.options.headers),
+    };
+    
+    // Lets the server resume the stream after the last event we received
+    if (this.lastEventId) {
+      headers['Last-Event-ID'] = this.lastEventId;
+    }
+    
+    const response = await fetchImpl(this.url, {
+      method,
+      headers,
+      body,
+      credentials: withCredentials ? 'include' : 'same-origin',
+      signal: controller.signal,
+    });
+    
+    if (controller !== this._controller) {
+      return;
+    }
+    
+    this._checkResponse(response);
+    
+    this._reconnectAttempts = 0;
+    this._setReadyState(EventSourceClient.OPEN);
+    this._notifyListeners('open', response);
+    this._resetIdleTimeout(controller);
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const feed = createEventStreamParser(
+      event => this._dispatchEvent(event),
+      (retry) => {
+        this._reconnectDelay = retry;
+      },
+      this.lastEventId || ''
+    );
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (controller !== this._controller) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+      
+      if (done) {
+        throw new Error('Event stream ended');
+      }
+      
+      this._resetIdleTimeout(controller);
+      feed(decoder.decode(value, { stream: true }));
+    }
+  }
+
+  /**
+   * Check that a response is an event stream
+   * @param {Response} response - Response
+   * @private
+   */
+  _checkResponse(response) {
+    const createError = (message, fatal) => {
+      const error = new Error(message);
+      error.status = response.status;
+      error.fatal = fatal;
+      return error;
+    };
+    
+    // 204 No Content is how servers tell clients to stop reconnecting
+    if (response.status === 204) {
+      throw createError('Event stream closed by the server', true);
+    }
+    
+    if (!response.ok) {
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw createError(`Event stream request failed with status ${response.status}`, !retryable);
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    
+    if (!contentType.includes('text/event-stream')) {
+      throw createError(`Unexpected event stream content type: ${contentType}`, true);
+    }
+    
+    if (!response.body || !response.body.getReader) {
+      throw createError('Streaming responses are not supported in this environment', true);
+    }
+  }
+
+  /**
+   * Notify the listeners of a server event
+   * @param {Object} event - Parsed event
+   * @private
+   */
+  _dispatchEvent(event) {
+    this.lastEventId = event.lastEventId || null;
+    
+    if (CLIENT_EVENTS.includes(event.type)) {
+      console.warn(`Ignoring server event with reserved name: ${event.type}`);
+      return;
+    }
+    
+    if (!this._listeners[event.type]) {
+      return;
+    }
+    
+    let { data } = event;
+    
+    if (this.options.json) {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        console.error('Error parsing event data:', error);
+        return;
+      }
+    }
+    
+    this._notifyListeners(event.type, { ...event, data });
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    const {
+      reconnect,
+      maxReconnectDelay,
+      reconnectFactor,
+      maxReconnectAttempts,
+    } = this.options;
+    
+    if (!reconnect || this._reconnectAttempts >= maxReconnectAttempts) {
+      this._setReadyState(EventSourceClient.CLOSED);
+      return;
+    }
+    
+    const delay = Math.min(
+      maxReconnectDelay,
+      this._reconnectDelay * Math.pow(reconnectFactor, this._reconnectAttempts)
+    );
+    
+    // Jitter keeps clients from reconnecting all at once after a server restart
+    const jitteredDelay = delay / 2 + Math.random() * (delay / 2);
+    
+    this._reconnectAttempts += 1;
+    this._setReadyState(EventSourceClient.CONNECTING);
+    this._notifyListeners('reconnect', {
+      attempt: this._reconnectAttempts,
+      delay: jitteredDelay,
+    });
+    
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      this.connect();
+    }, jitteredDelay);
+  }
+
+  /**
+   * Restart the idle timer
+   * @param {AbortController} controller - Controller of the current connection
+   * @private
+   */
+  _resetIdleTimeout(controller) {
+    const { idleTimeout } = this.options;
+    
+    this._clearIdleTimeout();
+    
+    if (!idleTimeout) {
+      return;
+    }
+    
+    this._idleTimeout = setTimeout(() => {
+      if (controller !== this._controller) {
+        return;
+      }
+      
+      // The connection is dead; abort it and reconnect
+      this._controller = null;
+      controller.abort();
+      this._notifyListeners('error', new Error(`No data received for ${idleTimeout}ms`));
+      this._scheduleReconnect();
+    }, idleTimeout);
+  }
+
+  /**
+   * Stop the idle timer
+   * @private
+   */
+  _clearIdleTimeout() {
+    clearTimeout(this._idleTimeout);
+    this._idleTimeout = null;
+  }
+
+  /**
+   * Update the ready state
+   * @param {number} readyState - Ready state
+   * @private
+   */
+  _setReadyState(readyState) {
+    if (this.readyState !== readyState) {
+      this.readyState = readyState;
+      this._notifyListeners('stateChange', readyState);
+    }
+  }
+
+  /**
+   * Notify listeners
+   * @param {string} event - Event name
+   * @param {any} data - Event data
+   * @private
+   */
+  _notifyListeners(event, data) {
+    this._listeners[event].forEach((listener) => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error in EventSource ${event} listener:`, error);
+      }
+    });
+  }
+}
+
+export { EventSourceClient };
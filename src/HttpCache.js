@@ -0,0 +1,402 @@
+/**
+ * HttpCache utility for Reactive chmlsh
+ * A response cache for Networking.get that follows Cache-Control and validators
+ */
+
+import { AsyncStorage } from './AsyncStorage';
+
+/**
+ * Cache storage keeping entries in memory
+ * The least recently used entries are dropped beyond `maxEntries`.
+ */
+class MemoryCacheStorage {
+  /**
+   * Create a memory storage
+   * @param {Object} options - Storage options
+   * @param {number} options.maxEntries - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    this._entries = new Map();
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(key) {
+    if (!this._entries.has(key)) {
+      return null;
+    }
+    
+    // Move the entry to the end to keep the Map in LRU order
+    const entry = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    
+    return entry;
+  }
+
+  /**
+   * Set an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._entries.clear();
+  }
+}
+
+/**
+ * Cache storage keeping entries in AsyncStorage, so they survive restarts
+ */
+class AsyncStorageCacheStorage {
+  /**
+   * Create an AsyncStorage storage
+   * @param {Object} options - Storage options
+   * @param {string} options.prefix - Prefix of the AsyncStorage keys
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'httpCache:';
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async get(key) {
+    const value = await AsyncStorage.getItem(`${this.prefix}${key}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Set an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await AsyncStorage.setItem(`${this.prefix}${key}`, JSON.stringify(entry));
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await AsyncStorage.removeItem(`${this.prefix}${key}`);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(this.prefix)));
+  }
+}
+
+/**
+ * Get a request header whatever the case of its name
+ * @param {Object} headers - Request headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|null} Header value, or null when missing
+ * @private
+ */
+function getRequestHeader(headers, name) {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return match === undefined ? null : String(headers[match]);
+}
+
+/**
+ * Parse a Cache-Control header
+ * @param {string|null} header - Header value
+ * @returns {Object} Directives with maxAge, staleWhileRevalidate, noStore, noCache and isPublic
+ * @private
+ */
+function parseCacheControl(header) {
+  const directives = {
+    maxAge: null,
+    staleWhileRevalidate: 0,
+    noStore: false,
+    noCache: false,
+    isPublic: false,
+  };
+  
+  if (!header) {
+    return directives;
+  }
+  
+  header.split(',').forEach((part) => {
+    const [name, value] = part.trim().toLowerCase().split('=');
+    const seconds = parseInt(value, 10);
+    
+    switch (name) {
+      case 'max-age':
+        directives.maxAge = Number.isNaN(seconds) ? null : seconds;
+        break;
+      case 'stale-while-revalidate':
+        directives.staleWhileRevalidate = Number.isNaN(seconds) ? 0 : seconds;
+        break;
+      case 'no-store':
+        directives.noStore = true;
+        break;
+      case 'no-cache':
+        directives.noCache = true;
+        break;
+      case 'public':
+        directives.isPublic = true;
+        break;
+      default:
+        break;
+    }
+  });
+  
+  return directives;
+}
+
+/**
+ * HttpCache class for caching GET responses
+ * Pass an instance as the `cache` option of Networking.get, or set it as
+ * `Networking.defaults.cache` to cache every GET request.
+ * An entry is only served to requests with the same values for the headers
+ * named by its Vary header and for Authorization, so responses for one user
+ * are never served to another.
+ */
+class HttpCache {
+  /**
+   * Create a cache
+   * @param {Object} options - Cache options
+   * @param {Object|string} options.storage - 'memory', 'asyncStorage' or an object with get, set, remove and clear
+   * @param {number} options.maxEntries - Maximum number of entries of the memory storage
+   */
+  constructor(options = {}) {
+    const { storage = 'memory', maxEntries } = options;
+    
+    if (storage === 'memory') {
+      this.storage = new MemoryCacheStorage({ maxEntries });
+    } else if (storage === 'asyncStorage') {
+      this.storage = new AsyncStorageCacheStorage();
+    } else {
+      this.storage = storage;
+    }
+    
+    this._revalidations = new Map();
+  }
+
+  /**
+   * Get a cached entry
+   * @param {string} key - Cache key
+   * @param {Object} requestHeaders - Headers of the request the entry would answer
+   * @returns {Promise<Object|null>} Entry or null, also when it was stored for other header values
+   */
+  async get(key, requestHeaders = {}) {
+    const entry = await this.storage.get(key);
+    
+    // Entries stored before Vary was recorded cannot tell whom they were for
+    if (!entry || !entry.vary) {
+      return null;
+    }
+    
+    const matches = Object.keys(entry.vary).every(name => (
+      getRequestHeader(requestHeaders, name) === entry.vary[name]
+    ));
+    
+    return matches ? entry : null;
+  }
+
+  /**
+   * Store a response body
+   * Responses marked no-store, varying on every header (Vary: *), or without
+   * max-age or validators, are not stored. Neither are responses to requests
+   * with an Authorization header, unless they are marked public.
+   * @param {string} key - Cache key
+   * @param {Response} response - Response
+   * @param {string} body - Response body as text
+   * @param {Object} requestHeaders - Headers of the request
+   * @returns {Promise<void>}
+   */
+  async put(key, response, body, requestHeaders = {}) {
+    const cacheControl = parseCacheControl(response.headers.get('cache-control'));
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    const varyNames = (response.headers.get('vary') || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+    const authorization = getRequestHeader(requestHeaders, 'authorization');
+    
+    if (
+      cacheControl.noStore ||
+      varyNames.includes('*') ||
+      (authorization !== null && !cacheControl.isPublic) ||
+      (cacheControl.maxAge === null && !etag && !lastModified)
+    ) {
+      await this.storage.remove(key);
+      return;
+    }
+    
+    const vary = { authorization };
+    
+    varyNames.forEach((name) => {
+      vary[name] = getRequestHeader(requestHeaders, name);
+    });
+    
+    await this.storage.set(key, {
+      body,
+      contentType: response.headers.get('content-type') || '',
+      etag,
+      lastModified,
+      vary,
+      storedAt: Date.now(),
+      ...this._getLifetime(cacheControl),
+    });
+  }
+
+  /**
+   * Mark an entry as fresh again after a 304 Not Modified response
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cached entry
+   * @param {Response} response - 304 response
+   * @returns {Promise<Object>} Updated entry
+   */
+  async refresh(key, entry, response) {
+    const cacheControlHeader = response.headers.get('cache-control');
+    const updated = {
+      ...entry,
+      etag: response.headers.get('etag') || entry.etag,
+      lastModified: response.headers.get('last-modified') || entry.lastModified,
+      storedAt: Date.now(),
+      ...(cacheControlHeader ? this._getLifetime(parseCacheControl(cacheControlHeader)) : {}),
+    };
+    
+    await this.storage.set(key, updated);
+    return updated;
+  }
+
+  /**
+   * Get the freshness of an entry
+   * @param {Object} entry - Cached entry
+   * @returns {string} 'fresh', 'stale' (usable while revalidating) or 'expired'
+   */
+  getFreshness(entry) {
+    const age = (Date.now() - entry.storedAt) / 1000;
+    
+    if (!entry.noCache && age < entry.maxAge) {
+      return 'fresh';
+    }
+    
+    if (!entry.noCache && age < entry.maxAge + entry.staleWhileRevalidate) {
+      return 'stale';
+    }
+    
+    return 'expired';
+  }
+
+  /**
+   * Get the conditional request headers for an entry
+   * @param {Object|null} entry - Cached entry
+   * @returns {Object} Headers with If-None-Match and If-Modified-Since
+   */
+  getValidators(entry) {
+    const headers = {};
+    
+    if (entry && entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    
+    if (entry && entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+    
+    return headers;
+  }
+
+  /**
+   * Run a revalidation once per key and request headers
+   * Requests with other headers get their own revalidation, since the
+   * response may vary on them.
+   * @param {string} key - Cache key
+   * @param {Function} revalidate - Function returning a promise
+   * @param {Object} requestHeaders - Headers of the request
+   * @returns {Promise<any>} Revalidation promise
+   */
+  revalidate(key, revalidate, requestHeaders = {}) {
+    const headers = Object.keys(requestHeaders)
+      .map(name => [name.toLowerCase(), String(requestHeaders[name])])
+      .sort(([a], [b]) => (a < b ? -1 : 1));
+    const revalidationKey = `${key}\n${JSON.stringify(headers)}`;
+    
+    if (!this._revalidations.has(revalidationKey)) {
+      const promise = Promise.resolve()
+        .then(revalidate)
+        .finally(() => {
+          this._revalidations.delete(revalidationKey);
+        });
+      
+      this._revalidations.set(revalidationKey, promise);
+    }
+    
+    return this._revalidations.get(revalidationKey);
+  }
+
+  /**
+   * Remove a cached entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this.storage.remove(key);
+  }
+
+  /**
+   * Remove every cached entry
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.storage.clear();
+  }
+
+  /**
+   * Get the lifetime fields of an entry from Cache-Control directives
+   * @param {Object} cacheControl - Parsed directives
+   * @returns {Object} Object with maxAge, staleWhileRevalidate and noCache
+   * @private
+   */
+  _getLifetime(cacheControl) {
+    return {
+      maxAge: cacheControl.maxAge || 0,
+      staleWhileRevalidate: cacheControl.staleWhileRevalidate,
+      noCache: cacheControl.noCache,
+    };
+  }
+}
+
+export { HttpCache, MemoryCacheStorage, AsyncStorageCacheStorage };
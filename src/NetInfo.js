@@ -0,0 +1,328 @@
+/**
+ * NetInfo utility for Reactive chmlsh
+ * A utility for tracking connectivity, similar to React Native's NetInfo
+ */
+
+// Connection types reported by the Network Information API
+const CONNECTION_TYPES = ['wifi', 'cellular', 'ethernet', 'bluetooth', 'wimax', 'none', 'other'];
+
+/**
+ * Get the Network Information API connection
+ * @returns {Object|null} Connection, or null when the API is not supported
+ * @private
+ */
+function getConnection() {
+  if (typeof navigator === 'undefined') {
+    return null;
+  }
+  
+  return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+}
+
+/**
+ * NetInfo class
+ * `isInternetReachable` is null until a reachability probe has run; without a
+ * `reachabilityUrl` only the device's own view of the connection is known.
+ */
+class NetInfo {
+  static _config = {
+    reachabilityUrl: null,
+    reachabilityMethod: 'HEAD',
+    reachabilityTest: response => response.ok,
+    reachabilityRequestTimeout: 15000,
+    reachabilityLongTimeout: 60000,
+    reachabilityShortTimeout: 5000,
+  };
+  static _state = null;
+  static _reachable = null;
+  static _started = false;
+  static _probe = null;
+  static _probeTimeout = null;
+  static _listeners = [];
+
+  /**
+   * Configure reachability probing
+   * @param {Object} config - NetInfo config
+   * @param {string|null} config.reachabilityUrl - URL to probe, null to disable probing
+   * @param {string} config.reachabilityMethod - HTTP method of the probe
+   * @param {Function} config.reachabilityTest - Function (response) returning whether the internet is reachable
+   * @param {number} config.reachabilityRequestTimeout - Milliseconds before a probe counts as failed
+   * @param {number} config.reachabilityLongTimeout - Milliseconds between probes while reachable
+   * @param {number} config.reachabilityShortTimeout - Milliseconds between probes while unreachable
+   */
+  static configure(config = {}) {
+    NetInfo._config = {
+      ...NetInfo._config,
+      ...config,
+    };
+    NetInfo._reachable = null;
+    clearTimeout(NetInfo._probeTimeout);
+    NetInfo._update();
+    
+    if (NetInfo._listeners.length > 0) {
+      NetInfo.refresh();
+    }
+  }
+
+  /**
+   * Get the current state without probing
+   * @returns {Object} State with type, isConnected, isInternetReachable and details
+   */
+  static getState() {
+    if (!NetInfo._started) {
+      NetInfo._state = NetInfo._computeState();
+    }
+    
+    return NetInfo._state;
+  }
+
+  /**
+   * Get the current state, probing reachability first if it is unknown
+   * @returns {Promise<Object>} State
+   */
+  static async fetch() {
+    const state = NetInfo.getState();
+    
+    if (state.isConnected && state.isInternetReachable === null && NetInfo._config.reachabilityUrl) {
+      await NetInfo.refresh();
+    }
+    
+    return NetInfo.getState();
+  }
+
+  /**
+   * Probe reachability now
+   * @returns {Promise<Object>} State
+   */
+  static async refresh() {
+    NetInfo._update();
+    
+    if (NetInfo._state.isConnected && NetInfo._config.reachabilityUrl) {
+      await NetInfo._runProbe();
+    }
+    
+    return NetInfo.getState();
+  }
+
+  /**
+   * Check if requests can be expected to succeed
+   * @returns {boolean} Whether the device is connected and the internet is not known to be unreachable
+   */
+  static isOnline() {
+    const state = NetInfo.getState();
+    return state.isConnected && state.isInternetReachable !== false;
+  }
+
+  /**
+   * Add connectivity listener
+   * Probing runs periodically while there are listeners.
+   * @param {Function} listener - Function called with the state when it changes
+   * @returns {Function} Unsubscribe function
+   */
+  static addEventListener(listener) {
+    NetInfo._listeners.push(listener);
+    
+    if (!NetInfo._started) {
+      NetInfo._start();
+    }
+    
+    return () => {
+      NetInfo._listeners = NetInfo._listeners.filter(l => l !== listener);
+      
+      if (NetInfo._listeners.length === 0) {
+        NetInfo._stop();
+      }
+    };
+  }
+
+  /**
+   * Start listening to connectivity events
+   * @private
+   */
+  static _start() {
+    NetInfo._started = true;
+    NetInfo._state = NetInfo._computeState();
+    
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', NetInfo._handleChange);
+      window.addEventListener('offline', NetInfo._handleChange);
+    }
+    
+    const connection = getConnection();
+    
+    if (connection && connection.addEventListener) {
+      connection.addEventListener('change', NetInfo._handleChange);
+    }
+    
+    if (NetInfo._state.isConnected && NetInfo._config.reachabilityUrl) {
+      NetInfo._runProbe();
+    }
+  }
+
+  /**
+   * Stop listening to connectivity events
+   * @private
+   */
+  static _stop() {
+    NetInfo._started = false;
+    clearTimeout(NetInfo._probeTimeout);
+    
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', NetInfo._handleChange);
+      window.removeEventListener('offline', NetInfo._handleChange);
+    }
+    
+    const connection = getConnection();
+    
+    if (connection && connection.removeEventListener) {
+      connection.removeEventListener('change', NetInfo._handleChange);
+    }
+  }
+
+  /**
+   * Handle a connectivity event
+   * @returns {void}
+   * @private
+   */
+  static _handleChange = () => {
+    // A new connection may reach the internet even if the previous one did not
+    if (!NetInfo._state || !NetInfo._state.isConnected) {
+      NetInfo._reachable = null;
+    }
+    
+    NetInfo._update();
+    
+    if (!NetInfo._state.isConnected) {
+      clearTimeout(NetInfo._probeTimeout);
+    } else if (NetInfo._config.reachabilityUrl) {
+      NetInfo._runProbe();
+    }
+  };
+
+  /**
+   * Run a reachability probe, once at a time, and schedule the next one
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _runProbe() {
+    if (!NetInfo._probe) {
+      clearTimeout(NetInfo._probeTimeout);
+      
+      NetInfo._probe = NetInfo._checkReachability().then((reachable) => {
+        NetInfo._probe = null;
+        NetInfo._reachable = reachable;
+        NetInfo._update();
+        
+        const {
+          reachabilityLongTimeout,
+          reachabilityShortTimeout,
+        } = NetInfo._config;
+        
+        if (NetInfo._started && NetInfo._state.isConnected) {
+          NetInfo._probeTimeout = setTimeout(
+            NetInfo._runProbe,
+            reachable ? reachabilityLongTimeout : reachabilityShortTimeout
+          );
+        }
+      });
+    }
+    
+    return NetInfo._probe;
+  }
+
+  /**
+   * Request the reachability URL
+   * @returns {Promise<boolean>} Whether the internet is reachable
+   * @private
+   */
+  static async _checkReachability() {
+    const {
+      reachabilityUrl,
+      reachabilityMethod,
+      reachabilityTest,
+      reachabilityRequestTimeout,
+    } = NetInfo._config;
+    
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), reachabilityRequestTimeout);
+    
+    try {
+      const response = await fetch(reachabilityUrl, {
+        method: reachabilityMethod,
+        cache: 'no-store',
+        signal: controller.signal,
+      });
+      
+      return !!(await reachabilityTest(response));
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Compute the state from the browser APIs and the last probe
+   * @returns {Object} State
+   * @private
+   */
+  static _computeState() {
+    const connection = getConnection();
+    const onLine = typeof navigator === 'undefined' || navigator.onLine !== false;
+    
+    let type = 'unknown';
+    
+    if (!onLine) {
+      type = 'none';
+    } else if (connection && CONNECTION_TYPES.includes(connection.type)) {
+      type = connection.type;
+    }
+    
+    const isConnected = type !== 'none';
+    let isInternetReachable = null;
+    
+    if (!isConnected) {
+      isInternetReachable = false;
+    } else if (NetInfo._config.reachabilityUrl) {
+      isInternetReachable = NetInfo._reachable;
+    }
+    
+    return {
+      type,
+      isConnected,
+      isInternetReachable,
+      details: connection ? {
+        effectiveType: connection.effectiveType || null,
+        downlink: connection.downlink !== undefined ? connection.downlink : null,
+        rtt: connection.rtt !== undefined ? connection.rtt : null,
+        saveData: !!connection.saveData,
+      } : null,
+    };
+  }
+
+  /**
+   * Recompute the state and notify listeners when it changed
+   * @private
+   */
+  static _update() {
+    const previous = NetInfo._state;
+    const state = NetInfo._computeState();
+    
+    NetInfo._state = state;
+    
+    if (previous && JSON.stringify(previous) === JSON.stringify(state)) {
+      NetInfo._state = previous;
+      return;
+    }
+    
+    NetInfo._listeners.forEach((listener) => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in NetInfo listener:', error);
+      }
+    });
+  }
+}
+
+export { NetInfo };
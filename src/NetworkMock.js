@@ -0,0 +1,501 @@
+/**
+ * NetworkMock utility for Reactive chmlsh
+ * Route handlers and record/replay fixtures for requests made through Networking
+ */
+
+import { Networking } from './Networking';
+
+// Fixture format version
+const FIXTURE_VERSION = 1;
+
+/**
+ * Compile a path pattern like '/users/:id' or '/files/*' into a matcher
+ * Patterns starting with a scheme match the full URL, others the path only.
+ * @param {string|RegExp} pattern - Path pattern
+ * @returns {Function} Function (url) returning params or null
+ * @private
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return (url) => {
+      const match = pattern.exec(url.href) || pattern.exec(url.pathname);
+      return match ? { ...match.groups } : null;
+    };
+  }
+  
+  const matchFullUrl = /^[a-z][a-z\d+\-.]*:\/\//i.test(pattern);
+  const names = [];
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (_, name) => {
+      names.push(name);
+      return '([^/?#]+)';
+    });
+  const regex = new RegExp(`^${source}/?$`);
+  
+  return (url) => {
+    const match = regex.exec(matchFullUrl ? `${url.origin}${url.pathname}` : url.pathname);
+    
+    if (!match) {
+      return null;
+    }
+    
+    const params = {};
+    names.forEach((name, index) => {
+      params[name] = decodeURIComponent(match[index + 1]);
+    });
+    
+    return params;
+  };
+}
+
+/**
+ * Check that a handler gave a response spec
+ * @param {any} spec - Value returned by the handler
+ * @param {Object} route - Route of the handler
+ * @private
+ */
+function validateSpec(spec, route) {
+  let problem = null;
+  
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+    problem = `got ${Array.isArray(spec) ? 'an array' : String(spec)}`;
+  } else if (spec.status !== undefined && !(Number.isInteger(spec.status) && spec.status >= 100 && spec.status <= 599)) {
+    problem = `got status ${spec.status}`;
+  }
+  
+  if (problem) {
+    throw new Error(
+      `NetworkMock: the handler of ${route.description} must give a response spec ` +
+      `{ status, headers, body, delay, error }, ${problem}`
+    );
+  }
+}
+
+/**
+ * Create a Response-like object
+ * @param {Object} spec - Response spec with status, statusText, headers and body
+ * @returns {Object} Response-like object
+ * @private
+ */
+function createMockResponse({ status = 200, statusText = '', headers = {}, body }) {
+  const headerMap = {};
+  
+  Object.keys(headers).forEach((name) => {
+    headerMap[name.toLowerCase()] = String(headers[name]);
+  });
+  
+  let text = '';
+  
+  if (typeof body === 'string') {
+    text = body;
+    headerMap['content-type'] = headerMap['content-type'] || 'text/plain';
+  } else if (body !== undefined && body !== null) {
+    text = JSON.stringify(body);
+    headerMap['content-type'] = headerMap['content-type'] || 'application/json';
+  }
+  
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: {
+      get: name => (headerMap[name.toLowerCase()] !== undefined ? headerMap[name.toLowerCase()] : null),
+      forEach: callback => Object.keys(headerMap).forEach(name => callback(headerMap[name], name)),
+    },
+    body: null,
+    json: async () => JSON.parse(text),
+    text: async () => text,
+    blob: async () => new Blob([text], { type: headerMap['content-type'] || '' }),
+    clone() {
+      return createMockResponse({ status, statusText, headers, body });
+    },
+  };
+}
+
+/**
+ * Wait for a delay, rejecting like fetch when the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<void>}
+ * @private
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const createAbortError = () => {
+      const error = new Error('The request was aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+    
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    
+    const handleAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    
+    const timeoutId = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      
+      resolve();
+    }, ms);
+    
+    if (signal) {
+      signal.addEventListener('abort', handleAbort);
+    }
+  });
+}
+
+/**
+ * NetworkMock class for faking the network in tests and local development
+ * Mocks sit below interceptors, retries and timeouts, so those run as usual.
+ */
+class NetworkMock {
+  static _networking = null;
+  static _routes = [];
+  static _requests = [];
+  static _recording = null;
+  static _onUnhandled = 'error';
+
+  /**
+   * Start answering requests with the registered routes
+   * @param {Object} options - Mock options
+   * @param {typeof Networking} options.networking - Networking class to mock
+   * @param {string} options.onUnhandled - 'error', 'warn' or 'passthrough' for requests without a route
+   */
+  static enable(options = {}) {
+    const {
+      networking = Networking,
+      onUnhandled = 'error',
+    } = options;
+    
+    NetworkMock.disable();
+    NetworkMock._networking = networking;
+    NetworkMock._onUnhandled = onUnhandled;
+    networking._transport = NetworkMock._handle;
+  }
+
+  /**
+   * Stop mocking and send requests to the network again
+   */
+  static disable() {
+    if (NetworkMock._networking && NetworkMock._networking._transport === NetworkMock._handle) {
+      NetworkMock._networking._transport = null;
+    }
+    
+    NetworkMock._networking = null;
+  }
+
+  /**
+   * Remove every route, recorded request and recording
+   */
+  static reset() {
+    NetworkMock._routes = [];
+    NetworkMock._requests = [];
+    NetworkMock._recording = null;
+  }
+
+  /**
+   * Register a route
+   * Routes registered later take precedence over earlier ones.
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp} pattern - Path pattern like '/users/:id'
+   * @param {Object|Function} handler - Response spec { status, headers, body, delay, error }, or function (request) returning one
+   * @param {Object} options - Route options
+   * @param {boolean} options.once - Whether the route only answers one request
+   * @returns {Function} Function removing the route
+   */
+  static on(method, pattern, handler, options = {}) {
+    const route = {
+      method: method.toUpperCase(),
+      match: compilePattern(pattern),
+      handler,
+      once: !!options.once,
+      description: `${method.toUpperCase()} ${pattern}`,
+    };
+    
+    // Static specs fail here, specs returned by functions when the route answers
+    if (typeof handler !== 'function') {
+      validateSpec(handler, route);
+    }
+    
+    NetworkMock._routes.unshift(route);
+    
+    return () => {
+      NetworkMock._routes = NetworkMock._routes.filter(r => r !== route);
+    };
+  }
+
+  /**
+   * Register a GET route
+   * @param {string|RegExp} pattern - Path pattern
+   * @param {Object|Function} handler - Response spec or function
+   * @param {Object} options - Route options
+   * @returns {Function} Function removing the route
+   */
+  static get(pattern, handler, options) {
+    return NetworkMock.on('GET', pattern, handler, options);
+  }
+
+  /**
+   * Register a POST route
+   * @param {string|RegExp} pattern - Path pattern
+   * @param {Object|Function} handler - Response spec or function
+   * @param {Object} options - Route options
+   * @returns {Function} Function removing the route
+   */
+  static post(pattern, handler, options) {
+    return NetworkMock.on('POST', pattern, handler, options);
+  }
+
+  /**
+   * Register a PUT route
+   * @param {string|RegExp} pattern - Path pattern
+   * @param {Object|Function} handler - Response spec or function
+   * @param {Object} options - Route options
+   * @returns {Function} Function removing the route
+   */
+  static put(pattern, handler, options) {
+    return NetworkMock.on('PUT', pattern, handler, options);
+  }
+
+  /**
+   * Register a DELETE route
+   * @param {string|RegExp} pattern - Path pattern
+   * @param {Object|Function} handler - Response spec or function
+   * @param {Object} options - Route options
+   * @returns {Function} Function removing the route
+   */
+  static delete(pattern, handler, options) {
+    return NetworkMock.on('DELETE', pattern, handler, options);
+  }
+
+  /**
+   * Get the requests the mock received
+   * @returns {Array<Object>} Requests with method, url, headers and body
+   */
+  static getRequests() {
+    return NetworkMock._requests.slice();
+  }
+
+  /**
+   * Start recording real responses of requests without a route
+   * Unhandled requests go to the network while recording.
+   */
+  static startRecording() {
+    NetworkMock._recording = [];
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object} Fixture to save as JSON and pass to replay() later
+   */
+  static stopRecording() {
+    const entries = NetworkMock._recording || [];
+    NetworkMock._recording = null;
+    
+    return {
+      version: FIXTURE_VERSION,
+      entries,
+    };
+  }
+
+  /**
+   * Answer requests with recorded responses
+   * Requests match on method and full URL; repeated requests get the recorded
+   * responses in order, and the last one once they run out.
+   * @param {Object} fixture - Fixture from stopRecording()
+   * @returns {Function} Function removing the replayed routes
+   */
+  static replay(fixture) {
+    if (!fixture || fixture.version !== FIXTURE_VERSION) {
+      throw new Error('Unsupported network fixture.');
+    }
+    
+    const groups = new Map();
+    
+    fixture.entries.forEach((entry) => {
+      const key = `${entry.method} ${entry.url}`;
+      
+      if (!groups.has(key)) {
+        groups.set(key, {
+          method: entry.method,
+          href: new URL(entry.url, 'http://localhost').href,
+          responses: [],
+        });
+      }
+      
+      groups.get(key).responses.push(entry.response);
+    });
+    
+    const removers = Array.from(groups.values()).map(({ method, href, responses }) => {
+      let index = 0;
+      
+      const route = {
+        method,
+        match: url => (url.href === href ? {} : null),
+        handler: () => responses[Math.min(index++, responses.length - 1)],
+        once: false,
+        description: `${method} ${href} (replayed)`,
+      };
+      
+      NetworkMock._routes.unshift(route);
+      
+      return () => {
+        NetworkMock._routes = NetworkMock._routes.filter(r => r !== route);
+      };
+    });
+    
+    return () => removers.forEach(remove => remove());
+  }
+
+  /**
+   * Handle a request sent by Networking
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Response-like object
+   * @private
+   */
+  static _handle = async (url, options = {}) => {
+    const method = (options.method || 'GET').toUpperCase();
+    const parsedUrl = new URL(url, 'http://localhost');
+    const request = {
+      method,
+      url,
+      path: parsedUrl.pathname,
+      query: Object.fromEntries(parsedUrl.searchParams.entries()),
+      headers: { ...options.headers },
+      body: NetworkMock._parseBody(options.body),
+      params: {},
+    };
+    
+    NetworkMock._requests.push(request);
+    
+    let route = null;
+    
+    for (let i = 0; i < NetworkMock._routes.length; i++) {
+      const candidate = NetworkMock._routes[i];
+      
+      if (candidate.method !== '*' && candidate.method !== method) {
+        continue;
+      }
+      
+      const params = candidate.match(parsedUrl);
+      
+      if (params) {
+        route = candidate;
+        request.params = params;
+        break;
+      }
+    }
+    
+    if (!route) {
+      return NetworkMock._handleUnhandled(url, options, request);
+    }
+    
+    if (route.once) {
+      NetworkMock._routes = NetworkMock._routes.filter(r => r !== route);
+    }
+    
+    const spec = typeof route.handler === 'function'
+      ? await route.handler(request)
+      : route.handler;
+    
+    validateSpec(spec, route);
+    
+    if (spec.delay) {
+      await delay(spec.delay, options.signal);
+    }
+    
+    if (spec.error) {
+      // 'network' fails like fetch does when there is no connection
+      throw spec.error === 'network'
+        ? new TypeError('Network request failed')
+        : spec.error;
+    }
+    
+    return createMockResponse(spec);
+  };
+
+  /**
+   * Handle a request without a route
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} Response
+   * @private
+   */
+  static async _handleUnhandled(url, options, request) {
+    const description = `${request.method} ${url}`;
+    
+    if (NetworkMock._recording) {
+      const response = await fetch(url, options);
+      const headers = {};
+      response.headers.forEach((value, name) => {
+        headers[name] = value;
+      });
+      
+      const text = await response.clone().text();
+      const contentType = response.headers.get('content-type') || '';
+      let body = text;
+      
+      if (contentType.includes('application/json')) {
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          // Keep the raw text
+        }
+      }
+      
+      NetworkMock._recording.push({
+        method: request.method,
+        url,
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          headers,
+          body,
+        },
+      });
+      
+      return response;
+    }
+    
+    switch (NetworkMock._onUnhandled) {
+      case 'passthrough':
+        return fetch(url, options);
+      case 'warn':
+        console.warn(`NetworkMock: no route for ${description}`);
+        return createMockResponse({ status: 404, statusText: 'Not Found' });
+      default:
+        throw new Error(`NetworkMock: no route for ${description}`);
+    }
+  }
+
+  /**
+   * Parse a request body for handlers
+   * @param {any} body - Request body
+   * @returns {any} Parsed JSON, or the body as is
+   * @private
+   */
+  static _parseBody(body) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+    
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+}
+
+export { NetworkMock };
@@ -3,60 +3,646 @@
  * A networking utility similar to React Native's fetch
  */
 
+import { AsyncStorage } from './AsyncStorage';
+import { NetInfo } from './NetInfo';
+
+// Methods that are safe to send twice, the only ones retried by default
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses that usually mean a retry can succeed
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Check if a failed attempt should be retried
+ * Network errors and timeouts are retried, aborts by the caller never are.
+ * @param {Array<number>|Function} retryOn - Statuses to retry, or function (attempt, error, response) returning whether to retry
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Error|null} error - Error thrown by the attempt
+ * @param {Response|null} response - Response of the attempt
+ * @returns {boolean} Whether to retry
+ * @private
+ */
+function shouldRetry(retryOn, attempt, error, response) {
+  if (typeof retryOn === 'function') {
+    return !!retryOn(attempt, error, response);
+  }
+  
+  if (error) {
+    return error.name !== 'AbortError';
+  }
+  
+  return retryOn.includes(response.status);
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null when missing or invalid
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the exponential backoff delay before a retry
+ * With jitter the delay is picked at random up to the exponential value,
+ * so clients that failed together do not retry together.
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Zero-based attempt number that failed
+ * @returns {number} Delay in milliseconds
+ * @private
+ */
+function getBackoffDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt));
+  return policy.jitter ? Math.random() * delay : delay;
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal cancelling the wait
+ * @returns {Promise<void>} Promise resolving after the delay
+ * @private
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      clearTimeout(timeoutId);
+      const error = new Error('The request was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    
+    const timeoutId = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      
+      resolve();
+    }, ms);
+    
+    if (signal) {
+      signal.addEventListener('abort', handleAbort);
+    }
+  });
+}
+
+/**
+ * Wait for a promise until a signal aborts
+ * The promise itself keeps running, e.g. a request shared with other callers.
+ * @param {Promise<any>} promise - Promise to wait for
+ * @param {AbortSignal} signal - Signal to stop waiting
+ * @returns {Promise<any>} Result of the promise, or an AbortError
+ * @private
+ */
+function whileNotAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      const error = new Error('The request was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    
+    if (signal.aborted) {
+      promise.catch(() => {});
+      handleAbort();
+      return;
+    }
+    
+    signal.addEventListener('abort', handleAbort);
+    
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', handleAbort);
+    });
+  });
+}
+
+/**
+ * Check if a body is sent as is rather than JSON encoded
+ * FormData, blobs and buffers also need the runtime to pick the Content-Type.
+ * @param {any} data - Request data
+ * @returns {boolean} Whether the data is a raw body
+ * @private
+ */
+function isRawBody(data) {
+  if (typeof data !== 'object' || data === null) {
+    return false;
+  }
+  
+  return (typeof FormData !== 'undefined' && data instanceof FormData) ||
+    (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data);
+}
+
+/**
+ * Get how many bytes of an upload the server received from its Range header
+ * @param {string|null} header - Range header of a 308 response, e.g. 'bytes=0-1023'
+ * @returns {number} Received bytes, 0 without a header
+ * @private
+ */
+function parseReceivedBytes(header) {
+  const match = /bytes=0-(\d+)/.exec(header || '');
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+/**
+ * Create a progress event
+ * @param {number} loaded - Bytes transferred
+ * @param {number} total - Total bytes, 0 when unknown
+ * @returns {Object} Progress with loaded, total and progress (0 to 1, null when unknown)
+ * @private
+ */
+function createProgress(loaded, total) {
+  return {
+    loaded,
+    total,
+    progress: total ? loaded / total : null,
+  };
+}
+
+/**
+ * Parse the body of a cached response
+ * @param {Object} entry - Cached entry
+ * @returns {any} Response data
+ * @private
+ */
+function parseCachedBody(entry) {
+  return entry.contentType.includes('application/json') ? JSON.parse(entry.body) : entry.body;
+}
+
+/**
+ * Ordered list of interceptors for requests or responses
+ * @private
+ */
+class InterceptorManager {
+  constructor() {
+    this._handlers = [];
+  }
+
+  /**
+   * Register an interceptor
+   * Interceptors run in registration order and may return promises.
+   * @param {Function} fulfilled - Function (value, config) returning the next value
+   * @param {Function} rejected - Function (error, config) returning a value to recover or throwing
+   * @returns {Function} Function removing the interceptor
+   */
+  use(fulfilled, rejected) {
+    const handler = { fulfilled, rejected };
+    this._handlers.push(handler);
+    
+    return () => {
+      this._handlers = this._handlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Remove every interceptor
+   */
+  clear() {
+    this._handlers = [];
+  }
+
+  /**
+   * Run a value through the interceptors
+   * @param {any} value - Value or promise for it
+   * @param {Object} config - Request config passed to response interceptors
+   * @returns {Promise<any>} Result of the last interceptor
+   * @private
+   */
+  _run(value, config) {
+    return this._handlers.reduce((promise, { fulfilled, rejected }) => promise.then(
+      fulfilled ? result => fulfilled(result, config) : undefined,
+      rejected ? error => rejected(error, config) : undefined
+    ), Promise.resolve(value));
+  }
+}
+
 /**
  * Networking class for making HTTP requests
  */
 class Networking {
+  static defaults = {
+    baseURL: '',
+    headers: {},
+    timeout: 30000,
+    cache: null,
+    retry: {
+      retries: 2,
+      retryOn: RETRY_STATUSES,
+      methods: IDEMPOTENT_METHODS,
+      baseDelay: 300,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: true,
+    },
+  };
+  
+  static interceptors = {
+    request: new InterceptorManager(),
+    response: new InterceptorManager(),
+  };
+  
+  // Set by OfflineQueue.start()
+  static _offlineQueue = null;
+  
+  // Replaces the global fetch when set, e.g. by NetworkMock.enable()
+  static _transport = null;
+
   /**
-   * Make a fetch request with timeout
+   * Make a fetch request with timeout and retries
+   * An `options.signal` from the caller (e.g. an async thunk) also aborts the request.
+   * Each attempt gets its own timeout; `options.retry` overrides `defaults.retry`
+   * for this request, or disables retries when `false`.
+   * Network errors are not retried while NetInfo reports the device offline.
    * @param {string} url - URL to fetch
    * @param {Object} options - Fetch options
-   * @param {number} timeout - Timeout in milliseconds
+   * @param {number} timeout - Timeout of each attempt in milliseconds
    * @returns {Promise<Response>} Fetch response
    */
   static async fetch(url, options = {}, timeout = 30000) {
+    const { retry, ...fetchOptions } = options;
+    const policy = retry === false
+      ? { ...this.defaults.retry, retries: 0 }
+      : { ...this.defaults.retry, ...retry };
+    
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = policy.methods.includes(method) ? policy.retries : 0;
+    
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+      
+      try {
+        response = await this._fetchOnce(url, fetchOptions, timeout);
+      } catch (e) {
+        error = e;
+      }
+      
+      // Retrying while offline only uses up attempts; failing fast lets OfflineQueue take the request
+      const offline = error !== null && error.isNetworkError && !NetInfo.isOnline();
+      
+      const canRetry = attempt < maxRetries &&
+        !offline &&
+        !(fetchOptions.signal && fetchOptions.signal.aborted) &&
+        shouldRetry(policy.retryOn, attempt, error, response);
+      
+      if (!canRetry) {
+        if (error) {
+          throw error;
+        }
+        
+        return response;
+      }
+      
+      const retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, policy.maxDelay)
+        : getBackoffDelay(policy, attempt);
+      
+      await wait(delay, fetchOptions.signal);
+    }
+  }
+
+  /**
+   * Make a single fetch attempt with timeout
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Response>} Fetch response
+   * @private
+   */
+  static async _fetchOnce(url, options, timeout) {
+    const { signal, ...fetchOptions } = options;
+    
     // Create abort controller for timeout
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    
+    // Forward aborts from the caller's signal
+    const abortFromSignal = () => controller.abort();
+    
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', abortFromSignal);
+      }
+    }
     
     try {
-      const response = await fetch(url, {
-        ...options,
+      const transport = this._transport || fetch;
+      
+      return await transport(url, {
+        ...fetchOptions,
         signal: controller.signal,
       });
-      
-      clearTimeout(timeoutId);
-      return response;
     } catch (error) {
+      if (error.name === 'AbortError' && timedOut) {
+        const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+      
+      // The transport rejects without a response when the request could not reach the server
+      if (error.name !== 'AbortError') {
+        error.isNetworkError = true;
+      }
+      
+      throw error;
+    } finally {
       clearTimeout(timeoutId);
       
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timed out after ${timeout}ms`);
+      if (signal) {
+        signal.removeEventListener('abort', abortFromSignal);
+      }
+    }
+  }
+
+  /**
+   * Make a request through the interceptor pipeline
+   * When an OfflineQueue is started, writes made while offline are queued and
+   * resolve to `{ queued: true, id }` instead of the response data.
+   * @param {Object} config - Request config
+   * @param {string} config.url - URL, relative to `defaults.baseURL` unless absolute
+   * @param {string} config.method - HTTP method
+   * @param {any} config.data - Data to send, serialized after the request interceptors ran
+   * @param {Object} config.headers - Request headers
+   * @param {number} config.timeout - Timeout of each attempt in milliseconds
+   * @param {Object|boolean} config.retry - Retry policy for this request, or false to disable retries
+   * @param {boolean} config.offline - Set to false to never queue this request
+   * @returns {Promise<any>} Response data
+   */
+  static async request(config) {
+    const { offline, ...requestConfig } = config;
+    const queue = this._offlineQueue;
+    
+    if (!queue || offline === false || !queue.handles(requestConfig)) {
+      return this._send(requestConfig);
+    }
+    
+    const queueConfig = {
+      ...requestConfig,
+      url: this._buildURL(requestConfig.url),
+      headers: {
+        ...this.defaults.headers,
+        ...requestConfig.headers,
+      },
+    };
+    
+    if (!queue.isOnline()) {
+      return queue.enqueue(queueConfig);
+    }
+    
+    try {
+      return await this._send(requestConfig);
+    } catch (error) {
+      // Only requests that never reached the server are safe to send again.
+      // Transport failures while online (CORS, invalid headers) are not queued.
+      if (error.isNetworkError && !queue.isOnline()) {
+        return queue.enqueue(queueConfig);
       }
       
       throw error;
     }
   }
 
+  /**
+   * Run the request interceptors, send the request and process the response
+   * @param {Object} config - Request config
+   * @returns {Promise<any>} Response data
+   * @private
+   */
+  static async _send(config) {
+    const response = await this._sendRaw(config);
+    return this._processResponse(response);
+  }
+
+  /**
+   * Run the request interceptors and send the request
+   * @param {Object} config - Request config
+   * @returns {Promise<Response>} Response, after the response interceptors ran
+   * @private
+   */
+  static async _sendRaw(config) {
+    return this._dispatch(await this._prepareRequest(config));
+  }
+
+  /**
+   * Add the default headers and run the request interceptors
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} Config to send
+   * @private
+   */
+  static _prepareRequest(config) {
+    return this.interceptors.request._run({
+      method: 'GET',
+      ...config,
+      headers: {
+        'Accept': 'application/json',
+        ...this.defaults.headers,
+        ...config.headers,
+      },
+    });
+  }
+
+  /**
+   * Send a request whose config already went through the request interceptors
+   * Response interceptors run on the result.
+   * @param {Object} config - Request config
+   * @returns {Promise<Response>} Fetch response
+   * @private
+   */
+  static _dispatch(config) {
+    return this.interceptors.response._run(this._transmit(config), config);
+  }
+
+  /**
+   * Send a request without running any interceptors
+   * @param {Object} config - Request config
+   * @returns {Promise<Response>} Fetch response
+   * @private
+   */
+  static _transmit(config) {
+    const {
+      url,
+      data,
+      headers,
+      timeout = this.defaults.timeout,
+      onUploadProgress,
+      ...restOptions
+    } = config;
+    
+    const requestHeaders = { ...headers };
+    let body = data;
+    
+    if (data !== undefined && !isRawBody(data)) {
+      const contentType = requestHeaders['Content-Type'] || 'application/json';
+      requestHeaders['Content-Type'] = contentType;
+      
+      if (contentType.includes('application/json') && typeof data === 'object') {
+        body = JSON.stringify(data);
+      }
+    }
+    
+    // Keys starting with an underscore are bookkeeping for interceptors, not fetch options
+    const fetchOptions = {};
+    
+    Object.keys(restOptions).forEach((key) => {
+      if (key.charAt(0) !== '_') {
+        fetchOptions[key] = restOptions[key];
+      }
+    });
+    
+    const requestOptions = {
+      ...fetchOptions,
+      headers: requestHeaders,
+      body,
+    };
+    
+    // fetch cannot report upload progress, XMLHttpRequest can
+    return onUploadProgress && typeof XMLHttpRequest !== 'undefined' && !this._transport
+      ? this._xhrFetch(this._buildURL(url), { ...requestOptions, onUploadProgress }, timeout)
+      : this.fetch(this._buildURL(url), requestOptions, timeout);
+  }
+
+  /**
+   * Resolve a URL against the base URL
+   * @param {string} url - URL
+   * @returns {string} Full URL
+   * @private
+   */
+  static _buildURL(url) {
+    const { baseURL } = this.defaults;
+    
+    if (!baseURL || /^[a-z][a-z\d+\-.]*:\/\//i.test(url)) {
+      return url;
+    }
+    
+    return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  }
+
   /**
    * Make a GET request
    * @param {string} url - URL to fetch
    * @param {Object} options - Additional options
+   * @param {HttpCache|boolean} options.cache - Cache for this request, or false to skip `defaults.cache`
+   * @param {string} options.cacheKey - Cache key, the full URL by default
    * @returns {Promise<any>} Response data
    */
   static async get(url, options = {}) {
-    const { headers = {}, timeout, ...restOptions } = options;
+    const { cache = this.defaults.cache, cacheKey, ...restOptions } = options;
     
-    const response = await this.fetch(url, {
+    const config = {
+      ...restOptions,
+      url,
       method: 'GET',
+    };
+    
+    if (!cache) {
+      return this.request(config);
+    }
+    
+    return this._cachedGet(cache, cacheKey || this._buildURL(url), config);
+  }
+
+  /**
+   * Serve a GET request from an HttpCache
+   * Fresh entries are returned without a request, stale ones are returned while
+   * being revalidated in the background, and expired ones are revalidated first.
+   * The request interceptors run before the lookup, so entries are matched on
+   * the headers that would be sent. A revalidation is shared by the requests
+   * waiting for it, so it is sent without their signals; aborting one of them
+   * only stops that request from waiting.
+   * @param {HttpCache} cache - Cache
+   * @param {string} key - Cache key
+   * @param {Object} config - Request config
+   * @returns {Promise<any>} Response data
+   * @private
+   */
+  static async _cachedGet(cache, key, config) {
+    const { signal, ...requestConfig } = await this._prepareRequest(config);
+    const { headers } = requestConfig;
+    const entry = await cache.get(key, headers);
+    
+    const revalidate = () => cache.revalidate(
+      key,
+      () => this._fetchAndCache(cache, key, requestConfig, entry),
+      headers
+    );
+    
+    if (entry) {
+      const freshness = cache.getFreshness(entry);
+      
+      if (freshness === 'fresh') {
+        return parseCachedBody(entry);
+      }
+      
+      if (freshness === 'stale') {
+        revalidate().catch(error => console.warn('Background revalidation failed:', error));
+        
+        return parseCachedBody(entry);
+      }
+    }
+    
+    return whileNotAborted(revalidate(), signal);
+  }
+
+  /**
+   * Fetch a GET request, conditionally when an entry is cached, and update the cache
+   * @param {HttpCache} cache - Cache
+   * @param {string} key - Cache key
+   * @param {Object} config - Request config
+   * @param {Object|null} entry - Cached entry
+   * @returns {Promise<any>} Response data
+   * @private
+   */
+  static async _fetchAndCache(cache, key, config, entry) {
+    const response = await this._dispatch({
+      ...config,
       headers: {
-        'Accept': 'application/json',
-        ...headers,
+        ...config.headers,
+        ...cache.getValidators(entry),
       },
-      ...restOptions,
-    }, timeout);
+    });
     
-    return this._processResponse(response);
+    if (response.status === 304 && entry) {
+      return parseCachedBody(await cache.refresh(key, entry, response));
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    const isText = contentType.includes('application/json') || contentType.includes('text/');
+    
+    // Only text bodies are cached, binary ones are returned as usual
+    if (!response.ok || !isText) {
+      return this._processResponse(response);
+    }
+    
+    const body = await response.text();
+    await cache.put(key, response, body, config.headers);
+    
+    return contentType.includes('application/json') ? JSON.parse(body) : body;
   }
 
   /**
@@ -67,27 +653,12 @@ class Networking {
    * @returns {Promise<any>} Response data
    */
   static async post(url, data, options = {}) {
-    const { headers = {}, timeout, ...restOptions } = options;
-    
-    const contentType = headers['Content-Type'] || 'application/json';
-    let body = data;
-    
-    if (contentType.includes('application/json') && typeof data === 'object') {
-      body = JSON.stringify(data);
-    }
-    
-    const response = await this.fetch(url, {
+    return this.request({
+      ...options,
+      url,
       method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': contentType,
-        ...headers,
-      },
-      body,
-      ...restOptions,
-    }, timeout);
-    
-    return this._processResponse(response);
+      data,
+    });
   }
 
   /**
@@ -98,48 +669,515 @@ class Networking {
    * @returns {Promise<any>} Response data
    */
   static async put(url, data, options = {}) {
-    const { headers = {}, timeout, ...restOptions } = options;
+    return this.request({
+      ...options,
+      url,
+      method: 'PUT',
+      data,
+    });
+  }
+
+  /**
+   * Make a DELETE request
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Additional options
+   * @returns {Promise<any>} Response data
+   */
+  static async delete(url, options = {}) {
+    return this.request({
+      ...options,
+      url,
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Upload a file or blob, reporting progress
+   * Without `chunkSize` the file is sent as multipart/form-data in one request.
+   * With `chunkSize` it is sent in chunks with a `Content-Range` header; the server
+   * answers 308 (or any 2xx) to each chunk. With `resumeKey` the upload is saved in
+   * AsyncStorage, so a later upload with the same key continues where the previous
+   * one stopped: it first asks the server what it received, with an empty request
+   * whose `Content-Range` has `*` as the range, and continues after the bytes a 308
+   * response reports in its `Range: bytes=0-<last>` header. Servers answering anything
+   * else get the file again from the start.
+   * @param {string} url - Upload URL
+   * @param {Blob|File} file - File or blob to upload
+   * @param {Object} options - Upload options
+   * @param {Function} options.onProgress - Function ({ loaded, total, progress }) called as bytes are sent
+   * @param {number} options.chunkSize - Chunk size in bytes for chunked uploads
+   * @param {string} options.resumeKey - Key identifying the upload across app restarts
+   * @param {string} options.fieldName - Form field of the file for multipart uploads
+   * @param {string} options.fileName - File name sent for multipart uploads
+   * @param {Object} options.fields - Extra form fields for multipart uploads
+   * @param {string} options.method - HTTP method, POST for multipart and PUT for chunked uploads by default
+   * @returns {Promise<any>} Data of the final response
+   */
+  static async upload(url, file, options = {}) {
+    const {
+      onProgress,
+      chunkSize,
+      resumeKey,
+      fieldName = 'file',
+      fileName,
+      fields = {},
+      ...restOptions
+    } = options;
     
-    const contentType = headers['Content-Type'] || 'application/json';
-    let body = data;
+    if (chunkSize) {
+      return this._uploadChunked(url, file, {
+        ...restOptions,
+        onProgress,
+        chunkSize,
+        resumeKey,
+      });
+    }
+    
+    const formData = new FormData();
+    
+    Object.keys(fields).forEach((key) => {
+      formData.append(key, fields[key]);
+    });
     
-    if (contentType.includes('application/json') && typeof data === 'object') {
-      body = JSON.stringify(data);
+    if (fileName) {
+      formData.append(fieldName, file, fileName);
+    } else {
+      formData.append(fieldName, file);
     }
     
-    const response = await this.fetch(url, {
-      method: 'PUT',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': contentType,
-        ...headers,
-      },
-      body,
+    return this._send({
+      method: 'POST',
       ...restOptions,
-    }, timeout);
+      url,
+      data: formData,
+      onUploadProgress: onProgress,
+    });
+  }
+
+  /**
+   * Upload a file in chunks, saving the offset after each chunk
+   * @param {string} url - Upload URL
+   * @param {Blob|File} file - File or blob to upload
+   * @param {Object} options - Upload options
+   * @returns {Promise<any>} Data of the final response
+   * @private
+   */
+  static async _uploadChunked(url, file, options) {
+    const {
+      onProgress,
+      chunkSize,
+      resumeKey,
+      method = 'PUT',
+      headers = {},
+      retry,
+      ...restOptions
+    } = options;
+    
+    const total = file.size;
+    const storageKey = resumeKey ? `upload:${resumeKey}` : null;
+    const policy = retry === false
+      ? { ...this.defaults.retry, retries: 0 }
+      : { ...this.defaults.retry, ...retry };
+    
+    let offset = 0;
+    let isResuming = false;
+    
+    if (storageKey) {
+      try {
+        const saved = JSON.parse(await AsyncStorage.getItem(storageKey));
+        
+        // Only resume an upload of the same file size
+        isResuming = !!saved && saved.total === total && saved.offset < total;
+      } catch (error) {
+        console.error('Error reading upload offset:', error);
+      }
+    }
+    
+    // The server may have kept fewer bytes than the saved offset, or more when the
+    // app stopped before saving it, so ask it where to continue
+    if (isResuming) {
+      const probe = await this._sendRaw({
+        ...restOptions,
+        url,
+        method,
+        headers: {
+          ...headers,
+          'Content-Range': `bytes */${total}`,
+        },
+        retry: false,
+      });
+      
+      if (probe.ok) {
+        await AsyncStorage.removeItem(storageKey);
+        return this._processResponse(probe);
+      }
+      
+      // Send at least the last byte, so the server answers the final chunk
+      if (probe.status === 308) {
+        offset = Math.min(parseReceivedBytes(probe.headers.get('range')), total - 1);
+      }
+    }
+    
+    let response = null;
+    
+    do {
+      const start = offset;
+      const end = Math.min(start + chunkSize, total);
+      
+      for (let attempt = 0; ; attempt++) {
+        let error = null;
+        
+        try {
+          response = await this._sendRaw({
+            ...restOptions,
+            url,
+            method,
+            data: file.slice(start, end),
+            headers: {
+              ...headers,
+              'Content-Type': 'application/octet-stream',
+              'Content-Range': `bytes ${start}-${Math.max(start, end - 1)}/${total}`,
+            },
+            retry: false,
+            onUploadProgress: onProgress
+              ? progress => onProgress(createProgress(start + progress.loaded, total))
+              : undefined,
+          });
+        } catch (e) {
+          error = e;
+          response = null;
+        }
+        
+        const succeeded = !error && (response.ok || response.status === 308);
+        
+        if (succeeded) {
+          break;
+        }
+        
+        // Chunks carry their range, so sending one twice is safe
+        if (attempt >= policy.retries || !shouldRetry(policy.retryOn, attempt, error, response)) {
+          if (error) {
+            throw error;
+          }
+          
+          return this._processResponse(response);
+        }
+        
+        await wait(getBackoffDelay(policy, attempt), restOptions.signal);
+      }
+      
+      offset = end;
+      
+      if (storageKey && offset < total) {
+        await AsyncStorage.setItem(storageKey, JSON.stringify({ offset, total }));
+      }
+      
+      if (onProgress) {
+        onProgress(createProgress(offset, total));
+      }
+    } while (offset < total);
+    
+    if (storageKey) {
+      await AsyncStorage.removeItem(storageKey);
+    }
     
     return this._processResponse(response);
   }
 
   /**
-   * Make a DELETE request
-   * @param {string} url - URL to fetch
-   * @param {Object} options - Additional options
-   * @returns {Promise<any>} Response data
+   * Download a response body as a stream, reporting progress
+   * @param {string} url - URL to download
+   * @param {Object} options - Download options
+   * @param {Function} options.onProgress - Function ({ loaded, total, progress }) called as bytes arrive
+   * @param {Function} options.onChunk - Function (Uint8Array) receiving each chunk; chunks are then not kept in memory
+   * @returns {Promise<Blob|null>} Downloaded blob, or null when `onChunk` consumed the chunks
    */
-  static async delete(url, options = {}) {
-    const { headers = {}, timeout, ...restOptions } = options;
+  static async download(url, options = {}) {
+    const { onProgress, onChunk, ...restOptions } = options;
     
-    const response = await this.fetch(url, {
-      method: 'DELETE',
+    const response = await this._sendRaw({
+      ...restOptions,
+      url,
+      method: 'GET',
       headers: {
-        'Accept': 'application/json',
-        ...headers,
+        'Accept': '*/*',
+        ...restOptions.headers,
       },
-      ...restOptions,
-    }, timeout);
+    });
     
-    return this._processResponse(response);
+    if (!response.ok) {
+      return this._processResponse(response);
+    }
+    
+    const total = Number(response.headers.get('content-length')) || 0;
+    const type = response.headers.get('content-type') || '';
+    
+    // Runtimes without streaming bodies only report completion
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      const blob = await response.blob();
+      
+      if (onChunk) {
+        onChunk(new Uint8Array(await blob.arrayBuffer()));
+      }
+      
+      if (onProgress) {
+        onProgress(createProgress(blob.size, total || blob.size));
+      }
+      
+      return onChunk ? null : blob;
+    }
+    
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    
+    for (;;) {
+      const { done, value } = await reader.read();
+      
+      if (done) {
+        break;
+      }
+      
+      loaded += value.length;
+      
+      if (onChunk) {
+        onChunk(value);
+      } else {
+        chunks.push(value);
+      }
+      
+      if (onProgress) {
+        onProgress(createProgress(loaded, total));
+      }
+    }
+    
+    return onChunk ? null : new Blob(chunks, { type });
+  }
+
+  /**
+   * Send a request with XMLHttpRequest to get upload progress
+   * Resolves to a Response-like object and fails like fetch does.
+   * @param {string} url - URL
+   * @param {Object} options - Fetch options with onUploadProgress
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Object>} Response-like object
+   * @private
+   */
+  static _xhrFetch(url, options, timeout) {
+    const {
+      method = 'GET',
+      headers = {},
+      body,
+      signal,
+      onUploadProgress,
+    } = options;
+    
+    return new Promise((resolve, reject) => {
+      const rejectWith = (name, message) => {
+        const error = new Error(message);
+        error.name = name;
+        reject(error);
+      };
+      
+      if (signal && signal.aborted) {
+        rejectWith('AbortError', 'The request was aborted');
+        return;
+      }
+      
+      const xhr = new XMLHttpRequest();
+      const abortFromSignal = () => xhr.abort();
+      
+      const cleanup = () => {
+        if (signal) {
+          signal.removeEventListener('abort', abortFromSignal);
+        }
+      };
+      
+      xhr.open(method, url);
+      xhr.timeout = timeout;
+      
+      Object.keys(headers).forEach((name) => {
+        xhr.setRequestHeader(name, headers[name]);
+      });
+      
+      if (xhr.upload) {
+        xhr.upload.onprogress = (event) => {
+          onUploadProgress(createProgress(event.loaded, event.lengthComputable ? event.total : 0));
+        };
+      }
+      
+      xhr.onload = () => {
+        cleanup();
+        
+        const text = xhr.responseText;
+        
+        resolve({
+          ok: xhr.status >= 200 && xhr.status < 300,
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: {
+            get: name => xhr.getResponseHeader(name),
+          },
+          json: async () => JSON.parse(text),
+          text: async () => text,
+          blob: async () => new Blob([text]),
+        });
+      };
+      
+      // Same error as fetch, so retries and the offline queue treat it alike
+      xhr.onerror = () => {
+        cleanup();
+        const error = new TypeError('Network request failed');
+        error.isNetworkError = true;
+        reject(error);
+      };
+      
+      xhr.ontimeout = () => {
+        cleanup();
+        rejectWith('TimeoutError', `Request timed out after ${timeout}ms`);
+      };
+      
+      xhr.onabort = () => {
+        cleanup();
+        rejectWith('AbortError', 'The request was aborted');
+      };
+      
+      if (signal) {
+        signal.addEventListener('abort', abortFromSignal);
+      }
+      
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Refresh the auth token once when requests fail with 401, then retry them
+   * Concurrent 401 responses wait for the same refresh. Requests sent before a
+   * refresh finished are retried with the new token without refreshing again.
+   * Requests sent while a refresh is running, such as the one `refreshToken`
+   * makes itself, are not held back by that refresh: their 401 is returned as is.
+   * @param {Object} options - Token refresh options
+   * @param {Function} options.refreshToken - Async function returning the new token
+   * @param {Function} options.applyToken - Function (config, token) returning the config to retry with
+   * @param {Function} options.shouldRefresh - Function (response, config) returning whether to refresh
+   * @param {Function} options.onRefreshFailed - Function (error) called when refreshing fails, e.g. to log out
+   * @returns {Function} Function removing the token refresh interceptors
+   */
+  static setupTokenRefresh(options) {
+    const {
+      refreshToken,
+      applyToken = (config, token) => ({
+        ...config,
+        headers: {
+          ...config.headers,
+          'Authorization': `Bearer ${token}`,
+        },
+      }),
+      shouldRefresh = response => response.status === 401,
+      onRefreshFailed,
+    } = options;
+    
+    if (typeof refreshToken !== 'function') {
+      throw new Error('setupTokenRefresh requires a "refreshToken" function.');
+    }
+    
+    let generation = 0;
+    let latestToken = null;
+    let refreshPromise = null;
+    let refreshCount = 0;
+    
+    const refresh = () => {
+      if (!refreshPromise) {
+        refreshCount += 1;
+        refreshPromise = Promise.resolve()
+          .then(() => refreshToken())
+          .then((token) => {
+            latestToken = token;
+            generation += 1;
+            return token;
+          })
+          .finally(() => {
+            refreshPromise = null;
+          });
+      }
+      
+      return refreshPromise;
+    };
+    
+    // Remember which refresh each request was sent after, and which one was running
+    const removeRequestInterceptor = this.interceptors.request.use(config => ({
+      ...config,
+      _tokenGeneration: generation,
+      _sentDuringRefresh: refreshPromise ? refreshCount : null,
+    }));
+    
+    const removeResponseInterceptor = this.interceptors.response.use(async (response, config) => {
+      if (!shouldRefresh(response, config)) {
+        return response;
+      }
+      
+      // Waiting for the refresh this request may be part of would never end
+      if (refreshPromise && config._sentDuringRefresh === refreshCount) {
+        return response;
+      }
+      
+      let token;
+      
+      try {
+        token = config._tokenGeneration < generation && !refreshPromise
+          ? latestToken
+          : await refresh();
+      } catch (error) {
+        if (onRefreshFailed) {
+          onRefreshFailed(error);
+        }
+        
+        return response;
+      }
+      
+      // The retried response continues through the chain that is already running,
+      // so interceptors after this one see it once
+      return this._transmit(applyToken(config, token));
+    });
+    
+    return () => {
+      removeRequestInterceptor();
+      removeResponseInterceptor();
+    };
+  }
+
+  /**
+   * Create a Networking class with its own defaults and interceptors
+   * Defaults are inherited from the class `create` is called on; interceptors are not.
+   * @param {Object} config - Instance config
+   * @param {string} config.baseURL - Base URL for relative request URLs
+   * @param {Object} config.headers - Default headers
+   * @param {number} config.timeout - Default timeout in milliseconds
+   * @param {Object} config.retry - Retry policy, merged into the inherited one
+   * @returns {typeof Networking} Networking instance
+   */
+  static create(config = {}) {
+    const parentDefaults = this.defaults;
+    
+    return class extends this {
+      static defaults = {
+        ...parentDefaults,
+        ...config,
+        headers: {
+          ...parentDefaults.headers,
+          ...config.headers,
+        },
+        retry: {
+          ...parentDefaults.retry,
+          ...config.retry,
+        },
+      };
+      
+      static interceptors = {
+        request: new InterceptorManager(),
+        response: new InterceptorManager(),
+      };
+    };
   }
 
   /**
@@ -0,0 +1,450 @@
+/**
+ * OfflineQueue utility for Reactive chmlsh
+ * A durable queue that keeps writes made while offline and replays them in order
+ */
+
+import { AsyncStorage } from './AsyncStorage';
+import { Networking } from './Networking';
+import { NetInfo } from './NetInfo';
+
+/**
+ * Generate an ID for a queued request
+ * @returns {string} Request ID
+ * @private
+ */
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Default conflict handling: retry server errors, timeouts and network errors, move everything else to the dead-letter list
+ * A request whose successful response could not be parsed was applied by the
+ * server, so it is dead-lettered rather than sent again.
+ * @param {Object} entry - Queued request
+ * @param {Error} error - Error returned by the replay
+ * @returns {string} 'retry', 'discard' or 'deadLetter'
+ * @private
+ */
+function defaultOnConflict(entry, error) {
+  if (error.status >= 500 || error.status === 408 || error.status === 429) {
+    return 'retry';
+  }
+  
+  if (error.name === 'TimeoutError' || error.isNetworkError) {
+    return 'retry';
+  }
+  
+  return 'deadLetter';
+}
+
+/**
+ * OfflineQueue class for queueing requests while offline
+ * Queued requests are replayed through the Networking class the queue was started
+ * with, so request data must be JSON-serializable.
+ */
+class OfflineQueue {
+  static _options = {
+    storageKey: 'offlineQueue',
+    methods: ['POST', 'PUT', 'DELETE'],
+    maxRetries: 5,
+    retryDelay: 1000,
+    onConflict: defaultOnConflict,
+    networking: Networking,
+  };
+  static _pending = [];
+  static _deadLetters = [];
+  static _loaded = null;
+  static _flushing = null;
+  static _retryTimeout = null;
+  static _started = false;
+  static _removeNetInfoListener = null;
+  static _listeners = {
+    change: [],
+    enqueue: [],
+    replay: [],
+    failure: [],
+    deadLetter: [],
+  };
+
+  /**
+   * Start queueing offline writes and replay the saved queue
+   * @param {Object} options - Queue options
+   * @param {string} options.storageKey - AsyncStorage key of the queue
+   * @param {string[]} options.methods - Methods to queue
+   * @param {number} options.maxRetries - Replays of a failing request before it is dead-lettered
+   * @param {number} options.retryDelay - Base delay in milliseconds before replaying a failed request again
+   * @param {Function} options.onConflict - Function (entry, error) returning 'retry', 'discard' or 'deadLetter'
+   * @param {typeof Networking} options.networking - Networking class to queue requests of and replay them with
+   * @returns {Promise<void>}
+   */
+  static async start(options = {}) {
+    if (OfflineQueue._started) {
+      OfflineQueue.stop();
+    }
+    
+    OfflineQueue._options = {
+      ...OfflineQueue._options,
+      ...options,
+    };
+    OfflineQueue._options.networking._offlineQueue = OfflineQueue;
+    OfflineQueue._started = true;
+    OfflineQueue._removeNetInfoListener = NetInfo.addEventListener(OfflineQueue._handleConnectivityChange);
+    
+    await OfflineQueue._load();
+    
+    if (OfflineQueue.isOnline()) {
+      await OfflineQueue.flush();
+    }
+  }
+
+  /**
+   * Stop queueing requests
+   * Saved requests stay in storage and are replayed on the next start.
+   */
+  static stop() {
+    const { networking } = OfflineQueue._options;
+    
+    if (networking._offlineQueue === OfflineQueue) {
+      networking._offlineQueue = null;
+    }
+    
+    if (OfflineQueue._removeNetInfoListener) {
+      OfflineQueue._removeNetInfoListener();
+      OfflineQueue._removeNetInfoListener = null;
+    }
+    
+    clearTimeout(OfflineQueue._retryTimeout);
+    OfflineQueue._started = false;
+  }
+
+  /**
+   * Check if a request should go through the queue
+   * @param {Object} config - Request config
+   * @returns {boolean} Whether the request method is queued
+   */
+  static handles(config) {
+    return OfflineQueue._options.methods.includes((config.method || 'GET').toUpperCase());
+  }
+
+  /**
+   * Check if the device is online
+   * @returns {boolean} Whether NetInfo reports the device online
+   */
+  static isOnline() {
+    return NetInfo.isOnline();
+  }
+
+  /**
+   * Add a request to the queue
+   * Rejects, without queueing the request, when the queue cannot be saved.
+   * @param {Object} config - Request config with an absolute URL
+   * @returns {Promise<Object>} { queued: true, id }
+   */
+  static async enqueue(config) {
+    await OfflineQueue._load();
+    
+    const { signal, ...requestConfig } = config;
+    
+    const entry = {
+      id: generateId(),
+      config: requestConfig,
+      createdAt: Date.now(),
+      retryCount: 0,
+      lastError: null,
+    };
+    
+    OfflineQueue._pending.push(entry);
+    
+    try {
+      await OfflineQueue._save();
+    } catch (error) {
+      OfflineQueue._pending = OfflineQueue._pending.filter(e => e !== entry);
+      throw error;
+    }
+    
+    OfflineQueue._notifyListeners('enqueue', entry);
+    OfflineQueue._notifyChange();
+    
+    return { queued: true, id: entry.id };
+  }
+
+  /**
+   * Replay queued requests in order
+   * Stops at the first request that cannot be sent, so later ones never overtake it.
+   * @returns {Promise<void>}
+   */
+  static flush() {
+    if (!OfflineQueue._flushing) {
+      OfflineQueue._flushing = OfflineQueue._replay().finally(() => {
+        OfflineQueue._flushing = null;
+      });
+    }
+    
+    return OfflineQueue._flushing;
+  }
+
+  /**
+   * Get the requests waiting to be replayed
+   * @returns {Array<Object>} Queued requests
+   */
+  static getPending() {
+    return OfflineQueue._pending.slice();
+  }
+
+  /**
+   * Get the requests that failed for good
+   * @returns {Array<Object>} Dead-lettered requests
+   */
+  static getDeadLetters() {
+    return OfflineQueue._deadLetters.slice();
+  }
+
+  /**
+   * Move a dead-lettered request back to the end of the queue
+   * @param {string} id - Request ID
+   * @returns {Promise<void>}
+   */
+  static async retryDeadLetter(id) {
+    await OfflineQueue._load();
+    
+    const entry = OfflineQueue._deadLetters.find(e => e.id === id);
+    
+    if (!entry) {
+      return;
+    }
+    
+    OfflineQueue._deadLetters = OfflineQueue._deadLetters.filter(e => e !== entry);
+    OfflineQueue._pending.push({ ...entry, retryCount: 0 });
+    await OfflineQueue._save();
+    OfflineQueue._notifyChange();
+    
+    if (OfflineQueue.isOnline()) {
+      await OfflineQueue.flush();
+    }
+  }
+
+  /**
+   * Remove a request from the queue or the dead-letter list
+   * @param {string} id - Request ID
+   * @returns {Promise<void>}
+   */
+  static async remove(id) {
+    await OfflineQueue._load();
+    
+    OfflineQueue._pending = OfflineQueue._pending.filter(e => e.id !== id);
+    OfflineQueue._deadLetters = OfflineQueue._deadLetters.filter(e => e.id !== id);
+    await OfflineQueue._save();
+    OfflineQueue._notifyChange();
+  }
+
+  /**
+   * Remove every queued and dead-lettered request
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    await OfflineQueue._load();
+    
+    OfflineQueue._pending = [];
+    OfflineQueue._deadLetters = [];
+    await OfflineQueue._save();
+    OfflineQueue._notifyChange();
+  }
+
+  /**
+   * Add queue listener
+   * 'failure' listeners get { entry, error }; entry is null when a replay started
+   * in the background failed as a whole, e.g. because the queue could not be saved.
+   * @param {string} event - 'change', 'enqueue', 'replay', 'failure' or 'deadLetter'
+   * @param {Function} listener - Listener function
+   * @returns {Function} Unsubscribe function
+   */
+  static addListener(event, listener) {
+    if (!OfflineQueue._listeners[event]) {
+      console.warn(`Invalid event: ${event}`);
+      return () => {};
+    }
+    
+    OfflineQueue._listeners[event].push(listener);
+    
+    return () => {
+      OfflineQueue._listeners[event] = OfflineQueue._listeners[event].filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Replay queued requests until the queue is empty or a request cannot be sent
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _replay() {
+    await OfflineQueue._load();
+    clearTimeout(OfflineQueue._retryTimeout);
+    
+    const { networking, onConflict, maxRetries, retryDelay } = OfflineQueue._options;
+    
+    while (OfflineQueue._pending.length > 0 && OfflineQueue.isOnline()) {
+      const entry = OfflineQueue._pending[0];
+      
+      let data;
+      
+      try {
+        data = await networking.request({
+          ...entry.config,
+          offline: false,
+        });
+      } catch (error) {
+        // Still unreachable, try again when the connection comes back.
+        // Failures while online count as an attempt, so they end up dead-lettered.
+        if (error.isNetworkError && !OfflineQueue.isOnline()) {
+          return;
+        }
+        
+        entry.lastError = {
+          message: error.message,
+          status: error.status,
+          data: error.data,
+        };
+        OfflineQueue._notifyListeners('failure', { entry, error });
+        
+        let resolution;
+        
+        try {
+          resolution = await onConflict(entry, error);
+        } catch (conflictError) {
+          console.error('OfflineQueue onConflict error:', conflictError);
+          resolution = 'deadLetter';
+        }
+        
+        if (resolution === 'discard') {
+          await OfflineQueue._removePending(entry);
+          continue;
+        }
+        
+        if (resolution === 'retry' && entry.retryCount < maxRetries) {
+          entry.retryCount += 1;
+          await OfflineQueue._save();
+          OfflineQueue._notifyChange();
+          
+          OfflineQueue._retryTimeout = setTimeout(
+            OfflineQueue._flushInBackground,
+            retryDelay * Math.pow(2, entry.retryCount - 1)
+          );
+          return;
+        }
+        
+        OfflineQueue._deadLetters.push(entry);
+        await OfflineQueue._removePending(entry);
+        OfflineQueue._notifyListeners('deadLetter', entry);
+        continue;
+      }
+      
+      // Outside of the try block: a failed save must not be taken for a failed request
+      await OfflineQueue._removePending(entry);
+      OfflineQueue._notifyListeners('replay', { entry, data });
+    }
+  }
+
+  /**
+   * Remove a request from the queue and save it
+   * @param {Object} entry - Queued request
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _removePending(entry) {
+    OfflineQueue._pending = OfflineQueue._pending.filter(e => e !== entry);
+    await OfflineQueue._save();
+    OfflineQueue._notifyChange();
+  }
+
+  /**
+   * Load the saved queue once
+   * A failed load rejects and is tried again on next use, so that the saved
+   * queue is never overwritten by one that did not include it.
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _load() {
+    if (!OfflineQueue._loaded) {
+      OfflineQueue._loaded = (async () => {
+        const saved = await AsyncStorage.getItem(OfflineQueue._options.storageKey);
+        
+        if (saved) {
+          const { pending = [], deadLetters = [] } = JSON.parse(saved);
+          
+          // Requests queued before loading finished stay after the saved ones
+          OfflineQueue._pending = [...pending, ...OfflineQueue._pending];
+          OfflineQueue._deadLetters = [...deadLetters, ...OfflineQueue._deadLetters];
+          OfflineQueue._notifyChange();
+        }
+      })().catch((error) => {
+        OfflineQueue._loaded = null;
+        throw error;
+      });
+    }
+    
+    return OfflineQueue._loaded;
+  }
+
+  /**
+   * Save the queue
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _save() {
+    await AsyncStorage.setItem(OfflineQueue._options.storageKey, JSON.stringify({
+      pending: OfflineQueue._pending,
+      deadLetters: OfflineQueue._deadLetters,
+    }));
+  }
+
+  /**
+   * Replay the queue when the connection comes back
+   * @returns {void}
+   * @private
+   */
+  static _handleConnectivityChange = () => {
+    if (OfflineQueue.isOnline()) {
+      OfflineQueue._flushInBackground();
+    }
+  };
+
+  /**
+   * Replay the queue with nobody awaiting the result
+   * @returns {void}
+   * @private
+   */
+  static _flushInBackground = () => {
+    OfflineQueue.flush().catch((error) => {
+      OfflineQueue._notifyListeners('failure', { entry: null, error });
+    });
+  };
+
+  /**
+   * Notify change listeners with the queue status
+   * @private
+   */
+  static _notifyChange() {
+    OfflineQueue._notifyListeners('change', {
+      pending: OfflineQueue._pending.length,
+      deadLetters: OfflineQueue._deadLetters.length,
+    });
+  }
+
+  /**
+   * Notify listeners
+   * @param {string} event - Event name
+   * @param {any} data - Event data
+   * @private
+   */
+  static _notifyListeners(event, data) {
+    OfflineQueue._listeners[event].forEach((listener) => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error in offline queue ${event} listener:`, error);
+      }
+    });
+  }
+}
+
+export { OfflineQueue };
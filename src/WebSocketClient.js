@@ -0,0 +1,471 @@
+/**
+ * WebSocketClient utility for Reactive chmlsh
+ * A WebSocket wrapper with auto-reconnect, heartbeat, offline queueing and request/response messages
+ */
+
+// Action types used by createWebSocketMiddleware
+const WebSocketActionTypes = {
+  SEND: '@@chmlsh/ws/SEND',
+  MESSAGE: '@@chmlsh/ws/MESSAGE',
+  OPEN: '@@chmlsh/ws/OPEN',
+  CLOSE: '@@chmlsh/ws/CLOSE',
+  ERROR: '@@chmlsh/ws/ERROR',
+};
+
+// Close code used when the heartbeat gets no answer
+const HEARTBEAT_TIMEOUT_CODE = 4000;
+
+/**
+ * WebSocketClient class for realtime connections
+ */
+class WebSocketClient {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  /**
+   * Create a client
+   * @param {string} url - WebSocket URL
+   * @param {Object} options - Client options
+   * @param {string|string[]} options.protocols - Sub-protocols
+   * @param {boolean} options.autoConnect - Whether to connect right away
+   * @param {boolean} options.reconnect - Whether to reconnect after the connection drops
+   * @param {number} options.minReconnectDelay - First reconnect delay in milliseconds
+   * @param {number} options.maxReconnectDelay - Maximum reconnect delay in milliseconds
+   * @param {number} options.reconnectFactor - Multiplier applied to the delay after each attempt
+   * @param {number} options.maxReconnectAttempts - Attempts before giving up
+   * @param {number} options.heartbeatInterval - Milliseconds between pings, 0 to disable
+   * @param {number} options.heartbeatTimeout - Milliseconds to wait for any message after a ping
+   * @param {any} options.heartbeatMessage - Ping message
+   * @param {Function} options.isHeartbeatResponse - Function (message) returning whether a message is a pong
+   * @param {boolean} options.json - Whether messages are JSON encoded
+   * @param {string} options.idKey - Message field holding the correlation ID of requests
+   * @param {number} options.requestTimeout - Milliseconds to wait for the response to a request
+   * @param {number} options.maxQueueSize - Messages kept while disconnected
+   * @param {Function} options.WebSocket - WebSocket implementation
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.options = {
+      protocols: undefined,
+      autoConnect: true,
+      reconnect: true,
+      minReconnectDelay: 1000,
+      maxReconnectDelay: 30000,
+      reconnectFactor: 2,
+      maxReconnectAttempts: Infinity,
+      heartbeatInterval: 30000,
+      heartbeatTimeout: 10000,
+      heartbeatMessage: { type: 'ping' },
+      isHeartbeatResponse: message => !!message && message.type === 'pong',
+      json: true,
+      idKey: 'id',
+      requestTimeout: 10000,
+      maxQueueSize: 100,
+      WebSocket: typeof WebSocket !== 'undefined' ? WebSocket : undefined,
+      ...options,
+    };
+    
+    this.readyState = WebSocketClient.CLOSED;
+    this._socket = null;
+    this._queue = [];
+    this._pendingRequests = new Map();
+    this._nextRequestId = 0;
+    this._reconnectAttempts = 0;
+    this._reconnectTimeout = null;
+    this._heartbeatIntervalId = null;
+    this._heartbeatTimeoutId = null;
+    this._closedByUser = false;
+    this._connectWhenClosed = false;
+    this._listeners = {
+      open: [],
+      close: [],
+      message: [],
+      error: [],
+      reconnect: [],
+      stateChange: [],
+    };
+    
+    if (this.options.autoConnect) {
+      this.connect();
+    }
+  }
+
+  /**
+   * Open the connection
+   * Called while a connection closed by close() is still closing, it connects
+   * again once that connection is closed.
+   */
+  connect() {
+    if (this._socket) {
+      if (this._closedByUser) {
+        this._connectWhenClosed = true;
+      }
+      
+      return;
+    }
+    
+    const SocketImpl = this.options.WebSocket;
+    
+    if (!SocketImpl) {
+      console.warn('WebSocket is not supported in this environment');
+      return;
+    }
+    
+    this._closedByUser = false;
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+    
+    const socket = new SocketImpl(this.url, this.options.protocols);
+    this._socket = socket;
+    this._setReadyState(WebSocketClient.CONNECTING);
+    
+    // Events of a socket that was already replaced or closed are ignored
+    socket.onopen = () => {
+      if (socket !== this._socket) {
+        return;
+      }
+      
+      this._reconnectAttempts = 0;
+      this._setReadyState(WebSocketClient.OPEN);
+      this._startHeartbeat();
+      this._flushQueue();
+      this._notifyListeners('open');
+    };
+    
+    socket.onmessage = (event) => {
+      if (socket === this._socket) {
+        this._handleMessage(event.data);
+      }
+    };
+    
+    socket.onerror = (event) => {
+      this._notifyListeners('error', event);
+    };
+    
+    socket.onclose = (event) => {
+      this._handleClose(socket, event);
+    };
+  }
+
+  /**
+   * Close the connection without reconnecting
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason) {
+    this._closedByUser = true;
+    this._connectWhenClosed = false;
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+    
+    if (this._socket) {
+      this._setReadyState(WebSocketClient.CLOSING);
+      this._socket.close(code, reason);
+    }
+  }
+
+  /**
+   * Send a message, queueing it while disconnected
+   * @param {any} message - Message, JSON encoded unless `json` is false
+   * @returns {boolean} Whether the message was sent or queued
+   */
+  send(message) {
+    const data = this.options.json ? JSON.stringify(message) : message;
+    
+    if (this.readyState === WebSocketClient.OPEN) {
+      this._socket.send(data);
+      return true;
+    }
+    
+    if (this._queue.length >= this.options.maxQueueSize) {
+      console.warn('WebSocketClient queue is full, dropping message');
+      return false;
+    }
+    
+    this._queue.push(data);
+    return true;
+  }
+
+  /**
+   * Send a message and wait for the response carrying the same correlation ID
+   * Responses with an `error` field reject the promise.
+   * @param {Object} message - Message
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Milliseconds to wait for the response
+   * @returns {Promise<Object>} Response message
+   */
+  request(message, options = {}) {
+    const { timeout = this.options.requestTimeout } = options;
+    const { idKey } = this.options;
+    
+    if (!this.options.json) {
+      return Promise.reject(new Error('WebSocketClient requests need the json option.'));
+    }
+    
+    const id = `${Date.now().toString(36)}-${this._nextRequestId++}`;
+    
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this._pendingRequests.delete(id);
+        reject(new Error(`WebSocket request timed out after ${timeout}ms`));
+      }, timeout);
+      
+      this._pendingRequests.set(id, { resolve, reject, timeoutId });
+      
+      if (!this.send({ ...message, [idKey]: id })) {
+        clearTimeout(timeoutId);
+        this._pendingRequests.delete(id);
+        reject(new Error('WebSocket request could not be queued.'));
+      }
+    });
+  }
+
+  /**
+   * Add client listener
+   * @param {string} event - 'open', 'close', 'message', 'error', 'reconnect' or 'stateChange'
+   * @param {Function} listener - Listener function
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(event, listener) {
+    if (!this._listeners[event]) {
+      console.warn(`Invalid event: ${event}`);
+      return () => {};
+    }
+    
+    this._listeners[event].push(listener);
+    
+    return () => {
+      this._listeners[event] = this._listeners[event].filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Handle an incoming message
+   * @param {any} data - Raw message data
+   * @private
+   */
+  _handleMessage(data) {
+    // Any message proves the connection is alive
+    clearTimeout(this._heartbeatTimeoutId);
+    this._heartbeatTimeoutId = null;
+    
+    let message = data;
+    
+    if (this.options.json && typeof data === 'string') {
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        console.error('Error parsing WebSocket message:', error);
+        return;
+      }
+    }
+    
+    if (this.options.isHeartbeatResponse(message)) {
+      return;
+    }
+    
+    const id = message && typeof message === 'object' ? message[this.options.idKey] : undefined;
+    
+    if (id !== undefined && this._pendingRequests.has(id)) {
+      const pending = this._pendingRequests.get(id);
+      this._pendingRequests.delete(id);
+      clearTimeout(pending.timeoutId);
+      
+      if (message.error) {
+        const error = new Error(message.error.message || String(message.error));
+        error.response = message;
+        pending.reject(error);
+      } else {
+        pending.resolve(message);
+      }
+      return;
+    }
+    
+    this._notifyListeners('message', message);
+  }
+
+  /**
+   * Handle the socket closing and schedule a reconnect
+   * @param {WebSocket} socket - Socket that closed
+   * @param {CloseEvent} event - Close event
+   * @private
+   */
+  _handleClose(socket, event) {
+    if (socket !== this._socket) {
+      return;
+    }
+    
+    this._socket = null;
+    this._stopHeartbeat();
+    this._setReadyState(WebSocketClient.CLOSED);
+    
+    // Responses to requests sent on this socket will never arrive
+    this._pendingRequests.forEach(({ reject, timeoutId }) => {
+      clearTimeout(timeoutId);
+      reject(new Error('WebSocket connection closed'));
+    });
+    this._pendingRequests.clear();
+    
+    this._notifyListeners('close', event);
+    
+    if (this._connectWhenClosed) {
+      this._connectWhenClosed = false;
+      this.connect();
+      return;
+    }
+    
+    const {
+      reconnect,
+      minReconnectDelay,
+      maxReconnectDelay,
+      reconnectFactor,
+      maxReconnectAttempts,
+    } = this.options;
+    
+    if (this._closedByUser || !reconnect || this._reconnectAttempts >= maxReconnectAttempts) {
+      return;
+    }
+    
+    const delay = Math.min(
+      maxReconnectDelay,
+      minReconnectDelay * Math.pow(reconnectFactor, this._reconnectAttempts)
+    );
+    
+    // Jitter keeps clients from reconnecting all at once after a server restart
+    const jitteredDelay = delay / 2 + Math.random() * (delay / 2);
+    
+    this._reconnectAttempts += 1;
+    this._notifyListeners('reconnect', {
+      attempt: this._reconnectAttempts,
+      delay: jitteredDelay,
+    });
+    
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      this.connect();
+    }, jitteredDelay);
+  }
+
+  /**
+   * Send the messages queued while disconnected
+   * @private
+   */
+  _flushQueue() {
+    const queue = this._queue;
+    this._queue = [];
+    
+    queue.forEach(data => this._socket.send(data));
+  }
+
+  /**
+   * Start sending pings
+   * @private
+   */
+  _startHeartbeat() {
+    const { heartbeatInterval, heartbeatTimeout, heartbeatMessage } = this.options;
+    
+    if (!heartbeatInterval) {
+      return;
+    }
+    
+    this._heartbeatIntervalId = setInterval(() => {
+      if (this.readyState !== WebSocketClient.OPEN || this._heartbeatTimeoutId) {
+        return;
+      }
+      
+      this.send(heartbeatMessage);
+      
+      this._heartbeatTimeoutId = setTimeout(() => {
+        this._heartbeatTimeoutId = null;
+        
+        // The connection is dead; closing it triggers a reconnect
+        if (this._socket) {
+          this._socket.close(HEARTBEAT_TIMEOUT_CODE, 'Heartbeat timeout');
+        }
+      }, heartbeatTimeout);
+    }, heartbeatInterval);
+  }
+
+  /**
+   * Stop sending pings
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatIntervalId);
+    clearTimeout(this._heartbeatTimeoutId);
+    this._heartbeatIntervalId = null;
+    this._heartbeatTimeoutId = null;
+  }
+
+  /**
+   * Update the ready state
+   * @param {number} readyState - Ready state
+   * @private
+   */
+  _setReadyState(readyState) {
+    if (this.readyState !== readyState) {
+      this.readyState = readyState;
+      this._notifyListeners('stateChange', readyState);
+    }
+  }
+
+  /**
+   * Notify listeners
+   * @param {string} event - Event name
+   * @param {any} data - Event data
+   * @private
+   */
+  _notifyListeners(event, data) {
+    this._listeners[event].forEach((listener) => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error in WebSocket ${event} listener:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * Create a store middleware that connects a WebSocketClient to ChmlshStore
+ * Incoming messages and connection changes are dispatched as actions, and
+ * `WebSocketActionTypes.SEND` actions are sent over the socket. With
+ * `meta.request` set, dispatch returns the promise of the response.
+ * @param {WebSocketClient} client - Client
+ * @returns {Function} Middleware
+ */
+function createWebSocketMiddleware(client) {
+  return ({ dispatch }) => {
+    client.addListener('message', (message) => {
+      dispatch({ type: WebSocketActionTypes.MESSAGE, payload: message });
+    });
+    client.addListener('open', () => {
+      dispatch({ type: WebSocketActionTypes.OPEN });
+    });
+    client.addListener('close', (event) => {
+      dispatch({
+        type: WebSocketActionTypes.CLOSE,
+        payload: { code: event && event.code, reason: event && event.reason },
+      });
+    });
+    client.addListener('error', () => {
+      dispatch({ type: WebSocketActionTypes.ERROR });
+    });
+    
+    return next => (action) => {
+      if (!action || action.type !== WebSocketActionTypes.SEND) {
+        return next(action);
+      }
+      
+      if (action.meta && action.meta.request) {
+        return client.request(action.payload);
+      }
+      
+      return client.send(action.payload);
+    };
+  };
+}
+
+export { WebSocketClient, WebSocketActionTypes, createWebSocketMiddleware };
@@ -0,0 +1,220 @@
+import { AsyncStorage } from '../AsyncStorage';
+import { MemoryStorageBackend } from '../storage';
+
+describe('AsyncStorage', () => {
+  beforeEach(() => {
+    AsyncStorage.configure({ backend: 'memory', budget: null, evictionPolicy: null });
+  });
+
+  it('rejects when the backend fails to write', async () => {
+    const backend = new MemoryStorageBackend();
+    backend.setItem = async () => {
+      throw new Error('QuotaExceededError');
+    };
+    AsyncStorage.configure({ backend });
+
+    await expect(AsyncStorage.setItem('a', '1')).rejects.toThrow('QuotaExceededError');
+  });
+
+  describe('transaction', () => {
+    it('stores the writes together when the callback resolves', async () => {
+      await AsyncStorage.setItem('count', '1');
+
+      const result = await AsyncStorage.transaction(async (tx) => {
+        const count = Number(await tx.getItem('count'));
+        await tx.setItem('count', String(count + 1));
+        await tx.setItem('other', 'x');
+        return count;
+      });
+
+      expect(result).toBe(1);
+      expect(await AsyncStorage.getItem('count')).toBe('2');
+      expect(await AsyncStorage.getItem('other')).toBe('x');
+    });
+
+    it('drops the writes when the callback throws', async () => {
+      await AsyncStorage.setItem('count', '1');
+
+      await expect(AsyncStorage.transaction(async (tx) => {
+        await tx.setItem('count', '2');
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await AsyncStorage.getItem('count')).toBe('1');
+    });
+
+    it('does not interleave concurrent read-modify-write transactions', async () => {
+      await AsyncStorage.setItem('count', '0');
+
+      const increment = () => AsyncStorage.transaction(async (tx) => {
+        const count = Number(await tx.getItem('count'));
+        await Promise.resolve();
+        await tx.setItem('count', String(count + 1));
+      });
+
+      await Promise.all([increment(), increment(), increment()]);
+
+      expect(await AsyncStorage.getItem('count')).toBe('3');
+    });
+
+    it('rejects a transaction started from the callback of another one', async () => {
+      const save = value => AsyncStorage.transaction(tx => tx.setItem('saved', value));
+
+      await expect(AsyncStorage.transaction(async (tx) => {
+        await tx.setItem('count', '1');
+        await save('x');
+      })).rejects.toMatchObject({ name: 'NestedTransactionError' });
+
+      expect(await AsyncStorage.getItem('count')).toBeNull();
+      await save('y');
+      expect(await AsyncStorage.getItem('saved')).toBe('y');
+    }, 1000);
+  });
+
+  it('keeps multiSet all or nothing when the backend fails', async () => {
+    const backend = new MemoryStorageBackend();
+    const writeBatch = backend.writeBatch.bind(backend);
+    backend.writeBatch = async (keyValuePairs, keysToRemove) => {
+      if (keyValuePairs.length > 1) {
+        throw new Error('QuotaExceededError');
+      }
+      return writeBatch(keyValuePairs, keysToRemove);
+    };
+    AsyncStorage.configure({ backend });
+
+    await expect(AsyncStorage.multiSet([['a', '1'], ['b', '2']])).rejects.toThrow('QuotaExceededError');
+    expect(await AsyncStorage.multiGet(['a', 'b'])).toEqual([['a', null], ['b', null]]);
+  });
+
+  describe('JSON values', () => {
+    const isUser = value => (typeof value.name === 'string' ? null : 'name must be a string');
+
+    it('round-trips values that match the schema', async () => {
+      await AsyncStorage.setJSON('user', { name: 'Ada' }, { schema: isUser });
+
+      expect(await AsyncStorage.getJSON('user', { schema: isUser })).toEqual({ name: 'Ada' });
+    });
+
+    it('rejects without writing a value that does not match the schema', async () => {
+      await expect(AsyncStorage.setJSON('user', { name: 1 }, { schema: isUser }))
+        .rejects.toMatchObject({ name: 'StorageValidationError', key: 'user' });
+      expect(await AsyncStorage.getItem('user')).toBeNull();
+    });
+
+    it('rejects stored values that are not valid JSON', async () => {
+      await AsyncStorage.setItem('user', '{not json');
+
+      await expect(AsyncStorage.getJSON('user')).rejects.toThrow(SyntaxError);
+    });
+
+    it('supports schemas with a parse method', async () => {
+      const schema = {
+        parse: (value) => {
+          if (!Array.isArray(value)) {
+            throw new Error('expected an array');
+          }
+          return value;
+        },
+      };
+      await AsyncStorage.setItem('list', '{}');
+
+      await expect(AsyncStorage.getJSON('list', { schema })).rejects.toThrow('expected an array');
+    });
+  });
+
+  describe('budget', () => {
+    // '@ReactiveChmlsh:x' and a 1 character value are 36 bytes
+    const fill = length => 'v'.repeat(length);
+
+    it('rejects concurrent writes that together exceed the budget', async () => {
+      AsyncStorage.configure({ budget: 200 });
+      await AsyncStorage.setItem('x', fill(1));
+
+      // '@ReactiveChmlsh:kN' and a 20 character value are 76 bytes
+      const results = await Promise.allSettled([
+        AsyncStorage.setItem('k1', fill(20)),
+        AsyncStorage.setItem('k2', fill(20)),
+        AsyncStorage.setItem('k3', fill(20)),
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+      expect(results[2].reason).toMatchObject({ name: 'StorageBudgetError', budget: 200 });
+      expect((await AsyncStorage.getUsage()).totalBytes).toBe(188);
+    });
+
+    it('evicts the keys returned by the eviction policy to make room', async () => {
+      const onExceeded = jest.fn();
+      AsyncStorage.configure({
+        budget: 120,
+        evictionPolicy: async () => ['old'],
+      });
+      const unsubscribe = AsyncStorage.addListener('budgetExceeded', onExceeded);
+      await AsyncStorage.setItem('old', fill(20));
+
+      await AsyncStorage.setItem('new', fill(20));
+
+      expect(await AsyncStorage.getItem('old')).toBeNull();
+      expect(await AsyncStorage.getItem('new')).toBe(fill(20));
+      expect(onExceeded).toHaveBeenCalledWith(expect.objectContaining({ keys: ['new'], budget: 120 }));
+      unsubscribe();
+    });
+
+    it('lets the eviction policy remove items through AsyncStorage', async () => {
+      AsyncStorage.configure({
+        budget: 120,
+        evictionPolicy: async () => {
+          await AsyncStorage.removeItem('old');
+          return [];
+        },
+      });
+      await AsyncStorage.setItem('old', fill(20));
+
+      await AsyncStorage.setItem('new', fill(20));
+
+      expect(await AsyncStorage.getItem('old')).toBeNull();
+      expect(await AsyncStorage.getItem('new')).toBe(fill(20));
+    }, 1000);
+
+    it('evicts items of storage instances by their stored key', async () => {
+      const cart = AsyncStorage.createInstance({ namespace: 'cart' });
+      await cart.setItem('old', fill(20), { ttl: null });
+      const policy = jest.fn(async ({ keys }) => {
+        expect(keys).toEqual(['new']);
+        return ['@ReactiveChmlsh#cart:old'];
+      });
+      AsyncStorage.configure({ budget: 160, evictionPolicy: policy });
+
+      await AsyncStorage.setItem('new', fill(20));
+
+      expect(policy).toHaveBeenCalled();
+      expect(await cart.getItem('old')).toBeNull();
+    });
+
+    it('rejects the write when the policy does not make enough room', async () => {
+      AsyncStorage.configure({
+        budget: 120,
+        evictionPolicy: async () => [],
+      });
+      await AsyncStorage.setItem('old', fill(20));
+
+      await expect(AsyncStorage.setItem('new', fill(20))).rejects.toMatchObject({ name: 'StorageBudgetError' });
+      expect(await AsyncStorage.getItem('new')).toBeNull();
+    });
+
+    it('reports usage by key and namespace', async () => {
+      AsyncStorage.configure({ budget: 1000 });
+      await AsyncStorage.setItem('x', fill(1));
+      await AsyncStorage.setItem('cache:a', fill(3));
+      await AsyncStorage.createInstance({ namespace: 'cart' }).setItem('k', 'v', { ttl: null });
+
+      const usage = await AsyncStorage.getUsage();
+
+      const cartKey = '@ReactiveChmlsh#cart:k';
+
+      expect(usage.keys).toEqual({ x: 36, 'cache:a': 52, [cartKey]: expect.any(Number) });
+      expect(usage.namespaces).toEqual({ '': 36, cache: 52, cart: usage.keys[cartKey] });
+      expect(usage.totalBytes).toBe(88 + usage.keys[cartKey]);
+      expect(usage.budget).toBe(1000);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { EventSourceClient } from '../EventSourceClient';
+
+const encoder = new TextEncoder();
+
+// Response whose body stays open until end() is called
+const createStream = (status = 200, contentType = 'text/event-stream') => {
+  let controller;
+  const body = new ReadableStream({
+    start(c) {
+      controller = c;
+    },
+  });
+
+  return {
+    response: new Response(status === 204 ? null : body, { status, headers: { 'content-type': contentType } }),
+    push: text => controller.enqueue(encoder.encode(text)),
+    end: () => controller.close(),
+  };
+};
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 50 && !check(); i++) {
+    await nextTick();
+  }
+};
+
+describe('EventSourceClient', () => {
+  let client;
+
+  afterEach(() => {
+    if (client) {
+      client.close();
+    }
+  });
+
+  it('parses messages, named events and event IDs across chunks', async () => {
+    const stream = createStream();
+    const messages = [];
+    const updates = [];
+
+    client = new EventSourceClient('http://api.test/events', { fetch: async () => stream.response });
+    client.addListener('message', event => messages.push(event.data));
+    client.addListener('update', event => updates.push(event));
+
+    await waitFor(() => client.readyState === EventSourceClient.OPEN);
+    stream.push(': keep-alive\r\ndata: first\r');
+    stream.push('\ndata: line\r\n\r\nevent: update\nid: 7\ndata: {"n":1}\n');
+    stream.push('\n');
+    await waitFor(() => updates.length > 0);
+
+    expect(messages).toEqual(['first\nline']);
+    expect(updates).toEqual([{ type: 'update', data: '{"n":1}', lastEventId: '7' }]);
+    expect(client.lastEventId).toBe('7');
+  });
+
+  it('parses JSON data', async () => {
+    const stream = createStream();
+    const messages = [];
+
+    client = new EventSourceClient('http://api.test/events', { fetch: async () => stream.response, json: true });
+    client.addListener('message', event => messages.push(event.data));
+
+    await waitFor(() => client.readyState === EventSourceClient.OPEN);
+    stream.push('data: {"n":1}\n\n');
+    await waitFor(() => messages.length > 0);
+
+    expect(messages).toEqual([{ n: 1 }]);
+  });
+
+  it('reconnects with the last event ID and custom headers after the stream ends', async () => {
+    const streams = [createStream(), createStream()];
+    const fetchImpl = jest.fn(async () => streams[fetchImpl.mock.calls.length - 1].response);
+
+    client = new EventSourceClient('http://api.test/events', {
+      fetch: fetchImpl,
+      headers: async () => ({ Authorization: 'Bearer token' }),
+      minReconnectDelay: 1,
+    });
+
+    await waitFor(() => client.readyState === EventSourceClient.OPEN);
+    streams[0].push('id: 42\ndata: hi\n\n');
+    streams[0].end();
+    await waitFor(() => fetchImpl.mock.calls.length === 2);
+
+    expect(fetchImpl.mock.calls[1][1].headers).toMatchObject({
+      'Authorization': 'Bearer token',
+      'Last-Event-ID': '42',
+    });
+  });
+
+  it('stops reconnecting when the server answers 204', async () => {
+    const fetchImpl = jest.fn(async () => createStream(204).response);
+    const errors = [];
+
+    client = new EventSourceClient('http://api.test/events', { fetch: fetchImpl, minReconnectDelay: 1 });
+    client.addListener('error', error => errors.push(error));
+
+    await waitFor(() => errors.length > 0);
+    await nextTick();
+
+    expect(errors[0].fatal).toBe(true);
+    expect(client.readyState).toBe(EventSourceClient.CLOSED);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects responses that are not event streams', async () => {
+    const errors = [];
+
+    client = new EventSourceClient('http://api.test/events', {
+      fetch: async () => createStream(200, 'application/json').response,
+    });
+    client.addListener('error', error => errors.push(error));
+
+    await waitFor(() => errors.length > 0);
+
+    expect(errors[0].message).toContain('Unexpected event stream content type');
+    expect(client.readyState).toBe(EventSourceClient.CLOSED);
+  });
+
+  it('does not connect until asked when autoConnect is false', () => {
+    const fetchImpl = jest.fn();
+
+    client = new EventSourceClient('http://api.test/events', { fetch: fetchImpl, autoConnect: false });
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(client.readyState).toBe(EventSourceClient.CLOSED);
+  });
+});
@@ -0,0 +1,135 @@
+import { HttpCache } from '../HttpCache';
+import { Networking } from '../Networking';
+import { NetworkMock } from '../NetworkMock';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('HttpCache with Networking.get', () => {
+  let Api;
+  let cache;
+
+  beforeEach(() => {
+    cache = new HttpCache();
+    Api = Networking.create({ baseURL: 'http://api.test', retry: { retries: 0 } });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+  });
+
+  afterEach(() => {
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  it('serves fresh entries without a request', async () => {
+    const handler = jest.fn(() => ({
+      status: 200,
+      headers: { 'Cache-Control': 'max-age=60' },
+      body: { n: handler.mock.calls.length },
+    }));
+    NetworkMock.get('/items', handler);
+
+    await expect(Api.get('/items', { cache })).resolves.toEqual({ n: 1 });
+    await expect(Api.get('/items', { cache })).resolves.toEqual({ n: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves stale entries while revalidating them in the background', async () => {
+    const handler = jest.fn(() => ({
+      status: 200,
+      headers: { 'Cache-Control': 'max-age=0, stale-while-revalidate=60' },
+      body: { n: handler.mock.calls.length },
+    }));
+    NetworkMock.get('/items', handler);
+
+    await Api.get('/items', { cache });
+
+    await expect(Api.get('/items', { cache })).resolves.toEqual({ n: 1 });
+    await wait(0);
+    expect(handler).toHaveBeenCalledTimes(2);
+    await expect(Api.get('/items', { cache })).resolves.toEqual({ n: 2 });
+  });
+
+  it('revalidates expired entries with their validators', async () => {
+    NetworkMock.get('/items', (request) => (
+      request.headers['If-None-Match'] === '"v1"'
+        ? { status: 304, headers: { 'Cache-Control': 'max-age=60' } }
+        : { status: 200, headers: { ETag: '"v1"' }, body: { n: 1 } }
+    ));
+
+    await Api.get('/items', { cache });
+
+    await expect(Api.get('/items', { cache })).resolves.toEqual({ n: 1 });
+    expect(cache.getFreshness(await cache.get('http://api.test/items', { Accept: 'application/json' })))
+      .toBe('fresh');
+  });
+
+  it('does not store responses to authenticated requests unless they are public', async () => {
+    const handler = jest.fn(() => ({ status: 200, headers: { 'Cache-Control': 'max-age=60' }, body: {} }));
+    NetworkMock.get('/me', handler);
+
+    await Api.get('/me', { cache, headers: { Authorization: 'Bearer a' } });
+    await Api.get('/me', { cache, headers: { Authorization: 'Bearer a' } });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not serve a response stored for one Authorization to another', async () => {
+    NetworkMock.get('/me', request => ({
+      status: 200,
+      headers: { 'Cache-Control': 'public, max-age=60' },
+      body: { token: request.headers.Authorization },
+    }));
+
+    await Api.get('/me', { cache, headers: { Authorization: 'Bearer a' } });
+
+    await expect(Api.get('/me', { cache, headers: { Authorization: 'Bearer b' } }))
+      .resolves.toEqual({ token: 'Bearer b' });
+    await expect(Api.get('/me', { cache })).resolves.toEqual({});
+  });
+
+  it('matches entries on the headers named by Vary', async () => {
+    NetworkMock.get('/greeting', request => ({
+      status: 200,
+      headers: { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' },
+      body: { language: request.headers['Accept-Language'] },
+    }));
+
+    await Api.get('/greeting', { cache, headers: { 'Accept-Language': 'en' } });
+
+    await expect(Api.get('/greeting', { cache, headers: { 'Accept-Language': 'fr' } }))
+      .resolves.toEqual({ language: 'fr' });
+  });
+
+  it('matches on headers added by request interceptors', async () => {
+    let token = 'a';
+    Api.interceptors.request.use(config => ({
+      ...config,
+      headers: { ...config.headers, 'X-User': token },
+    }));
+    NetworkMock.get('/me', request => ({
+      status: 200,
+      headers: { 'Cache-Control': 'max-age=60', Vary: 'X-User' },
+      body: { user: request.headers['X-User'] },
+    }));
+
+    await Api.get('/me', { cache });
+    token = 'b';
+
+    await expect(Api.get('/me', { cache })).resolves.toEqual({ user: 'b' });
+  });
+
+  it('lets a caller stop waiting without aborting the shared request', async () => {
+    const handler = jest.fn(() => ({ status: 200, headers: { 'Cache-Control': 'max-age=60' }, body: { ok: true } }));
+    NetworkMock.get('/items', handler);
+    NetworkMock.get('/items', { delay: 20, status: 200, headers: { 'Cache-Control': 'max-age=60' }, body: { ok: 1 } }, { once: true });
+    const controller = new AbortController();
+
+    const first = Api.get('/items', { cache, signal: controller.signal });
+    const second = Api.get('/items', { cache });
+    controller.abort();
+
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(second).resolves.toEqual({ ok: 1 });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+import { NetInfo } from '../NetInfo';
+
+const setNavigator = (value) => {
+  Object.defineProperty(global, 'navigator', { value, configurable: true, writable: true });
+};
+
+describe('NetInfo', () => {
+  const originalFetch = global.fetch;
+  const originalNavigator = Object.getOwnPropertyDescriptor(global, 'navigator');
+  let unsubscribers;
+
+  beforeEach(() => {
+    unsubscribers = [];
+    NetInfo.configure({ reachabilityUrl: null });
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    global.fetch = originalFetch;
+
+    if (originalNavigator) {
+      Object.defineProperty(global, 'navigator', originalNavigator);
+    } else {
+      delete global.navigator;
+    }
+
+    NetInfo.configure({ reachabilityUrl: null });
+  });
+
+  it('reports the connection of the device', () => {
+    setNavigator({
+      onLine: true,
+      connection: { type: 'cellular', effectiveType: '3g', downlink: 1.5, rtt: 300, saveData: true },
+    });
+
+    expect(NetInfo.getState()).toEqual({
+      type: 'cellular',
+      isConnected: true,
+      isInternetReachable: null,
+      details: { effectiveType: '3g', downlink: 1.5, rtt: 300, saveData: true },
+    });
+    expect(NetInfo.isOnline()).toBe(true);
+  });
+
+  it('reports a device without a connection as offline', () => {
+    setNavigator({ onLine: false });
+
+    expect(NetInfo.getState()).toMatchObject({ type: 'none', isConnected: false, isInternetReachable: false });
+    expect(NetInfo.isOnline()).toBe(false);
+  });
+
+  it('probes the reachability URL', async () => {
+    setNavigator({ onLine: true });
+    global.fetch = jest.fn(async () => ({ ok: true }));
+    NetInfo.configure({ reachabilityUrl: 'http://api.test/ping' });
+
+    await expect(NetInfo.fetch()).resolves.toMatchObject({ isConnected: true, isInternetReachable: true });
+    expect(global.fetch).toHaveBeenCalledWith('http://api.test/ping', expect.objectContaining({ method: 'HEAD' }));
+  });
+
+  it('treats a failing probe as unreachable', async () => {
+    setNavigator({ onLine: true });
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    NetInfo.configure({ reachabilityUrl: 'http://api.test/ping' });
+
+    await NetInfo.refresh();
+
+    expect(NetInfo.getState()).toMatchObject({ isConnected: true, isInternetReachable: false });
+    expect(NetInfo.isOnline()).toBe(false);
+  });
+
+  it('notifies listeners when the state changes', async () => {
+    setNavigator({ onLine: true });
+    let reachable = true;
+    global.fetch = jest.fn(async () => ({ ok: reachable }));
+    NetInfo.configure({ reachabilityUrl: 'http://api.test/ping' });
+    const listener = jest.fn();
+
+    unsubscribers.push(NetInfo.addEventListener(listener));
+    await NetInfo.refresh();
+    await NetInfo.refresh();
+
+    reachable = false;
+    await NetInfo.refresh();
+
+    expect(listener.mock.calls.map(([state]) => state.isInternetReachable)).toEqual([true, false]);
+  });
+});
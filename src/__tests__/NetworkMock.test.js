@@ -0,0 +1,36 @@
+import { Networking } from '../Networking';
+import { NetworkMock } from '../NetworkMock';
+
+describe('NetworkMock', () => {
+  let Api;
+
+  beforeEach(() => {
+    Api = Networking.create({ baseURL: 'http://api.test', retry: { retries: 0 } });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+  });
+
+  afterEach(() => {
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  it('answers with the spec of the matching route', async () => {
+    NetworkMock.get('/users/:id', request => ({ status: 200, body: { id: request.params.id } }));
+
+    await expect(Api.get('/users/7')).resolves.toEqual({ id: '7' });
+  });
+
+  it('names the route when its handler returns no spec', async () => {
+    NetworkMock.get('/users/:id', () => undefined);
+
+    await expect(Api.get('/users/7')).rejects.toThrow(
+      'NetworkMock: the handler of GET /users/:id must give a response spec { status, headers, body, delay, error }, got undefined'
+    );
+  });
+
+  it('rejects invalid static specs when the route is registered', () => {
+    expect(() => NetworkMock.post('/users', null)).toThrow('the handler of POST /users');
+    expect(() => NetworkMock.post('/users', { status: '201' })).toThrow('got status 201');
+  });
+});
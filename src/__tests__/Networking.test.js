@@ -0,0 +1,278 @@
+import { AsyncStorage } from '../AsyncStorage';
+import { NetInfo } from '../NetInfo';
+import { Networking } from '../Networking';
+import { NetworkMock } from '../NetworkMock';
+
+describe('Networking.setupTokenRefresh', () => {
+  let Api;
+
+  beforeEach(() => {
+    Api = Networking.create({ baseURL: 'http://api.test', retry: { retries: 0 } });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+  });
+
+  afterEach(() => {
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  it('retries a 401 with the new token', async () => {
+    NetworkMock.get('/me', (request) => (
+      request.headers.Authorization === 'Bearer fresh'
+        ? { status: 200, body: { name: 'Ada' } }
+        : { status: 401 }
+    ));
+    Api.setupTokenRefresh({ refreshToken: async () => 'fresh' });
+
+    await expect(Api.get('/me')).resolves.toEqual({ name: 'Ada' });
+  });
+
+  it('runs interceptors after the refresh once on the retried response', async () => {
+    const log = [];
+
+    NetworkMock.get('/me', (request) => (
+      request.headers.Authorization === 'Bearer fresh'
+        ? { status: 200, body: { name: 'Ada' } }
+        : { status: 401 }
+    ));
+
+    Api.interceptors.response.use((response) => {
+      log.push(`A${response.status}`);
+      return response;
+    });
+    Api.setupTokenRefresh({ refreshToken: async () => 'fresh' });
+    Api.interceptors.response.use((response) => {
+      log.push(`B${response.status}`);
+      return response;
+    });
+
+    await Api.get('/me');
+
+    expect(log).toEqual(['A401', 'B200']);
+  });
+
+  it('refreshes once for concurrent 401 responses', async () => {
+    const refreshToken = jest.fn(async () => 'fresh');
+
+    NetworkMock.get('/items/:id', (request) => (
+      request.headers.Authorization === 'Bearer fresh'
+        ? { status: 200, body: { id: request.params.id } }
+        : { status: 401 }
+    ));
+    Api.setupTokenRefresh({ refreshToken });
+
+    const results = await Promise.all([Api.get('/items/1'), Api.get('/items/2')]);
+
+    expect(results).toEqual([{ id: '1' }, { id: '2' }]);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the original response when refreshing fails', async () => {
+    const onRefreshFailed = jest.fn();
+
+    NetworkMock.get('/me', { status: 401 });
+    Api.setupTokenRefresh({
+      refreshToken: async () => {
+        throw new Error('expired');
+      },
+      onRefreshFailed,
+    });
+
+    await expect(Api.get('/me')).rejects.toMatchObject({ status: 401 });
+    expect(onRefreshFailed).toHaveBeenCalledWith(expect.objectContaining({ message: 'expired' }));
+  });
+
+  it('does not wait on its own refresh when the refresh request gets a 401', async () => {
+    const onRefreshFailed = jest.fn();
+
+    NetworkMock.get('/me', { status: 401 });
+    NetworkMock.post('/token', { status: 401 });
+    Api.setupTokenRefresh({
+      refreshToken: async () => {
+        const { token } = await Api.post('/token');
+        return token;
+      },
+      onRefreshFailed,
+    });
+
+    await expect(Api.get('/me')).rejects.toMatchObject({ status: 401 });
+    expect(onRefreshFailed).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+  }, 1000);
+});
+
+describe('Networking.upload resume', () => {
+  let Api;
+  let received;
+  let ranges;
+
+  beforeEach(async () => {
+    AsyncStorage.configure({ backend: 'memory' });
+    Api = Networking.create({ baseURL: 'http://api.test', retry: { retries: 0 } });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+
+    received = 0;
+    ranges = [];
+    NetworkMock.put('/upload', (request) => {
+      const range = request.headers['Content-Range'];
+      ranges.push(range);
+
+      if (range === 'bytes */10') {
+        return received > 0
+          ? { status: 308, headers: { Range: `bytes=0-${received - 1}` } }
+          : { status: 308 };
+      }
+
+      const [, , end] = /bytes (\d+)-(\d+)\/10/.exec(range).map(Number);
+      received = end + 1;
+      return received === 10 ? { status: 201, body: { done: true } } : { status: 308 };
+    });
+  });
+
+  afterEach(() => {
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  const file = new Blob(['0123456789']);
+
+  it('continues after the bytes the server received rather than the saved offset', async () => {
+    received = 2;
+    await AsyncStorage.setItem('upload:photo', JSON.stringify({ offset: 4, total: 10 }));
+
+    await expect(Api.upload('/upload', file, { chunkSize: 4, resumeKey: 'photo' }))
+      .resolves.toEqual({ done: true });
+
+    expect(ranges).toEqual(['bytes */10', 'bytes 2-5/10', 'bytes 6-9/10']);
+    expect(await AsyncStorage.getItem('upload:photo')).toBeNull();
+  });
+
+  it('does not probe uploads that were not started', async () => {
+    await Api.upload('/upload', file, { chunkSize: 4, resumeKey: 'photo' });
+
+    expect(ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  });
+
+  it('returns the final response when the server already has the whole file', async () => {
+    await AsyncStorage.setItem('upload:photo', JSON.stringify({ offset: 8, total: 10 }));
+    NetworkMock.put('/upload', { status: 200, body: { done: true } }, { once: true });
+
+    await expect(Api.upload('/upload', file, { chunkSize: 4, resumeKey: 'photo' }))
+      .resolves.toEqual({ done: true });
+    expect(ranges).toEqual([]);
+  });
+
+  it('starts over when the server does not answer the probe with 308', async () => {
+    await AsyncStorage.setItem('upload:photo', JSON.stringify({ offset: 8, total: 10 }));
+    NetworkMock.put('/upload', { status: 400 }, { once: true });
+
+    await Api.upload('/upload', file, { chunkSize: 4, resumeKey: 'photo' });
+
+    expect(ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  });
+});
+
+describe('Networking.fetch signal', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('aborts the request when the caller aborts its signal', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        const error = new Error('Aborted');
+        error.name = 'AbortError';
+        reject(error);
+      });
+    }));
+
+    const controller = new AbortController();
+    const promise = Networking.fetch('http://api.test/slow', { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Networking retries', () => {
+  let Api;
+
+  beforeEach(() => {
+    Api = Networking.create({
+      baseURL: 'http://api.test',
+      retry: { retries: 2, baseDelay: 0, jitter: false },
+    });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  it('retries idempotent requests on retryable statuses', async () => {
+    NetworkMock.get('/items', { status: 200, body: ['a'] });
+    NetworkMock.get('/items', { status: 503 }, { once: true });
+
+    await expect(Api.get('/items')).resolves.toEqual(['a']);
+    expect(NetworkMock.getRequests()).toHaveLength(2);
+  });
+
+  it('retries network errors until the retries run out', async () => {
+    NetworkMock.get('/items', { error: 'network' });
+
+    await expect(Api.get('/items')).rejects.toThrow();
+    expect(NetworkMock.getRequests()).toHaveLength(3);
+  });
+
+  it('does not retry network errors while the device is offline', async () => {
+    jest.spyOn(NetInfo, 'isOnline').mockImplementation(() => false);
+    NetworkMock.get('/items', { error: 'network' });
+
+    await expect(Api.get('/items')).rejects.toThrow();
+    expect(NetworkMock.getRequests()).toHaveLength(1);
+  });
+
+  it('does not retry requests that are not idempotent', async () => {
+    NetworkMock.post('/orders', { status: 503 });
+
+    await expect(Api.post('/orders', {})).rejects.toMatchObject({ status: 503 });
+    expect(NetworkMock.getRequests()).toHaveLength(1);
+  });
+
+  it('does not retry statuses outside retryOn', async () => {
+    NetworkMock.get('/items', { status: 404 });
+
+    await expect(Api.get('/items')).rejects.toMatchObject({ status: 404 });
+    expect(NetworkMock.getRequests()).toHaveLength(1);
+  });
+
+  it('lets a request disable retries', async () => {
+    NetworkMock.get('/items', { status: 503 });
+
+    await expect(Api.request({ url: '/items', retry: false })).rejects.toMatchObject({ status: 503 });
+    expect(NetworkMock.getRequests()).toHaveLength(1);
+  });
+
+  it('waits for the Retry-After delay', async () => {
+    jest.useFakeTimers();
+    NetworkMock.get('/items', { status: 200, body: ['a'] });
+    NetworkMock.get('/items', { status: 429, headers: { 'Retry-After': '2' } }, { once: true });
+
+    const promise = Api.get('/items');
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(NetworkMock.getRequests()).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(promise).resolves.toEqual(['a']);
+    expect(NetworkMock.getRequests()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,222 @@
+import { AsyncStorage } from '../AsyncStorage';
+import { Networking } from '../Networking';
+import { NetworkMock } from '../NetworkMock';
+import { OfflineQueue } from '../OfflineQueue';
+import { NetInfo } from '../NetInfo';
+import { MemoryStorageBackend } from '../storage';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('OfflineQueue replay', () => {
+  let Api;
+
+  beforeEach(async () => {
+    AsyncStorage.configure({ backend: 'memory' });
+    Api = Networking.create({ baseURL: 'http://api.test', retry: { retries: 0 } });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+
+    OfflineQueue._loaded = null;
+    OfflineQueue._pending = [];
+    OfflineQueue._deadLetters = [];
+    await OfflineQueue.start({ networking: Api, retryDelay: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    OfflineQueue.stop();
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  const enqueue = (url, data) => OfflineQueue.enqueue({
+    url: `http://api.test${url}`,
+    method: 'POST',
+    data,
+  });
+
+  it('replays queued requests in order', async () => {
+    const received = [];
+    NetworkMock.post('/notes', (request) => {
+      received.push(request.body.n);
+      return { status: 201, body: { ok: true } };
+    });
+
+    await enqueue('/notes', { n: 1 });
+    await enqueue('/notes', { n: 2 });
+    await OfflineQueue.flush();
+
+    expect(received).toEqual([1, 2]);
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+  });
+
+  it('keeps requests queued while the network is unreachable', async () => {
+    let online = true;
+    jest.spyOn(NetInfo, 'isOnline').mockImplementation(() => online);
+    NetworkMock.post('/notes', () => {
+      online = false;
+      return { error: 'network' };
+    });
+
+    await enqueue('/notes', { n: 1 });
+    await OfflineQueue.flush();
+
+    expect(OfflineQueue.getPending()).toHaveLength(1);
+    expect(OfflineQueue.getPending()[0].retryCount).toBe(0);
+    expect(OfflineQueue.getDeadLetters()).toHaveLength(0);
+  });
+
+  it('counts network errors while online as attempts', async () => {
+    NetworkMock.post('/notes', { error: 'network' });
+
+    await enqueue('/notes', { n: 1 });
+    await OfflineQueue.flush();
+
+    expect(OfflineQueue.getPending()[0].retryCount).toBe(1);
+  });
+
+  it('dead-letters a TypeError that is not a network error', async () => {
+    NetworkMock.post('/notes', { status: 201, body: { ok: true } });
+    Api.interceptors.request.use(() => {
+      throw new TypeError('Invalid header value');
+    });
+
+    await enqueue('/notes', { n: 1 });
+    await OfflineQueue.flush();
+
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+    expect(OfflineQueue.getDeadLetters()[0].lastError.message).toBe('Invalid header value');
+  });
+
+  it('retries timed out requests with backoff', async () => {
+    NetworkMock.post('/notes', { status: 201, body: { ok: true } });
+    NetworkMock.post('/notes', { delay: 50, status: 201 }, { once: true });
+
+    await OfflineQueue.enqueue({
+      url: 'http://api.test/notes',
+      method: 'POST',
+      data: { n: 1 },
+      timeout: 10,
+    });
+    await OfflineQueue.flush();
+
+    expect(OfflineQueue.getPending()[0].retryCount).toBe(1);
+
+    await wait(60);
+    await OfflineQueue.flush();
+
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+  });
+
+  it('dead-letters a request whose successful response cannot be parsed', async () => {
+    const handler = jest.fn(() => ({
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: '{not json',
+    }));
+    NetworkMock.post('/notes', handler);
+
+    await enqueue('/notes', { n: 1 });
+    await OfflineQueue.flush();
+    await OfflineQueue.flush();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+    expect(OfflineQueue.getDeadLetters()).toHaveLength(1);
+  });
+
+  it('dead-letters client errors', async () => {
+    NetworkMock.post('/notes', { status: 422, body: { error: 'invalid' } });
+
+    await enqueue('/notes', { n: 1 });
+    await OfflineQueue.flush();
+
+    expect(OfflineQueue.getDeadLetters()[0].lastError).toMatchObject({ status: 422 });
+  });
+
+  it('rejects without queueing when the queue cannot be saved', async () => {
+    const backend = new MemoryStorageBackend();
+    backend.setItem = async () => {
+      throw new Error('QuotaExceededError');
+    };
+    AsyncStorage.configure({ backend });
+
+    await expect(enqueue('/notes', { n: 1 })).rejects.toThrow('QuotaExceededError');
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+  });
+
+  it('does not replay a request again when removing it from the saved queue fails', async () => {
+    const handler = jest.fn(() => ({ status: 201, body: { ok: true } }));
+    NetworkMock.post('/notes', handler);
+
+    await enqueue('/notes', { n: 1 });
+
+    const backend = AsyncStorage.getBackend();
+    backend.setItem = async () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    await expect(OfflineQueue.flush()).rejects.toThrow('QuotaExceededError');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(OfflineQueue.getDeadLetters()).toHaveLength(0);
+  });
+});
+
+describe('Networking.request with an OfflineQueue', () => {
+  let Api;
+  let online;
+
+  beforeEach(async () => {
+    AsyncStorage.configure({ backend: 'memory' });
+    Api = Networking.create({ baseURL: 'http://api.test', retry: { retries: 0 } });
+    NetworkMock.reset();
+    NetworkMock.enable({ networking: Api });
+
+    online = true;
+    jest.spyOn(NetInfo, 'isOnline').mockImplementation(() => online);
+
+    OfflineQueue._loaded = null;
+    OfflineQueue._pending = [];
+    OfflineQueue._deadLetters = [];
+    await OfflineQueue.start({ networking: Api, retryDelay: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    OfflineQueue.stop();
+    NetworkMock.disable();
+    NetworkMock.reset();
+  });
+
+  it('queues a write whose request fails because the device went offline', async () => {
+    NetworkMock.post('/notes', () => {
+      online = false;
+      return { error: 'network' };
+    });
+
+    const result = await Api.request({ url: '/notes', method: 'POST', data: { n: 1 } });
+
+    expect(result).toMatchObject({ queued: true });
+    expect(OfflineQueue.getPending()).toHaveLength(1);
+  });
+
+  it('does not queue network errors while online', async () => {
+    NetworkMock.post('/notes', { error: 'network' });
+
+    await expect(Api.request({ url: '/notes', method: 'POST', data: {} })).rejects.toThrow(TypeError);
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+  });
+
+  it('does not queue a TypeError thrown after the server got the request', async () => {
+    const handler = jest.fn(() => ({ status: 201, body: { ok: true } }));
+    NetworkMock.post('/notes', handler);
+    Api.interceptors.response.use(() => {
+      online = false;
+      throw new TypeError('Cannot read properties of undefined');
+    });
+
+    await expect(Api.request({ url: '/notes', method: 'POST', data: {} })).rejects.toThrow(TypeError);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(OfflineQueue.getPending()).toHaveLength(0);
+  });
+});
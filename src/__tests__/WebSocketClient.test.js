@@ -0,0 +1,92 @@
+import { WebSocketClient } from '../WebSocketClient';
+
+// Socket that only changes state when the test says so
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closeCalls = 0;
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.closeCalls++;
+  }
+
+  open() {
+    this.onopen();
+  }
+
+  closed(code = 1000) {
+    this.onclose({ code });
+  }
+}
+
+describe('WebSocketClient close and connect', () => {
+  let client;
+
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    client = new WebSocketClient('ws://api.test', {
+      WebSocket: FakeSocket,
+      heartbeatInterval: 0,
+      minReconnectDelay: 10,
+    });
+  });
+
+  afterEach(() => {
+    client.close();
+  });
+
+  test('connect() right after close() opens a new socket once the old one is closed', () => {
+    const [first] = FakeSocket.instances;
+    first.open();
+
+    client.close();
+    client.connect();
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(client.readyState).toBe(WebSocketClient.CLOSING);
+
+    first.closed();
+
+    expect(FakeSocket.instances).toHaveLength(2);
+    expect(client.readyState).toBe(WebSocketClient.CONNECTING);
+
+    FakeSocket.instances[1].open();
+    expect(client.readyState).toBe(WebSocketClient.OPEN);
+
+    client.send({ type: 'hello' });
+    expect(FakeSocket.instances[1].sent).toEqual([JSON.stringify({ type: 'hello' })]);
+  });
+
+  test('close() after a queued connect() keeps the client closed', () => {
+    const [first] = FakeSocket.instances;
+    first.open();
+
+    client.close();
+    client.connect();
+    client.close();
+    first.closed();
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(client.readyState).toBe(WebSocketClient.CLOSED);
+  });
+
+  test('connect() while connected keeps the current socket', () => {
+    const [first] = FakeSocket.instances;
+    first.open();
+
+    client.connect();
+    first.closed(1006);
+
+    // Dropped connections still go through the reconnect delay
+    expect(FakeSocket.instances).toHaveLength(1);
+  });
+});
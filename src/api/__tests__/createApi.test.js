@@ -0,0 +1,115 @@
+import { createApi } from '../createApi';
+
+describe('createApi initiate', () => {
+  let baseQuery;
+  let api;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    baseQuery = jest.fn(async args => ({ id: args }));
+    api = createApi({
+      baseQuery,
+      keepUnusedDataFor: 10,
+      endpoints: builder => ({
+        getItem: builder.query({ query: id => id }),
+      }),
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('resolves with the data and unwraps it', async () => {
+    const request = api.endpoints.getItem.initiate(1);
+
+    await expect(request).resolves.toEqual({ data: { id: 1 } });
+    await expect(request.unwrap()).resolves.toEqual({ id: 1 });
+    request.unsubscribe();
+  });
+
+  it('keeps the entry until unsubscribed, then for keepUnusedDataFor', async () => {
+    const request = api.endpoints.getItem.initiate(1);
+    await request;
+
+    jest.advanceTimersByTime(60000);
+    expect(api.endpoints.getItem.select(1).data).toEqual({ id: 1 });
+
+    request.unsubscribe();
+    jest.advanceTimersByTime(9000);
+    expect(api.endpoints.getItem.select(1).data).toEqual({ id: 1 });
+
+    jest.advanceTimersByTime(1000);
+    expect(api.endpoints.getItem.select(1).isUninitialized).toBe(true);
+  });
+
+  it('drops unsubscribed entries after keepUnusedDataFor', async () => {
+    await api.endpoints.getItem.initiate(1, { subscribe: false });
+
+    jest.advanceTimersByTime(10000);
+
+    expect(api.endpoints.getItem.select(1).isUninitialized).toBe(true);
+  });
+
+  it('shares the request between callers that unsubscribe separately', async () => {
+    const first = api.endpoints.getItem.initiate(1);
+    const second = api.endpoints.getItem.initiate(1);
+    await Promise.all([first, second]);
+
+    first.unsubscribe();
+    jest.advanceTimersByTime(10000);
+
+    expect(baseQuery).toHaveBeenCalledTimes(1);
+    expect(api.endpoints.getItem.select(1).data).toEqual({ id: 1 });
+    second.unsubscribe();
+  });
+});
+
+describe('createApi tags', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('settles the entry when providesTags throws', async () => {
+    const api = createApi({
+      baseQuery: async id => ({ id }),
+      endpoints: builder => ({
+        getItem: builder.query({
+          query: id => id,
+          providesTags: (result) => [{ type: 'Item', id: result.missing.id }],
+        }),
+      }),
+    });
+
+    const request = api.endpoints.getItem.initiate(1);
+
+    await expect(request).resolves.toEqual({ data: { id: 1 } });
+    expect(api.endpoints.getItem.select(1)).toMatchObject({ isSuccess: true, data: { id: 1 } });
+    expect(console.error).toHaveBeenCalledWith('Error resolving createApi tags:', expect.any(TypeError));
+    request.unsubscribe();
+  });
+
+  it('settles a failed request when providesTags throws', async () => {
+    const api = createApi({
+      baseQuery: async () => {
+        throw new Error('offline');
+      },
+      endpoints: builder => ({
+        getItem: builder.query({
+          query: id => id,
+          providesTags: (result) => [{ type: 'Item', id: result.id }],
+        }),
+      }),
+    });
+
+    const request = api.endpoints.getItem.initiate(1);
+
+    await expect(request).resolves.toEqual({ error: expect.objectContaining({ message: 'offline' }) });
+    expect(api.endpoints.getItem.select(1)).toMatchObject({ isError: true, isLoading: false });
+    request.unsubscribe();
+  });
+});
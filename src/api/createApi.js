@@ -0,0 +1,683 @@
+/**
+ * createApi for Reactive chmlsh
+ * A declarative server-state cache built on Networking, with generated hooks
+ */
+
+import { useState, useEffect, useReducer, useRef, useCallback } from 'react';
+import { Networking } from '../Networking';
+import { useAppState, AppStateStatus } from '../hooks/useAppState';
+import { produce } from '../state/Draft';
+
+/**
+ * Serialize query arguments into a stable cache key
+ * Object keys are sorted so { a, b } and { b, a } share an entry.
+ * @param {any} value - Value to serialize
+ * @returns {string} Serialized value
+ */
+export function stableStringify(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  
+  if (typeof value !== 'object' || value === null) {
+    return JSON.stringify(value);
+  }
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} str - String
+ * @returns {string} Capitalized string
+ * @private
+ */
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Create the default base query, which sends requests through Networking
+ * @param {string} baseUrl - URL prefix for every request
+ * @param {Object} defaultHeaders - Headers added to every request
+ * @param {typeof Networking} networking - Networking class or instance from Networking.create()
+ * @returns {Function} Function (args, { signal }) returning a promise for the response data
+ * @private
+ */
+function createNetworkingBaseQuery(baseUrl, defaultHeaders, networking) {
+  return (args, { signal }) => {
+    const {
+      url,
+      method = 'GET',
+      body,
+      headers = {},
+      ...options
+    } = typeof args === 'string' ? { url: args } : args;
+    
+    const requestOptions = {
+      ...options,
+      headers: { ...defaultHeaders, ...headers },
+      signal,
+    };
+    const fullUrl = `${baseUrl}${url}`;
+    
+    switch (method.toUpperCase()) {
+      case 'GET':
+        return networking.get(fullUrl, requestOptions);
+      case 'POST':
+        return networking.post(fullUrl, body, requestOptions);
+      case 'PUT':
+        return networking.put(fullUrl, body, requestOptions);
+      case 'DELETE':
+        return networking.delete(fullUrl, requestOptions);
+      default:
+        return Promise.reject(new Error(`Unsupported method: ${method}`));
+    }
+  };
+}
+
+/**
+ * Normalize a providesTags or invalidatesTags definition into a list of tags
+ * A definition that throws is reported and gives no tags, so the request still settles.
+ * @param {Array|Function} definition - Tags or function (result, error, arg) returning tags
+ * @param {any} result - Endpoint result
+ * @param {any} error - Endpoint error
+ * @param {any} arg - Endpoint argument
+ * @returns {Array<Object>} Tags as { type, id }
+ * @private
+ */
+function resolveTags(definition, result, error, arg) {
+  if (!definition) {
+    return [];
+  }
+  
+  try {
+    const tags = typeof definition === 'function'
+      ? definition(result, error, arg) || []
+      : definition;
+    
+    return tags.map(tag => (typeof tag === 'string' ? { type: tag } : tag));
+  } catch (tagsError) {
+    console.error('Error resolving createApi tags:', tagsError);
+    return [];
+  }
+}
+
+/**
+ * Attach an unwrap() method to a promise resolving to { data } or { error }
+ * @param {Promise<Object>} promise - Result promise
+ * @returns {Promise<Object>} Same promise with unwrap()
+ * @private
+ */
+function withUnwrap(promise) {
+  promise.unwrap = () => promise.then((result) => {
+    if ('error' in result) {
+      throw result.error;
+    }
+    
+    return result.data;
+  });
+  
+  return promise;
+}
+
+// State of a cache entry that has not been requested yet
+const UNINITIALIZED_ENTRY = {
+  status: 'uninitialized',
+  data: undefined,
+  error: undefined,
+};
+
+/**
+ * Derive the flags returned by query and mutation hooks
+ * @param {Object} entry - Cache entry or mutation state
+ * @returns {Object} Result with status flags
+ * @private
+ */
+function toResult(entry) {
+  const { status, data, error } = entry;
+  
+  return {
+    status,
+    data,
+    error,
+    isUninitialized: status === 'uninitialized',
+    isLoading: status === 'pending' && data === undefined,
+    isFetching: status === 'pending',
+    isSuccess: status === 'fulfilled' || (status === 'pending' && data !== undefined),
+    isError: status === 'rejected',
+  };
+}
+
+/**
+ * Create an API with query and mutation endpoints
+ * @param {Object} options - API options
+ * @param {Function} options.endpoints - Function (builder) returning endpoint definitions
+ * @param {string} options.baseUrl - URL prefix for every request
+ * @param {Object} options.headers - Headers added to every request
+ * @param {typeof Networking} options.networking - Networking instance to send requests with, e.g. from Networking.create()
+ * @param {Function} options.baseQuery - Custom function (args, { signal }) performing requests
+ * @param {number} options.keepUnusedDataFor - Seconds to keep data without subscribers
+ * @param {boolean} options.refetchOnFocus - Whether queries refetch when the app becomes active
+ * @returns {Object} API with endpoints, generated hooks and util
+ */
+export function createApi(options) {
+  const {
+    endpoints: buildEndpoints,
+    baseUrl = '',
+    headers = {},
+    networking = Networking,
+    baseQuery = createNetworkingBaseQuery(baseUrl, headers, networking),
+    keepUnusedDataFor = 60,
+    refetchOnFocus: defaultRefetchOnFocus = false,
+  } = options;
+  
+  if (typeof buildEndpoints !== 'function') {
+    throw new Error('createApi requires an "endpoints" function.');
+  }
+  
+  const definitions = buildEndpoints({
+    query: definition => ({ ...definition, type: 'query' }),
+    mutation: definition => ({ ...definition, type: 'mutation' }),
+  });
+  
+  // Cache entries keyed by endpoint name and serialized argument
+  const cache = new Map();
+  
+  const getCacheKey = (endpointName, arg) => `${endpointName}(${stableStringify(arg)})`;
+  
+  const getEntry = (key) => cache.get(key) || UNINITIALIZED_ENTRY;
+  
+  const ensureEntry = (key, endpointName, arg) => {
+    if (!cache.has(key)) {
+      cache.set(key, {
+        ...UNINITIALIZED_ENTRY,
+        endpointName,
+        arg,
+        tags: [],
+        promise: null,
+        controller: null,
+        listeners: new Set(),
+        removeTimer: null,
+      });
+    }
+    
+    return cache.get(key);
+  };
+  
+  const updateEntry = (key, changes) => {
+    const entry = cache.get(key);
+    
+    if (!entry) {
+      return;
+    }
+    
+    Object.assign(entry, changes);
+    entry.listeners.forEach(listener => listener());
+  };
+  
+  const removeEntry = (key) => {
+    const entry = cache.get(key);
+    
+    if (!entry) {
+      return;
+    }
+    
+    if (entry.controller) {
+      entry.controller.abort();
+    }
+    
+    clearTimeout(entry.removeTimer);
+    cache.delete(key);
+  };
+  
+  // Drop an entry once it stayed unused for keepUnusedDataFor
+  const scheduleRemoval = (key, entry) => {
+    const definition = definitions[entry.endpointName];
+    const keepFor = definition.keepUnusedDataFor !== undefined
+      ? definition.keepUnusedDataFor
+      : keepUnusedDataFor;
+    
+    clearTimeout(entry.removeTimer);
+    entry.removeTimer = setTimeout(() => {
+      if (cache.get(key) === entry && entry.listeners.size === 0) {
+        removeEntry(key);
+      }
+    }, keepFor * 1000);
+  };
+
+  /**
+   * Run the request of an endpoint
+   * @param {Object} definition - Endpoint definition
+   * @param {any} arg - Endpoint argument
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<any>} Response data
+   * @private
+   */
+  const runEndpoint = async (definition, arg, signal) => {
+    const data = definition.queryFn
+      ? await definition.queryFn(arg, { signal, baseQuery })
+      : await baseQuery(definition.query(arg), { signal });
+    
+    return definition.transformResponse ? definition.transformResponse(data, arg) : data;
+  };
+
+  /**
+   * Start or reuse the request for a query
+   * Requests for the same argument that are already in flight are shared.
+   * @param {string} endpointName - Endpoint name
+   * @param {any} arg - Query argument
+   * @param {Object} fetchOptions - Fetch options
+   * @param {boolean} fetchOptions.forceRefetch - Whether to refetch data that is already cached
+   * @returns {Promise<Object>} Promise resolving to { data } or { error }, with unwrap()
+   * @private
+   */
+  const fetchQuery = (endpointName, arg, { forceRefetch = false } = {}) => {
+    const definition = definitions[endpointName];
+    const key = getCacheKey(endpointName, arg);
+    const entry = ensureEntry(key, endpointName, arg);
+    
+    if (entry.promise) {
+      return entry.promise;
+    }
+    
+    if (entry.status === 'fulfilled' && !forceRefetch) {
+      return withUnwrap(Promise.resolve({ data: entry.data }));
+    }
+    
+    const controller = new AbortController();
+    
+    const promise = withUnwrap(runEndpoint(definition, arg, controller.signal).then(
+      (data) => {
+        // Skip results of requests that were aborted or replaced
+        if (cache.get(key) === entry && entry.promise === promise) {
+          updateEntry(key, {
+            status: 'fulfilled',
+            data,
+            error: undefined,
+            tags: resolveTags(definition.providesTags, data, undefined, arg),
+            promise: null,
+            controller: null,
+          });
+        }
+        
+        return { data };
+      },
+      (error) => {
+        if (cache.get(key) === entry && entry.promise === promise) {
+          updateEntry(key, {
+            status: 'rejected',
+            error,
+            tags: resolveTags(definition.providesTags, undefined, error, arg),
+            promise: null,
+            controller: null,
+          });
+        }
+        
+        return { error };
+      }
+    ));
+    
+    updateEntry(key, {
+      status: 'pending',
+      promise,
+      controller,
+    });
+    
+    return promise;
+  };
+
+  /**
+   * Keep a cache entry alive and get notified of its changes
+   * @param {string} key - Cache key
+   * @param {string} endpointName - Endpoint name
+   * @param {any} arg - Query argument
+   * @param {Function} listener - Function called when the entry changes
+   * @returns {Function} Unsubscribe function
+   * @private
+   */
+  const subscribeEntry = (key, endpointName, arg, listener) => {
+    const entry = ensureEntry(key, endpointName, arg);
+    
+    clearTimeout(entry.removeTimer);
+    entry.listeners.add(listener);
+    
+    return () => {
+      entry.listeners.delete(listener);
+      
+      if (entry.listeners.size === 0) {
+        scheduleRemoval(key, entry);
+      }
+    };
+  };
+
+  /**
+   * Fetch a query outside of React
+   * @param {string} endpointName - Endpoint name
+   * @param {any} arg - Query argument
+   * @param {Object} fetchOptions - Fetch options
+   * @param {boolean} fetchOptions.forceRefetch - Whether to refetch data that is already cached
+   * @param {boolean} fetchOptions.subscribe - Whether to keep the entry until unsubscribe() is called
+   * @returns {Promise<Object>} Promise resolving to { data } or { error }, with unwrap() and unsubscribe()
+   * @private
+   */
+  const initiateQuery = (endpointName, arg, { subscribe = true, ...fetchOptions } = {}) => {
+    const key = getCacheKey(endpointName, arg);
+    
+    // A listener of its own, so unsubscribing does not affect other subscribers
+    const unsubscribe = subscribe ? subscribeEntry(key, endpointName, arg, () => {}) : () => {};
+    const request = fetchQuery(endpointName, arg, fetchOptions);
+    
+    if (!subscribe) {
+      request.then(() => {
+        const entry = cache.get(key);
+        
+        if (entry && entry.listeners.size === 0) {
+          scheduleRemoval(key, entry);
+        }
+      });
+    }
+    
+    // The request may be shared, so each caller gets its own promise
+    const promise = withUnwrap(request.then(result => result));
+    promise.unsubscribe = unsubscribe;
+    
+    return promise;
+  };
+
+  /**
+   * Refetch or drop the cached queries that provide any of the given tags
+   * @param {Array<string|Object>} tags - Tags to invalidate
+   */
+  const invalidateTags = (tags) => {
+    const invalidated = tags.map(tag => (typeof tag === 'string' ? { type: tag } : tag));
+    
+    Array.from(cache.entries()).forEach(([key, entry]) => {
+      const matches = entry.tags.some(provided => invalidated.some(tag => (
+        tag.type === provided.type && (tag.id === undefined || tag.id === provided.id)
+      )));
+      
+      if (!matches) {
+        return;
+      }
+      
+      if (entry.listeners.size > 0) {
+        if (entry.controller) {
+          entry.controller.abort();
+          entry.promise = null;
+          entry.controller = null;
+        }
+        
+        fetchQuery(entry.endpointName, entry.arg, { forceRefetch: true });
+      } else {
+        removeEntry(key);
+      }
+    });
+  };
+
+  /**
+   * Run a mutation and invalidate the tags it affects
+   * @param {string} endpointName - Endpoint name
+   * @param {any} arg - Mutation argument
+   * @returns {Promise<Object>} Promise resolving to { data } or { error }, with unwrap()
+   * @private
+   */
+  const runMutation = (endpointName, arg) => {
+    const definition = definitions[endpointName];
+    const controller = new AbortController();
+    
+    const promise = withUnwrap(runEndpoint(definition, arg, controller.signal).then(
+      (data) => {
+        invalidateTags(resolveTags(definition.invalidatesTags, data, undefined, arg));
+        return { data };
+      },
+      error => ({ error })
+    ));
+    
+    promise.abort = () => controller.abort();
+    
+    return promise;
+  };
+
+  /**
+   * Create the hook for a query endpoint
+   * @param {string} endpointName - Endpoint name
+   * @returns {Function} Hook (arg, options) returning the query result
+   * @private
+   */
+  const createQueryHook = (endpointName) => (arg, hookOptions = {}) => {
+    const {
+      skip = false,
+      pollingInterval = 0,
+      refetchOnFocus = defaultRefetchOnFocus,
+      refetchOnMount = false,
+    } = hookOptions;
+    
+    const key = skip ? null : getCacheKey(endpointName, arg);
+    const [, forceRender] = useReducer(count => count + 1, 0);
+    const argRef = useRef(arg);
+    argRef.current = arg;
+    
+    useEffect(() => {
+      if (key === null) {
+        return undefined;
+      }
+      
+      const unsubscribe = subscribeEntry(key, endpointName, argRef.current, forceRender);
+      fetchQuery(endpointName, argRef.current, { forceRefetch: refetchOnMount });
+      
+      // Render the entry as it is now, it may have changed before we subscribed
+      forceRender();
+      
+      return unsubscribe;
+    }, [key]);
+    
+    useEffect(() => {
+      if (key === null || !pollingInterval) {
+        return undefined;
+      }
+      
+      const intervalId = setInterval(() => {
+        fetchQuery(endpointName, argRef.current, { forceRefetch: true });
+      }, pollingInterval);
+      
+      return () => clearInterval(intervalId);
+    }, [key, pollingInterval]);
+    
+    const appState = useAppState();
+    const previousAppStateRef = useRef(appState);
+    
+    useEffect(() => {
+      const previousAppState = previousAppStateRef.current;
+      previousAppStateRef.current = appState;
+      
+      if (
+        key !== null &&
+        refetchOnFocus &&
+        appState === AppStateStatus.ACTIVE &&
+        previousAppState !== AppStateStatus.ACTIVE
+      ) {
+        fetchQuery(endpointName, argRef.current, { forceRefetch: true });
+      }
+    }, [appState]);
+    
+    const refetch = useCallback(() => {
+      if (key === null) {
+        return withUnwrap(Promise.resolve({ data: undefined }));
+      }
+      
+      return fetchQuery(endpointName, argRef.current, { forceRefetch: true });
+    }, [key]);
+    
+    const entry = key === null ? UNINITIALIZED_ENTRY : getEntry(key);
+    const result = toResult(entry);
+    
+    // Nothing is requested before the first effect runs, but the query is already loading
+    if (key !== null && entry.status === 'uninitialized') {
+      result.isLoading = true;
+      result.isFetching = true;
+    }
+    
+    return {
+      ...result,
+      refetch,
+    };
+  };
+
+  /**
+   * Create the hook for a mutation endpoint
+   * @param {string} endpointName - Endpoint name
+   * @returns {Function} Hook returning [trigger, result]
+   * @private
+   */
+  const createMutationHook = (endpointName) => () => {
+    const [state, setState] = useState(UNINITIALIZED_ENTRY);
+    const latestRequestRef = useRef(null);
+    const mountedRef = useRef(true);
+    
+    useEffect(() => {
+      mountedRef.current = true;
+      
+      return () => {
+        mountedRef.current = false;
+      };
+    }, []);
+    
+    const trigger = useCallback((arg) => {
+      const promise = runMutation(endpointName, arg);
+      latestRequestRef.current = promise;
+      
+      setState(previous => ({ ...previous, status: 'pending' }));
+      
+      promise.then((result) => {
+        // Only the latest call updates the hook state
+        if (!mountedRef.current || latestRequestRef.current !== promise) {
+          return;
+        }
+        
+        setState('error' in result
+          ? { status: 'rejected', data: undefined, error: result.error }
+          : { status: 'fulfilled', data: result.data, error: undefined });
+      });
+      
+      return promise;
+    }, []);
+    
+    const reset = useCallback(() => {
+      latestRequestRef.current = null;
+      setState(UNINITIALIZED_ENTRY);
+    }, []);
+    
+    const result = toResult(state);
+    result.isLoading = state.status === 'pending';
+    
+    return [trigger, { ...result, reset }];
+  };
+  
+  const endpoints = {};
+  const api = {
+    endpoints,
+    util: {
+      invalidateTags,
+
+      /**
+       * Update cached query data, e.g. for optimistic updates
+       * @param {string} endpointName - Endpoint name
+       * @param {any} arg - Query argument
+       * @param {Function} recipe - Function receiving a draft of the data
+       * @returns {Object} Object with undo() restoring the previous data
+       */
+      updateQueryData: (endpointName, arg, recipe) => {
+        const key = getCacheKey(endpointName, arg);
+        const entry = cache.get(key);
+        
+        if (!entry || entry.data === undefined) {
+          return { undo: () => {} };
+        }
+        
+        const previousData = entry.data;
+        updateEntry(key, { data: produce(previousData, recipe) });
+        
+        return {
+          undo: () => updateEntry(key, { data: previousData }),
+        };
+      },
+
+      /**
+       * Drop every cached entry, refetching the queries that are still in use
+       */
+      resetApiState: () => {
+        Array.from(cache.entries()).forEach(([key, entry]) => {
+          if (entry.listeners.size === 0) {
+            removeEntry(key);
+            return;
+          }
+          
+          if (entry.controller) {
+            entry.controller.abort();
+          }
+          
+          updateEntry(key, {
+            ...UNINITIALIZED_ENTRY,
+            tags: [],
+            promise: null,
+            controller: null,
+          });
+          fetchQuery(entry.endpointName, entry.arg);
+        });
+      },
+    },
+  };
+  
+  Object.keys(definitions).forEach((endpointName) => {
+    const definition = definitions[endpointName];
+    
+    if (definition.type === 'query') {
+      const useQuery = createQueryHook(endpointName);
+      
+      endpoints[endpointName] = {
+        /**
+         * Fetch the query outside of React
+         * The cached entry is kept until unsubscribe() is called, then for
+         * keepUnusedDataFor like entries of unmounted hooks. With subscribe
+         * false it is only kept for keepUnusedDataFor after the request.
+         * @param {any} arg - Query argument
+         * @param {Object} fetchOptions - Options with forceRefetch and subscribe
+         * @returns {Promise<Object>} Promise resolving to { data } or { error }, with unwrap() and unsubscribe()
+         */
+        initiate: (arg, fetchOptions) => initiateQuery(endpointName, arg, fetchOptions),
+
+        /**
+         * Read the cached result of the query
+         * @param {any} arg - Query argument
+         * @returns {Object} Query result
+         */
+        select: arg => toResult(getEntry(getCacheKey(endpointName, arg))),
+        useQuery,
+      };
+      
+      api[`use${capitalize(endpointName)}Query`] = useQuery;
+    } else {
+      const useMutation = createMutationHook(endpointName);
+      
+      endpoints[endpointName] = {
+        /**
+         * Run the mutation outside of React
+         * @param {any} arg - Mutation argument
+         * @returns {Promise<Object>} Promise resolving to { data } or { error }, with unwrap() and abort()
+         */
+        initiate: arg => runMutation(endpointName, arg),
+        useMutation,
+      };
+      
+      api[`use${capitalize(endpointName)}Mutation`] = useMutation;
+    }
+  });
+  
+  return api;
+}
@@ -0,0 +1,9 @@
+/**
+ * API exports for Reactive chmlsh
+ */
+
+import { createApi } from './createApi';
+
+export {
+  createApi
+};
@@ -0,0 +1,574 @@
+/**
+ * GraphQLClient for Reactive chmlsh
+ * Queries and mutations over Networking, subscriptions over WebSocketClient
+ */
+
+import { Networking } from '../Networking';
+import { WebSocketClient } from '../WebSocketClient';
+import { stableStringify } from '../api/createApi';
+import { NormalizedCache } from './NormalizedCache';
+
+/**
+ * Get the name of the first operation in a document
+ * @param {string} document - GraphQL document
+ * @returns {string|undefined} Operation name
+ * @private
+ */
+function getOperationName(document) {
+  const match = /\b(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(document);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Get the cache key of an operation
+ * Whitespace in the document and the order of variables do not change the key.
+ * @param {string} document - GraphQL document
+ * @param {Object} variables - Operation variables
+ * @returns {string} Cache key
+ */
+function getOperationKey(document, variables = {}) {
+  return `${document.replace(/\s+/g, ' ').trim()}|${stableStringify(variables)}`;
+}
+
+/**
+ * Create a normalized GraphQL error
+ * The message joins the GraphQL error messages, or is the network error message.
+ * @param {Object} details - Error details
+ * @param {Array<Object>} details.graphQLErrors - Errors returned by the server
+ * @param {Error|null} details.networkError - Error of the request itself
+ * @param {Object|null} details.data - Partial data returned with the errors
+ * @returns {Error} Error with graphQLErrors, networkError, status and data
+ * @private
+ */
+function createGraphQLError({ graphQLErrors = [], networkError = null, data = null }) {
+  const message = graphQLErrors.length > 0
+    ? graphQLErrors.map(e => e.message).join('; ')
+    : (networkError && networkError.message) || 'GraphQL request failed';
+  
+  const error = new Error(message);
+  error.name = 'GraphQLError';
+  error.graphQLErrors = graphQLErrors;
+  error.networkError = networkError;
+  error.status = networkError ? networkError.status : undefined;
+  error.data = data;
+  
+  return error;
+}
+
+/**
+ * Normalize an error thrown by Networking
+ * Servers often answer invalid operations with a 4xx status and a GraphQL body.
+ * @param {Error} error - Networking error
+ * @returns {Error} Normalized error, aborts are returned unchanged
+ * @private
+ */
+function toGraphQLError(error) {
+  if (error.name === 'AbortError' || error.name === 'GraphQLError') {
+    return error;
+  }
+  
+  const body = error.data;
+  
+  if (body && Array.isArray(body.errors)) {
+    return createGraphQLError({
+      graphQLErrors: body.errors,
+      networkError: error,
+      data: body.data || null,
+    });
+  }
+  
+  return createGraphQLError({ networkError: error });
+}
+
+/**
+ * GraphQLClient class
+ * Results are stored in a NormalizedCache, so objects returned by mutations and
+ * subscriptions update every query that contains them.
+ */
+class GraphQLClient {
+  /**
+   * Create a client
+   * @param {Object} options - Client options
+   * @param {string} options.url - HTTP endpoint
+   * @param {string} options.wsUrl - WebSocket endpoint for subscriptions, using the graphql-transport-ws protocol
+   * @param {typeof Networking} options.networking - Networking class or instance from Networking.create()
+   * @param {Object} options.headers - Headers added to every HTTP request
+   * @param {NormalizedCache} options.cache - Cache
+   * @param {Object|Function} options.connectionParams - Payload of the WebSocket connection_init message, or function returning it
+   * @param {Object} options.webSocketOptions - WebSocketClient options
+   * @param {string} options.defaultFetchPolicy - Fetch policy of queries without one
+   */
+  constructor(options = {}) {
+    const {
+      url,
+      wsUrl = null,
+      networking = Networking,
+      headers = {},
+      cache = new NormalizedCache(),
+      connectionParams,
+      webSocketOptions = {},
+      defaultFetchPolicy = 'cache-first',
+    } = options;
+    
+    if (!url) {
+      throw new Error('GraphQLClient requires a url.');
+    }
+    
+    this.url = url;
+    this.wsUrl = wsUrl;
+    this.networking = networking;
+    this.headers = headers;
+    this.cache = cache;
+    this.connectionParams = connectionParams;
+    this.webSocketOptions = webSocketOptions;
+    this.defaultFetchPolicy = defaultFetchPolicy;
+    
+    this._inFlight = new Map();
+    this._watches = new Map();
+    this._socket = null;
+    this._acknowledged = false;
+    this._subscriptions = new Map();
+    this._nextSubscriptionId = 0;
+    
+    this.cache.watch(changed => this._handleCacheChange(changed));
+  }
+
+  /**
+   * Run a query
+   * Identical queries without a signal share one request.
+   * @param {Object} options - Query options
+   * @param {string} options.query - GraphQL document
+   * @param {Object} options.variables - Variables
+   * @param {string} options.operationName - Operation name, read from the document by default
+   * @param {string} options.fetchPolicy - 'cache-first', 'network-only', 'cache-only' or 'no-cache'
+   * @param {Object} options.headers - Request headers
+   * @param {AbortSignal} options.signal - Signal to abort the request
+   * @returns {Promise<Object|null>} Result data, null for a cache-only miss
+   */
+  query(options) {
+    const {
+      query,
+      variables = {},
+      fetchPolicy = this.defaultFetchPolicy,
+      headers,
+      signal,
+    } = options;
+    
+    const key = getOperationKey(query, variables);
+    
+    if (fetchPolicy === 'cache-first' || fetchPolicy === 'cache-only') {
+      const cached = this.cache.read(key);
+      
+      if (cached || fetchPolicy === 'cache-only') {
+        return Promise.resolve(cached);
+      }
+    }
+    
+    const shared = fetchPolicy !== 'no-cache' && !signal;
+    
+    if (shared && this._inFlight.has(key)) {
+      return this._inFlight.get(key);
+    }
+    
+    const promise = this._execute({
+      query,
+      variables,
+      operationName: options.operationName || getOperationName(query),
+    }, {
+      headers,
+      signal,
+      // Queries have no side effects, so they are safe to retry even though they are POSTs
+      retry: { methods: ['POST'] },
+    }).then((data) => {
+      if (fetchPolicy !== 'no-cache') {
+        this.cache.write(key, data);
+      }
+      
+      return data;
+    });
+    
+    if (shared) {
+      this._inFlight.set(key, promise);
+      
+      const removeInFlight = () => {
+        if (this._inFlight.get(key) === promise) {
+          this._inFlight.delete(key);
+        }
+      };
+      
+      promise.then(removeInFlight, removeInFlight);
+    }
+    
+    return promise;
+  }
+
+  /**
+   * Run a mutation
+   * Objects in the result are merged into the cache.
+   * @param {Object} options - Mutation options
+   * @param {string} options.mutation - GraphQL document
+   * @param {Object} options.variables - Variables
+   * @param {string} options.operationName - Operation name, read from the document by default
+   * @param {Function} options.update - Function (client, data) to update cached queries, e.g. to add a created item to a list
+   * @param {string[]} options.refetchQueries - Names of watched queries to refetch afterwards
+   * @param {Object} options.headers - Request headers
+   * @param {AbortSignal} options.signal - Signal to abort the request
+   * @returns {Promise<Object>} Result data
+   */
+  async mutate(options) {
+    const {
+      mutation,
+      variables = {},
+      update,
+      refetchQueries = [],
+      headers,
+      signal,
+    } = options;
+    
+    const data = await this._execute({
+      query: mutation,
+      variables,
+      operationName: options.operationName || getOperationName(mutation),
+    }, { headers, signal });
+    
+    if (data) {
+      this.cache.writeEntity(data);
+    }
+    
+    if (update) {
+      update(this, data);
+    }
+    
+    if (refetchQueries.length > 0) {
+      this.refetchQueries(refetchQueries).catch((error) => {
+        console.error('Error refetching queries:', error);
+      });
+    }
+    
+    return data;
+  }
+
+  /**
+   * Start a subscription
+   * Errors returned with a result are passed to `error` and keep the
+   * subscription open; operation errors end it.
+   * @param {Object} options - Subscription options
+   * @param {string} options.query - GraphQL document
+   * @param {Object} options.variables - Variables
+   * @param {string} options.operationName - Operation name, read from the document by default
+   * @param {Object} observer - Observer with next(data), error(error) and complete()
+   * @returns {Function} Function ending the subscription
+   */
+  subscribe(options, observer) {
+    const { query, variables = {} } = options;
+    
+    const id = String(++this._nextSubscriptionId);
+    const subscription = {
+      payload: {
+        query,
+        variables,
+        operationName: options.operationName || getOperationName(query),
+      },
+      observer,
+    };
+    
+    this._subscriptions.set(id, subscription);
+    this._getSocket();
+    
+    if (this._acknowledged) {
+      this._socket.send({ id, type: 'subscribe', payload: subscription.payload });
+    }
+    
+    return () => {
+      if (this._subscriptions.delete(id) && this._acknowledged) {
+        this._socket.send({ id, type: 'complete' });
+      }
+    };
+  }
+
+  /**
+   * Read a query from the cache
+   * @param {Object} options - Options with query and variables
+   * @returns {Object|null} Cached data, or null when it is missing
+   */
+  readQuery({ query, variables }) {
+    return this.cache.read(getOperationKey(query, variables));
+  }
+
+  /**
+   * Write a query result to the cache
+   * @param {Object} options - Options with query, variables and data
+   */
+  writeQuery({ query, variables, data }) {
+    this.cache.write(getOperationKey(query, variables), data);
+  }
+
+  /**
+   * Watch the cached result of a query
+   * When the result becomes incomplete, e.g. after an eviction, it is fetched again.
+   * @param {Object} options - Options with query and variables
+   * @param {Function} listener - Function (data, error) called when the result changes
+   * @returns {Function} Unsubscribe function
+   */
+  watchQuery({ query, variables = {}, operationName }, listener) {
+    const key = getOperationKey(query, variables);
+    
+    if (!this._watches.has(key)) {
+      this._watches.set(key, {
+        operation: { query, variables },
+        operationName: operationName || getOperationName(query),
+        listeners: [],
+        dependencies: this.cache._read(key).dependencies,
+      });
+    }
+    
+    const watch = this._watches.get(key);
+    watch.listeners.push(listener);
+    
+    return () => {
+      watch.listeners = watch.listeners.filter(l => l !== listener);
+      
+      if (watch.listeners.length === 0 && this._watches.get(key) === watch) {
+        this._watches.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Fetch watched queries again
+   * @param {string[]} operationNames - Names of the queries, all watched queries when omitted
+   * @returns {Promise<Array<Object>>} Results
+   */
+  refetchQueries(operationNames) {
+    const watches = Array.from(this._watches.values()).filter(
+      watch => !operationNames || operationNames.includes(watch.operationName)
+    );
+    
+    return Promise.all(watches.map(watch => this.query({
+      ...watch.operation,
+      fetchPolicy: 'network-only',
+    })));
+  }
+
+  /**
+   * Clear the cache and fetch the watched queries again, e.g. after logout
+   */
+  resetStore() {
+    this.cache.clear();
+  }
+
+  /**
+   * Close the WebSocket and complete every subscription
+   */
+  close() {
+    const subscriptions = Array.from(this._subscriptions.values());
+    this._subscriptions.clear();
+    
+    if (this._socket) {
+      this._socket.close();
+      this._socket = null;
+      this._acknowledged = false;
+    }
+    
+    subscriptions.forEach(({ observer }) => {
+      if (observer.complete) {
+        observer.complete();
+      }
+    });
+  }
+
+  /**
+   * Send an operation over HTTP
+   * @param {Object} body - Request body with query, variables and operationName
+   * @param {Object} options - Networking options
+   * @returns {Promise<Object|null>} Result data
+   * @private
+   */
+  async _execute(body, options) {
+    const { headers, ...requestOptions } = options;
+    let response;
+    
+    try {
+      response = await this.networking.post(this.url, body, {
+        ...requestOptions,
+        headers: {
+          ...this.headers,
+          ...headers,
+        },
+        // A queued operation would resolve to { queued: true } instead of a result
+        offline: false,
+      });
+    } catch (error) {
+      throw toGraphQLError(error);
+    }
+    
+    if (response && Array.isArray(response.errors) && response.errors.length > 0) {
+      throw createGraphQLError({
+        graphQLErrors: response.errors,
+        data: response.data || null,
+      });
+    }
+    
+    return response ? response.data : null;
+  }
+
+  /**
+   * Get the subscription socket, connecting it on first use
+   * @returns {WebSocketClient} Socket
+   * @private
+   */
+  _getSocket() {
+    if (this._socket) {
+      return this._socket;
+    }
+    
+    if (!this.wsUrl) {
+      throw new Error('GraphQLClient requires a wsUrl for subscriptions.');
+    }
+    
+    const socket = new WebSocketClient(this.wsUrl, {
+      protocols: 'graphql-transport-ws',
+      ...this.webSocketOptions,
+      json: true,
+      autoConnect: false,
+    });
+    
+    socket.addListener('open', () => {
+      this._initSocket(socket);
+    });
+    
+    socket.addListener('message', (message) => {
+      this._handleSocketMessage(message);
+    });
+    
+    // Subscriptions are sent again once the reconnected socket is acknowledged
+    socket.addListener('close', () => {
+      this._acknowledged = false;
+    });
+    
+    this._socket = socket;
+    socket.connect();
+    
+    return socket;
+  }
+
+  /**
+   * Send the connection_init message
+   * @param {WebSocketClient} socket - Socket that opened
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _initSocket(socket) {
+    let payload = this.connectionParams;
+    
+    try {
+      if (typeof payload === 'function') {
+        payload = await payload();
+      }
+    } catch (error) {
+      console.error('Error getting GraphQL connection params:', error);
+      payload = undefined;
+    }
+    
+    socket.send({ type: 'connection_init', payload });
+  }
+
+  /**
+   * Handle a graphql-transport-ws message
+   * @param {Object} message - Message
+   * @private
+   */
+  _handleSocketMessage(message) {
+    const subscription = this._subscriptions.get(message.id);
+    
+    switch (message.type) {
+      case 'connection_ack':
+        this._acknowledged = true;
+        this._subscriptions.forEach(({ payload }, id) => {
+          this._socket.send({ id, type: 'subscribe', payload });
+        });
+        break;
+      case 'ping':
+        this._socket.send({ type: 'pong' });
+        break;
+      case 'next':
+        if (subscription) {
+          this._handleSubscriptionResult(subscription, message.payload || {});
+        }
+        break;
+      case 'error':
+        if (subscription) {
+          this._subscriptions.delete(message.id);
+          
+          if (subscription.observer.error) {
+            subscription.observer.error(createGraphQLError({ graphQLErrors: message.payload || [] }));
+          }
+        }
+        break;
+      case 'complete':
+        if (subscription) {
+          this._subscriptions.delete(message.id);
+          
+          if (subscription.observer.complete) {
+            subscription.observer.complete();
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Pass a subscription result to its observer
+   * @param {Object} subscription - Subscription
+   * @param {Object} result - Result with data and errors
+   * @private
+   */
+  _handleSubscriptionResult(subscription, result) {
+    const { observer } = subscription;
+    
+    if (Array.isArray(result.errors) && result.errors.length > 0) {
+      if (observer.error) {
+        observer.error(createGraphQLError({
+          graphQLErrors: result.errors,
+          data: result.data || null,
+        }));
+      }
+      return;
+    }
+    
+    if (result.data) {
+      this.cache.writeEntity(result.data);
+    }
+    
+    if (observer.next) {
+      observer.next(result.data);
+    }
+  }
+
+  /**
+   * Notify watches whose result depends on changed cache keys
+   * @param {Set<string>} changed - Changed keys
+   * @private
+   */
+  _handleCacheChange(changed) {
+    this._watches.forEach((watch, key) => {
+      if (!Array.from(watch.dependencies).some(dependency => changed.has(dependency))) {
+        return;
+      }
+      
+      const { data, dependencies } = this.cache._read(key);
+      watch.dependencies = dependencies;
+      watch.listeners.forEach(listener => listener(data));
+      
+      if (data === null) {
+        this.query({ ...watch.operation, fetchPolicy: 'network-only' }).catch((error) => {
+          watch.listeners.forEach(listener => listener(null, error));
+        });
+      }
+    });
+  }
+}
+
+export { GraphQLClient, getOperationKey };
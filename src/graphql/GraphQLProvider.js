@@ -0,0 +1,27 @@
+/**
+ * GraphQLProvider for Reactive chmlsh
+ * A provider making a GraphQLClient available to the GraphQL hooks
+ */
+
+import React, { createContext } from 'react';
+
+// Create context
+const GraphQLContext = createContext(null);
+
+/**
+ * GraphQLProvider component
+ * @param {Object} props - Component properties
+ * @param {GraphQLClient} props.client - Client used by useQuery and useMutation
+ * @returns {React.Element} Provider component
+ */
+const GraphQLProvider = (props) => {
+  const { client, children } = props;
+  
+  return (
+    <GraphQLContext.Provider value={client}>
+      {children}
+    </GraphQLContext.Provider>
+  );
+};
+
+export { GraphQLProvider, GraphQLContext };
@@ -0,0 +1,304 @@
+/**
+ * NormalizedCache for Reactive chmlsh
+ * A GraphQL result cache that stores each object once under `__typename:id`
+ */
+
+/**
+ * Default cache ID of an object
+ * @param {Object} object - Result object
+ * @returns {string|null} `__typename:id`, or null when the object has no identity
+ * @private
+ */
+function defaultDataIdFromObject(object) {
+  const id = object.id !== undefined ? object.id : object._id;
+  
+  if (!object.__typename || id === undefined || id === null) {
+    return null;
+  }
+  
+  return `${object.__typename}:${id}`;
+}
+
+/**
+ * Check if a value is a reference to a cached object
+ * @param {any} value - Value
+ * @returns {boolean} Whether the value is a reference
+ * @private
+ */
+function isReference(value) {
+  return !!value && typeof value === 'object' && typeof value.__ref === 'string';
+}
+
+/**
+ * NormalizedCache class
+ * Query results are stored as trees of references, so an object updated by one
+ * operation is updated in every query that contains it.
+ */
+class NormalizedCache {
+  /**
+   * Create a cache
+   * @param {Object} options - Cache options
+   * @param {Function} options.dataIdFromObject - Function (object) returning its cache ID or null
+   */
+  constructor(options = {}) {
+    this.dataIdFromObject = options.dataIdFromObject || defaultDataIdFromObject;
+    this._entities = new Map();
+    this._roots = new Map();
+    this._watchers = [];
+  }
+
+  /**
+   * Get the cache ID of an object
+   * @param {Object} object - Result object
+   * @returns {string|null} Cache ID
+   */
+  identify(object) {
+    return object && typeof object === 'object' ? this.dataIdFromObject(object) : null;
+  }
+
+  /**
+   * Store an operation result
+   * @param {string} rootKey - Key of the operation
+   * @param {Object} data - Result data
+   */
+  write(rootKey, data) {
+    const changed = new Set();
+    const normalized = this._normalize(data, changed);
+    
+    if (JSON.stringify(this._roots.get(rootKey)) !== JSON.stringify(normalized)) {
+      this._roots.set(rootKey, normalized);
+      changed.add(rootKey);
+    }
+    
+    this._notifyWatchers(changed);
+  }
+
+  /**
+   * Read an operation result
+   * @param {string} rootKey - Key of the operation
+   * @returns {Object|null} Result data, or null when it is missing or incomplete
+   */
+  read(rootKey) {
+    return this._read(rootKey).data;
+  }
+
+  /**
+   * Read a cached object
+   * @param {string} id - Cache ID
+   * @returns {Object|null} Object, or null when it is not cached
+   */
+  readEntity(id) {
+    if (!this._entities.has(id)) {
+      return null;
+    }
+    
+    const result = this._denormalize({ __ref: id }, new Map(), new Set());
+    return result.complete ? result.value : null;
+  }
+
+  /**
+   * Merge an object and the identifiable objects nested in it into the cache
+   * @param {Object} object - Object, e.g. a mutation result
+   * @returns {string|null} Cache ID of the object, or null when it has no identity
+   */
+  writeEntity(object) {
+    const changed = new Set();
+    const reference = this._normalize(object, changed);
+    
+    this._notifyWatchers(changed);
+    return isReference(reference) ? reference.__ref : null;
+  }
+
+  /**
+   * Remove a cached object
+   * Queries containing it become incomplete.
+   * @param {string} id - Cache ID
+   */
+  evict(id) {
+    if (this._entities.delete(id)) {
+      this._notifyWatchers(new Set([id]));
+    }
+  }
+
+  /**
+   * Remove every cached object and result
+   */
+  clear() {
+    const changed = new Set([...this._entities.keys(), ...this._roots.keys()]);
+    
+    this._entities.clear();
+    this._roots.clear();
+    this._notifyWatchers(changed);
+  }
+
+  /**
+   * Get a serializable snapshot of the cache
+   * @returns {Object} Snapshot with entities and roots
+   */
+  extract() {
+    return {
+      entities: Object.fromEntries(this._entities),
+      roots: Object.fromEntries(this._roots),
+    };
+  }
+
+  /**
+   * Replace the cache with a snapshot from extract()
+   * @param {Object} snapshot - Snapshot
+   */
+  restore(snapshot) {
+    this._entities = new Map(Object.entries(snapshot.entities || {}));
+    this._roots = new Map(Object.entries(snapshot.roots || {}));
+    this._notifyWatchers(new Set([...this._entities.keys(), ...this._roots.keys()]));
+  }
+
+  /**
+   * Watch cache changes
+   * @param {Function} listener - Function called with the Set of changed keys
+   * @returns {Function} Unsubscribe function
+   */
+  watch(listener) {
+    this._watchers.push(listener);
+    
+    return () => {
+      this._watchers = this._watchers.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Read an operation result and the keys it depends on
+   * @param {string} rootKey - Key of the operation
+   * @returns {Object} { data, dependencies }
+   * @private
+   */
+  _read(rootKey) {
+    const dependencies = new Set([rootKey]);
+    
+    if (!this._roots.has(rootKey)) {
+      return { data: null, dependencies };
+    }
+    
+    const result = this._denormalize(this._roots.get(rootKey), new Map(), dependencies);
+    
+    return {
+      data: result.complete ? result.value : null,
+      dependencies,
+    };
+  }
+
+  /**
+   * Replace identifiable objects with references and store them
+   * @param {any} value - Result value
+   * @param {Set<string>} changed - Set collecting the IDs of changed objects
+   * @returns {any} Normalized value
+   * @private
+   */
+  _normalize(value, changed) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._normalize(item, changed));
+    }
+    
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    
+    const fields = {};
+    
+    Object.keys(value).forEach((field) => {
+      fields[field] = this._normalize(value[field], changed);
+    });
+    
+    const id = this.dataIdFromObject(value);
+    
+    if (!id) {
+      return fields;
+    }
+    
+    const existing = this._entities.get(id) || {};
+    const fieldChanged = !this._entities.has(id) || Object.keys(fields).some(
+      field => JSON.stringify(existing[field]) !== JSON.stringify(fields[field])
+    );
+    
+    if (fieldChanged) {
+      this._entities.set(id, { ...existing, ...fields });
+      changed.add(id);
+    }
+    
+    return { __ref: id };
+  }
+
+  /**
+   * Replace references with the cached objects
+   * Objects referencing each other resolve to the same instances.
+   * @param {any} value - Normalized value
+   * @param {Map<string, Object>} resolved - Objects already built by this read
+   * @param {Set<string>} dependencies - Set collecting the IDs read
+   * @returns {Object} { value, complete }
+   * @private
+   */
+  _denormalize(value, resolved, dependencies) {
+    if (Array.isArray(value)) {
+      let complete = true;
+      const items = value.map((item) => {
+        const result = this._denormalize(item, resolved, dependencies);
+        complete = complete && result.complete;
+        return result.value;
+      });
+      
+      return { value: items, complete };
+    }
+    
+    if (!value || typeof value !== 'object') {
+      return { value, complete: true };
+    }
+    
+    let fields = value;
+    const object = {};
+    
+    if (isReference(value)) {
+      dependencies.add(value.__ref);
+      
+      if (resolved.has(value.__ref)) {
+        return { value: resolved.get(value.__ref), complete: true };
+      }
+      
+      if (!this._entities.has(value.__ref)) {
+        return { value: null, complete: false };
+      }
+      
+      fields = this._entities.get(value.__ref);
+      resolved.set(value.__ref, object);
+    }
+    
+    let complete = true;
+    
+    Object.keys(fields).forEach((field) => {
+      const result = this._denormalize(fields[field], resolved, dependencies);
+      complete = complete && result.complete;
+      object[field] = result.value;
+    });
+    
+    return { value: object, complete };
+  }
+
+  /**
+   * Notify watchers of changed keys
+   * @param {Set<string>} changed - Changed keys
+   * @private
+   */
+  _notifyWatchers(changed) {
+    if (changed.size === 0) {
+      return;
+    }
+    
+    this._watchers.forEach((listener) => {
+      try {
+        listener(changed);
+      } catch (error) {
+        console.error('Error in GraphQL cache watcher:', error);
+      }
+    });
+  }
+}
+
+export { NormalizedCache };
@@ -0,0 +1,123 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { Networking } from '../../Networking';
+import { NetworkMock } from '../../NetworkMock';
+import { GraphQLClient } from '../GraphQLClient';
+import { GraphQLProvider } from '../GraphQLProvider';
+import { useQuery } from '../useQuery';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const ME = `
+  query Me {
+    me { __typename id name }
+  }
+`;
+
+const RENAME = `
+  mutation Rename($name: String!) {
+    rename(name: $name) { __typename id name }
+  }
+`;
+
+let client;
+
+beforeEach(() => {
+  const Api = Networking.create({ retry: { retries: 0 } });
+  NetworkMock.reset();
+  NetworkMock.enable({ networking: Api });
+  client = new GraphQLClient({ url: 'http://api.test/graphql', networking: Api });
+});
+
+afterEach(() => {
+  NetworkMock.disable();
+  NetworkMock.reset();
+});
+
+describe('GraphQLClient', () => {
+  it('sends the operation and answers cache-first queries from the cache', async () => {
+    NetworkMock.post('/graphql', { status: 200, body: { data: { me: { __typename: 'User', id: 1, name: 'Ada' } } } });
+
+    await expect(client.query({ query: ME })).resolves.toEqual({ me: { __typename: 'User', id: 1, name: 'Ada' } });
+    await client.query({ query: ME });
+
+    const requests = NetworkMock.getRequests();
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body).toEqual({ query: ME, variables: {}, operationName: 'Me' });
+  });
+
+  it('shares one request between identical queries in flight', async () => {
+    NetworkMock.post('/graphql', { status: 200, body: { data: { me: null } } });
+
+    await Promise.all([
+      client.query({ query: ME, fetchPolicy: 'network-only' }),
+      client.query({ query: `query Me { me { __typename id name } }`, fetchPolicy: 'network-only' }),
+    ]);
+
+    expect(NetworkMock.getRequests()).toHaveLength(1);
+  });
+
+  it('updates watched queries with objects returned by mutations', async () => {
+    NetworkMock.post('/graphql', request => ({
+      status: 200,
+      body: request.body.operationName === 'Me'
+        ? { data: { me: { __typename: 'User', id: 1, name: 'Ada' } } }
+        : { data: { rename: { __typename: 'User', id: 1, name: request.body.variables.name } } },
+    }));
+    const listener = jest.fn();
+
+    await client.query({ query: ME });
+    client.watchQuery({ query: ME }, listener);
+    await client.mutate({ mutation: RENAME, variables: { name: 'Grace' } });
+
+    expect(listener).toHaveBeenCalledWith({ me: { __typename: 'User', id: 1, name: 'Grace' } });
+  });
+
+  it('rejects with the GraphQL errors of the result', async () => {
+    NetworkMock.post('/graphql', { status: 200, body: { data: null, errors: [{ message: 'Not allowed' }] } });
+
+    await expect(client.query({ query: ME })).rejects.toMatchObject({
+      name: 'GraphQLError',
+      message: 'Not allowed',
+      graphQLErrors: [{ message: 'Not allowed' }],
+    });
+  });
+
+  it('reads GraphQL errors from error responses', async () => {
+    NetworkMock.post('/graphql', { status: 400, body: { errors: [{ message: 'Unknown field' }] } });
+
+    await expect(client.query({ query: ME })).rejects.toMatchObject({
+      name: 'GraphQLError',
+      message: 'Unknown field',
+      status: 400,
+    });
+  });
+
+  it('requires a url', () => {
+    expect(() => new GraphQLClient()).toThrow('requires a url');
+  });
+});
+
+describe('useQuery', () => {
+  it('loads the query and follows cache updates', async () => {
+    NetworkMock.post('/graphql', { status: 200, body: { data: { me: { __typename: 'User', id: 1, name: 'Ada' } } } });
+    const results = [];
+
+    const Me = () => {
+      const { data, loading } = useQuery(ME);
+      results.push(loading ? 'loading' : data.me.name);
+      return null;
+    };
+
+    await act(async () => {
+      TestRenderer.create(<GraphQLProvider client={client}><Me /></GraphQLProvider>);
+    });
+
+    act(() => {
+      client.cache.writeEntity({ __typename: 'User', id: 1, name: 'Grace' });
+    });
+
+    expect(results[0]).toBe('loading');
+    expect(results.slice(-2)).toEqual(['Ada', 'Grace']);
+  });
+});
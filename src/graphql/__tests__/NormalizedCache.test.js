@@ -0,0 +1,68 @@
+import { NormalizedCache } from '../NormalizedCache';
+
+describe('NormalizedCache', () => {
+  const ada = { __typename: 'User', id: 1, name: 'Ada' };
+
+  it('stores each object once and updates every result containing it', () => {
+    const cache = new NormalizedCache();
+
+    cache.write('me', { me: ada });
+    cache.write('users', { users: [ada, { __typename: 'User', id: 2, name: 'Grace' }] });
+    cache.writeEntity({ __typename: 'User', id: 1, name: 'Ada Lovelace' });
+
+    expect(cache.read('me')).toEqual({ me: { ...ada, name: 'Ada Lovelace' } });
+    expect(cache.read('users').users[0].name).toBe('Ada Lovelace');
+    expect(cache.readEntity('User:1')).toEqual({ ...ada, name: 'Ada Lovelace' });
+  });
+
+  it('treats results with evicted objects as missing', () => {
+    const cache = new NormalizedCache();
+
+    cache.write('me', { me: ada });
+    cache.evict('User:1');
+
+    expect(cache.read('me')).toBeNull();
+    expect(cache.read('unknown')).toBeNull();
+  });
+
+  it('resolves objects referencing each other to the same instances', () => {
+    const cache = new NormalizedCache();
+
+    cache.write('post', {
+      post: { __typename: 'Post', id: 1, author: { __typename: 'User', id: 1, posts: [{ __typename: 'Post', id: 1 }] } },
+    });
+
+    const { post } = cache.read('post');
+    expect(post.author.posts[0]).toBe(post);
+  });
+
+  it('notifies watchers only of keys that changed', () => {
+    const cache = new NormalizedCache();
+    const listener = jest.fn();
+
+    cache.write('me', { me: ada });
+    cache.watch(listener);
+    cache.writeEntity(ada);
+    cache.writeEntity({ ...ada, name: 'Grace' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(Array.from(listener.mock.calls[0][0])).toEqual(['User:1']);
+  });
+
+  it('restores a snapshot from extract', () => {
+    const cache = new NormalizedCache();
+    cache.write('me', { me: ada });
+
+    const restored = new NormalizedCache();
+    restored.restore(JSON.parse(JSON.stringify(cache.extract())));
+
+    expect(restored.read('me')).toEqual({ me: ada });
+  });
+
+  it('uses a custom identity', () => {
+    const cache = new NormalizedCache({ dataIdFromObject: object => object.sku || null });
+
+    expect(cache.writeEntity({ sku: 'A1', price: 3 })).toBe('A1');
+    expect(cache.identify({ price: 3 })).toBeNull();
+  });
+});
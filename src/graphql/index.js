@@ -0,0 +1,20 @@
+/**
+ * GraphQL exports for Reactive chmlsh
+ */
+
+import { GraphQLClient } from './GraphQLClient';
+import { NormalizedCache } from './NormalizedCache';
+import { GraphQLProvider, GraphQLContext } from './GraphQLProvider';
+import { useGraphQLClient } from './useGraphQLClient';
+import { useQuery } from './useQuery';
+import { useMutation } from './useMutation';
+
+export {
+  GraphQLClient,
+  NormalizedCache,
+  GraphQLProvider,
+  GraphQLContext,
+  useGraphQLClient,
+  useQuery,
+  useMutation
+};
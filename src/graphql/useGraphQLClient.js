@@ -0,0 +1,24 @@
+/**
+ * useGraphQLClient hook for Reactive chmlsh
+ * A hook for accessing the GraphQLClient of the nearest GraphQLProvider
+ */
+
+import { useContext } from 'react';
+import { GraphQLContext } from './GraphQLProvider';
+
+/**
+ * Hook for accessing the GraphQL client
+ * @param {GraphQLClient} client - Client to use instead of the provided one
+ * @returns {GraphQLClient} Client
+ */
+const useGraphQLClient = (client) => {
+  const context = useContext(GraphQLContext);
+  
+  if (!client && !context) {
+    throw new Error('useGraphQLClient must be used within a GraphQLProvider');
+  }
+  
+  return client || context;
+};
+
+export { useGraphQLClient };
@@ -0,0 +1,78 @@
+/**
+ * useMutation hook for Reactive chmlsh
+ * A hook to run a GraphQL mutation and track its state
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useGraphQLClient } from './useGraphQLClient';
+
+const IDLE_RESULT = {
+  data: undefined,
+  error: undefined,
+  loading: false,
+  called: false,
+};
+
+/**
+ * Hook to run a GraphQL mutation
+ * @param {string} mutation - GraphQL document
+ * @param {Object} options - Mutation options
+ * @param {Function} options.update - Function (client, data) to update cached queries
+ * @param {string[]} options.refetchQueries - Names of watched queries to refetch afterwards
+ * @param {GraphQLClient} options.client - Client to use instead of the provided one
+ * @returns {Array} [mutate(variables, options), { data, error, loading, called, reset }]
+ */
+const useMutation = (mutation, options = {}) => {
+  const client = useGraphQLClient(options.client);
+  const [result, setResult] = useState(IDLE_RESULT);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const latestRequestRef = useRef(null);
+  const mountedRef = useRef(true);
+  
+  useEffect(() => {
+    mountedRef.current = true;
+    
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+  
+  const mutate = useCallback((variables, mutateOptions = {}) => {
+    const { update, refetchQueries } = optionsRef.current;
+    const promise = client.mutate({
+      mutation,
+      variables,
+      update,
+      refetchQueries,
+      ...mutateOptions,
+    });
+    latestRequestRef.current = promise;
+    
+    setResult(previous => ({ ...previous, loading: true, called: true }));
+    
+    // Only the latest call updates the hook state
+    const isLatest = () => mountedRef.current && latestRequestRef.current === promise;
+    
+    promise.then((data) => {
+      if (isLatest()) {
+        setResult({ data, error: undefined, loading: false, called: true });
+      }
+    }, (error) => {
+      if (isLatest()) {
+        setResult({ data: undefined, error, loading: false, called: true });
+      }
+    });
+    
+    return promise;
+  }, [client, mutation]);
+  
+  const reset = useCallback(() => {
+    latestRequestRef.current = null;
+    setResult(IDLE_RESULT);
+  }, []);
+  
+  return [mutate, { ...result, reset }];
+};
+
+export { useMutation };
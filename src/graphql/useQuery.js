@@ -0,0 +1,156 @@
+/**
+ * useQuery hook for Reactive chmlsh
+ * A hook to run a GraphQL query and follow its cached result
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getOperationKey } from './GraphQLClient';
+import { useGraphQLClient } from './useGraphQLClient';
+
+const IDLE_RESULT = {
+  data: undefined,
+  error: undefined,
+  loading: false,
+};
+
+/**
+ * Hook to run a GraphQL query
+ * The result updates whenever a mutation, subscription or other query changes
+ * cached objects it contains.
+ * @param {string} query - GraphQL document
+ * @param {Object} options - Query options
+ * @param {Object} options.variables - Variables
+ * @param {boolean} options.skip - Whether to skip the query
+ * @param {string} options.fetchPolicy - 'cache-first', 'cache-and-network', 'network-only', 'cache-only' or 'no-cache'
+ * @param {number} options.pollingInterval - Milliseconds between refetches, 0 to disable
+ * @param {GraphQLClient} options.client - Client to use instead of the provided one
+ * @returns {Object} Object with data, error, loading, refetch and client
+ */
+const useQuery = (query, options = {}) => {
+  const {
+    variables = {},
+    skip = false,
+    fetchPolicy = 'cache-first',
+    pollingInterval = 0,
+  } = options;
+  
+  const client = useGraphQLClient(options.client);
+  const key = skip ? null : getOperationKey(query, variables);
+  const keyRef = useRef(key);
+  keyRef.current = key;
+  const operationRef = useRef({ query, variables });
+  operationRef.current = { query, variables };
+  const mountedRef = useRef(true);
+  const refetchPolicy = fetchPolicy === 'no-cache' ? 'no-cache' : 'network-only';
+  
+  // Cached data to start from, null when the query has to wait for the network
+  const readCache = () => {
+    if (key === null || fetchPolicy === 'network-only' || fetchPolicy === 'no-cache') {
+      return null;
+    }
+    
+    return client.readQuery(operationRef.current);
+  };
+  
+  const getInitialResult = () => {
+    if (key === null) {
+      return IDLE_RESULT;
+    }
+    
+    const cached = readCache();
+    
+    return {
+      data: cached === null ? undefined : cached,
+      error: undefined,
+      loading: fetchPolicy !== 'cache-only' && (cached === null || fetchPolicy === 'cache-and-network'),
+    };
+  };
+  
+  const [result, setResult] = useState(getInitialResult);
+  
+  useEffect(() => {
+    mountedRef.current = true;
+    
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+  
+  const fetchQuery = useCallback((policy) => {
+    const requestKey = keyRef.current;
+    const isCurrent = () => mountedRef.current && keyRef.current === requestKey;
+    
+    return client.query({ ...operationRef.current, fetchPolicy: policy }).then((data) => {
+      if (isCurrent()) {
+        setResult({
+          data: data === null ? undefined : data,
+          error: undefined,
+          loading: false,
+        });
+      }
+      
+      return data;
+    }, (error) => {
+      if (isCurrent() && error.name !== 'AbortError') {
+        setResult(previous => ({ ...previous, error, loading: false }));
+      }
+      
+      throw error;
+    });
+  }, [client]);
+  
+  useEffect(() => {
+    setResult(getInitialResult());
+    
+    if (key === null) {
+      return undefined;
+    }
+    
+    // Results of no-cache queries never reach the cache, so there is nothing to watch
+    const unwatch = fetchPolicy === 'no-cache'
+      ? undefined
+      : client.watchQuery(operationRef.current, (data, error) => {
+        if (error) {
+          setResult(previous => ({ ...previous, error, loading: false }));
+        } else if (data === null) {
+          setResult(previous => ({ ...previous, loading: true }));
+        } else {
+          setResult({ data, error: undefined, loading: false });
+        }
+      });
+    
+    fetchQuery(fetchPolicy === 'cache-and-network' ? 'network-only' : fetchPolicy).catch(() => {});
+    
+    return unwatch;
+  }, [client, key, fetchPolicy]);
+  
+  useEffect(() => {
+    if (key === null || !pollingInterval) {
+      return undefined;
+    }
+    
+    const intervalId = setInterval(() => {
+      fetchQuery(refetchPolicy).catch(() => {});
+    }, pollingInterval);
+    
+    return () => clearInterval(intervalId);
+  }, [key, pollingInterval, refetchPolicy, fetchQuery]);
+  
+  // Fetch the query from the network again
+  const refetch = useCallback(() => {
+    if (keyRef.current === null) {
+      return Promise.resolve(undefined);
+    }
+    
+    setResult(previous => ({ ...previous, loading: true }));
+    return fetchQuery(refetchPolicy);
+  }, [refetchPolicy, fetchQuery]);
+  
+  return {
+    ...result,
+    refetch,
+    client,
+  };
+};
+
+export { useQuery };
@@ -7,6 +7,10 @@ import { useBackButton } from './useBackButton';
 import { useAppState, AppStateStatus } from './useAppState';
 import { useColorScheme, ColorSchemeName } from './useColorScheme';
 import { useAccessibility } from './useAccessibility';
+import { useWebSocket } from './useWebSocket';
+import { useEventSource } from './useEventSource';
+import { useNetInfo } from './useNetInfo';
+import { useStoredState } from './useStoredState';
 
 export {
   useWindowDimensions,
@@ -15,5 +19,9 @@ export {
   AppStateStatus,
   useColorScheme,
   ColorSchemeName,
-  useAccessibility
+  useAccessibility,
+  useWebSocket,
+  useEventSource,
+  useNetInfo,
+  useStoredState
 };
@@ -0,0 +1,80 @@
+/**
+ * useEventSource hook for Reactive chmlsh
+ * A hook to subscribe a component to a Server-Sent Events stream
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { EventSourceClient } from '../EventSourceClient';
+
+/**
+ * Hook to open an event stream for the lifetime of a component
+ * @param {string|null} url - Stream URL, no connection when null
+ * @param {Object} options - EventSourceClient options
+ * @param {string[]} options.events - Names of the server events to listen to
+ * @param {Function} options.onEvent - Function called with each received event
+ * @returns {Object} Object with readyState, lastEvent, error, close and client
+ */
+export function useEventSource(url, options = {}) {
+  const { events = ['message'] } = options;
+  const [readyState, setReadyState] = useState(EventSourceClient.CLOSED);
+  const [lastEvent, setLastEvent] = useState(null);
+  const [error, setError] = useState(null);
+  const clientRef = useRef(null);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  // Listen again only when the event names change, not on every new array
+  const eventsKey = events.join(',');
+
+  useEffect(() => {
+    if (!url) {
+      return undefined;
+    }
+
+    const { events: eventNames, onEvent, ...clientOptions } = optionsRef.current;
+    const client = new EventSourceClient(url, {
+      ...clientOptions,
+      autoConnect: false,
+    });
+    clientRef.current = client;
+
+    const handleEvent = (event) => {
+      setLastEvent(event);
+
+      if (optionsRef.current.onEvent) {
+        optionsRef.current.onEvent(event);
+      }
+    };
+
+    const removeListeners = [
+      client.addListener('stateChange', setReadyState),
+      client.addListener('open', () => setError(null)),
+      client.addListener('error', setError),
+      ...eventsKey.split(',').map(name => client.addListener(name, handleEvent)),
+    ];
+
+    client.connect();
+
+    return () => {
+      removeListeners.forEach(remove => remove());
+      client.close();
+      clientRef.current = null;
+      setReadyState(EventSourceClient.CLOSED);
+    };
+  }, [url, eventsKey]);
+
+  // Close the stream until the URL changes
+  const close = useCallback(() => {
+    if (clientRef.current) {
+      clientRef.current.close();
+    }
+  }, []);
+
+  return {
+    readyState,
+    lastEvent,
+    error,
+    close,
+    client: clientRef.current,
+  };
+}
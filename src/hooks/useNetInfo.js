@@ -0,0 +1,26 @@
+/**
+ * useNetInfo hook for Reactive chmlsh
+ * A hook to track connectivity, e.g. to show an offline banner
+ */
+
+import { useState, useEffect } from 'react';
+import { NetInfo } from '../NetInfo';
+
+/**
+ * Hook to track connectivity
+ * @returns {Object} NetInfo state with type, isConnected, isInternetReachable and details
+ */
+export function useNetInfo() {
+  const [netInfo, setNetInfo] = useState(NetInfo.getState);
+
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener(setNetInfo);
+
+    // The state may have changed between render and subscription
+    setNetInfo(NetInfo.getState());
+
+    return unsubscribe;
+  }, []);
+
+  return netInfo;
+}
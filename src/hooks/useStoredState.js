@@ -0,0 +1,125 @@
+/**
+ * useStoredState hook for Reactive chmlsh
+ * A hook to keep a state value in AsyncStorage, in sync across components and tabs
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { AsyncStorage } from '../AsyncStorage';
+
+// Storage used when none is given, created on first use
+let defaultStorage = null;
+
+/**
+ * Get the default storage instance
+ * @returns {AsyncStorageInstance} Storage instance
+ * @private
+ */
+function getDefaultStorage() {
+  if (!defaultStorage) {
+    defaultStorage = AsyncStorage.createInstance({ namespace: 'state' });
+  }
+
+  return defaultStorage;
+}
+
+/**
+ * Parse a stored value
+ * @param {string} raw - Stored string
+ * @returns {any} Value
+ * @private
+ */
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Hook to keep a state value in storage
+ * Values are stored as JSON. The state is the initial value until the stored
+ * one is loaded, and follows changes made by other components and tabs.
+ * @param {string} key - Storage key
+ * @param {any} initialValue - Value while nothing is stored, or function returning it
+ * @param {Object} options - Hook options
+ * @param {AsyncStorageInstance} options.storage - Storage instance, defaults to the 'state' namespace
+ * @param {number|null} options.ttl - Milliseconds before the stored value expires
+ * @returns {Array} [value, setValue, { loading }]; setValue takes a value or an updater, undefined removes the item
+ */
+export function useStoredState(key, initialValue, options = {}) {
+  const storage = options.storage || getDefaultStorage();
+  const { ttl } = options;
+  const initialRef = useRef(initialValue);
+  initialRef.current = initialValue;
+
+  const getInitialValue = () => (
+    typeof initialRef.current === 'function' ? initialRef.current() : initialRef.current
+  );
+
+  const [state, setState] = useState(() => ({ value: getInitialValue(), loading: true }));
+  const valueRef = useRef(state.value);
+  const rawRef = useRef(undefined);
+
+  // Apply a stored string to the state
+  const applyRaw = useCallback((raw) => {
+    if (raw === rawRef.current) {
+      return;
+    }
+
+    const value = raw === null ? getInitialValue() : parseValue(raw);
+
+    rawRef.current = raw;
+    valueRef.current = value;
+    setState({ value, loading: false });
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+    let changed = false;
+
+    rawRef.current = undefined;
+
+    // Subscribe first so that no change is missed while loading
+    const unsubscribe = storage.subscribe(key, (raw) => {
+      changed = true;
+      applyRaw(raw);
+    });
+
+    storage.getItem(key).then((raw) => {
+      // A change received while loading is newer than the loaded value
+      if (active && !changed) {
+        applyRaw(raw);
+      }
+    }, (error) => {
+      console.error('Error loading stored state:', error);
+
+      if (active && !changed) {
+        applyRaw(null);
+      }
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [storage, key, applyRaw]);
+
+  const setValue = useCallback((next) => {
+    const value = typeof next === 'function' ? next(valueRef.current) : next;
+
+    if (value === undefined) {
+      rawRef.current = null;
+      valueRef.current = getInitialValue();
+      setState({ value: valueRef.current, loading: false });
+      return storage.removeItem(key);
+    }
+
+    rawRef.current = JSON.stringify(value);
+    valueRef.current = value;
+    setState({ value, loading: false });
+    return storage.setItem(key, rawRef.current, ttl !== undefined ? { ttl } : {});
+  }, [storage, key, ttl]);
+
+  return [state.value, setValue, { loading: state.loading }];
+}
@@ -0,0 +1,84 @@
+/**
+ * useWebSocket hook for Reactive chmlsh
+ * A hook to connect a component to a WebSocket with auto-reconnect
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { WebSocketClient } from '../WebSocketClient';
+
+/**
+ * Hook to open a WebSocket connection for the lifetime of a component
+ * @param {string|null} url - WebSocket URL, no connection when null
+ * @param {Object} options - WebSocketClient options
+ * @param {Function} options.onMessage - Function called with each incoming message
+ * @returns {Object} Object with readyState, lastMessage, send, request and client
+ */
+export function useWebSocket(url, options = {}) {
+  const [readyState, setReadyState] = useState(WebSocketClient.CLOSED);
+  const [lastMessage, setLastMessage] = useState(null);
+  // The client is state so renders see the current one, the ref keeps send and request stable
+  const [client, setClient] = useState(null);
+  const clientRef = useRef(null);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  useEffect(() => {
+    if (!url) {
+      return undefined;
+    }
+
+    const { onMessage, ...clientOptions } = optionsRef.current;
+    const nextClient = new WebSocketClient(url, {
+      ...clientOptions,
+      autoConnect: false,
+    });
+    clientRef.current = nextClient;
+    setClient(nextClient);
+
+    const removeStateListener = nextClient.addListener('stateChange', setReadyState);
+    const removeMessageListener = nextClient.addListener('message', (message) => {
+      setLastMessage(message);
+
+      if (optionsRef.current.onMessage) {
+        optionsRef.current.onMessage(message);
+      }
+    });
+
+    nextClient.connect();
+
+    return () => {
+      removeStateListener();
+      removeMessageListener();
+      nextClient.close();
+      clientRef.current = null;
+      setClient(null);
+      setReadyState(WebSocketClient.CLOSED);
+    };
+  }, [url]);
+
+  // Send a message, queued until the connection is open
+  const send = useCallback((message) => {
+    if (!clientRef.current) {
+      return false;
+    }
+
+    return clientRef.current.send(message);
+  }, []);
+
+  // Send a message and wait for its response
+  const request = useCallback((message, requestOptions) => {
+    if (!clientRef.current) {
+      return Promise.reject(new Error('useWebSocket is not connected.'));
+    }
+
+    return clientRef.current.request(message, requestOptions);
+  }, []);
+
+  return {
+    readyState,
+    lastMessage,
+    send,
+    request,
+    client,
+  };
+}
@@ -49,7 +49,14 @@ import { Platform } from './Platform';
 import { Dimensions } from './Dimensions';
 import { Animated } from './Animated';
 import { AsyncStorage } from './AsyncStorage';
+import { MemoryStorageBackend, LocalStorageBackend, IndexedDBStorageBackend } from './storage';
 import { Networking } from './Networking';
+import { OfflineQueue } from './OfflineQueue';
+import { HttpCache, MemoryCacheStorage, AsyncStorageCacheStorage } from './HttpCache';
+import { NetworkMock } from './NetworkMock';
+import { WebSocketClient, WebSocketActionTypes, createWebSocketMiddleware } from './WebSocketClient';
+import { EventSourceClient } from './EventSourceClient';
+import { NetInfo } from './NetInfo';
 import { Geolocation } from './Geolocation';
 import { Notifications } from './Notifications';
 import { Gesture, useGestureHandler } from './Gesture';
@@ -71,7 +78,11 @@ import {
   AppStateStatus,
   useColorScheme,
   ColorSchemeName,
-  useAccessibility
+  useAccessibility,
+  useWebSocket,
+  useEventSource,
+  useNetInfo,
+  useStoredState
 } from './hooks';
 
 // State management
@@ -85,9 +96,50 @@ import {
   useStore,
   useDispatch,
   useSelector,
-  useAction
+  useAction,
+  shallowEqual,
+  compose,
+  persistStore,
+  createMigrate,
+  PersistGate,
+  PERSIST,
+  REHYDRATE,
+  createSlice,
+  createReducer,
+  produce,
+  thunk,
+  createAsyncThunk,
+  unwrapResult,
+  ActionTypes,
+  withDevTools,
+  diffStates,
+  withHistory,
+  HistoryActions,
+  HistoryActionTypes,
+  createSyncMiddleware,
+  withSyncReducer,
+  localOnly,
+  withReducerInjection,
+  useInjectReducers,
+  withInjectedReducers,
+  createListenerMiddleware,
+  createEntityAdapter
 } from './state';
 
+// Data fetching
+import { createApi } from './api';
+
+// GraphQL
+import {
+  GraphQLClient,
+  NormalizedCache,
+  GraphQLProvider,
+  GraphQLContext,
+  useGraphQLClient,
+  useQuery,
+  useMutation
+} from './graphql';
+
 // Theming
 import {
   ThemeProvider,
@@ -220,7 +272,20 @@ export {
   Dimensions,
   Animated,
   AsyncStorage,
+  MemoryStorageBackend,
+  LocalStorageBackend,
+  IndexedDBStorageBackend,
   Networking,
+  OfflineQueue,
+  HttpCache,
+  MemoryCacheStorage,
+  AsyncStorageCacheStorage,
+  NetworkMock,
+  WebSocketClient,
+  WebSocketActionTypes,
+  createWebSocketMiddleware,
+  EventSourceClient,
+  NetInfo,
   Geolocation,
   Notifications,
   Gesture,
@@ -241,6 +306,10 @@ export {
   useColorScheme,
   ColorSchemeName,
   useAccessibility,
+  useWebSocket,
+  useEventSource,
+  useNetInfo,
+  useStoredState,
 
   // State management
   ChmlshProvider,
@@ -253,6 +322,45 @@ export {
   useDispatch,
   useSelector,
   useAction,
+  shallowEqual,
+  compose,
+  persistStore,
+  createMigrate,
+  PersistGate,
+  PERSIST,
+  REHYDRATE,
+  createSlice,
+  createReducer,
+  produce,
+  thunk,
+  createAsyncThunk,
+  unwrapResult,
+  ActionTypes,
+  withDevTools,
+  diffStates,
+  withHistory,
+  HistoryActions,
+  HistoryActionTypes,
+  createSyncMiddleware,
+  withSyncReducer,
+  localOnly,
+  withReducerInjection,
+  useInjectReducers,
+  withInjectedReducers,
+  createListenerMiddleware,
+  createEntityAdapter,
+
+  // Data fetching
+  createApi,
+
+  // GraphQL
+  GraphQLClient,
+  NormalizedCache,
+  GraphQLProvider,
+  GraphQLContext,
+  useGraphQLClient,
+  useQuery,
+  useMutation,
 
   // Theming
   ThemeProvider,
@@ -380,7 +488,20 @@ export default {
   Dimensions,
   Animated,
   AsyncStorage,
+  MemoryStorageBackend,
+  LocalStorageBackend,
+  IndexedDBStorageBackend,
   Networking,
+  OfflineQueue,
+  HttpCache,
+  MemoryCacheStorage,
+  AsyncStorageCacheStorage,
+  NetworkMock,
+  WebSocketClient,
+  WebSocketActionTypes,
+  createWebSocketMiddleware,
+  EventSourceClient,
+  NetInfo,
   Geolocation,
   Notifications,
   Gesture,
@@ -401,6 +522,10 @@ export default {
   useColorScheme,
   ColorSchemeName,
   useAccessibility,
+  useWebSocket,
+  useEventSource,
+  useNetInfo,
+  useStoredState,
 
   // State management
   ChmlshProvider,
@@ -413,6 +538,45 @@ export default {
   useDispatch,
   useSelector,
   useAction,
+  shallowEqual,
+  compose,
+  persistStore,
+  createMigrate,
+  PersistGate,
+  PERSIST,
+  REHYDRATE,
+  createSlice,
+  createReducer,
+  produce,
+  thunk,
+  createAsyncThunk,
+  unwrapResult,
+  ActionTypes,
+  withDevTools,
+  diffStates,
+  withHistory,
+  HistoryActions,
+  HistoryActionTypes,
+  createSyncMiddleware,
+  withSyncReducer,
+  localOnly,
+  withReducerInjection,
+  useInjectReducers,
+  withInjectedReducers,
+  createListenerMiddleware,
+  createEntityAdapter,
+
+  // Data fetching
+  createApi,
+
+  // GraphQL
+  GraphQLClient,
+  NormalizedCache,
+  GraphQLProvider,
+  GraphQLContext,
+  useGraphQLClient,
+  useQuery,
+  useMutation,
 
   // Theming
   ThemeProvider,
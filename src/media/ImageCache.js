@@ -5,17 +5,22 @@
 
 import { AsyncStorage } from '../AsyncStorage';
 
+// Storage key used by earlier versions, which AsyncStorage prefixed a second time
+const LEGACY_STORAGE_KEY = '@ReactiveChmlsh:imageCache';
+
 /**
  * ImageCache class
  */
 class ImageCache {
   static _cache = {};
   static _inProgress = {};
+  static _legacyCacheRemoved = false;
   static _options = {
-    maxCacheSize: 50, // Maximum number of images to cache in memory
+    maxCacheSize: 50, // Maximum number of images to cache in memory and in storage
+    maxPersistentBytes: 2 * 1024 * 1024, // Maximum size of the persistent cache (2 MB)
     ttl: 24 * 60 * 60 * 1000, // Time to live in milliseconds (24 hours)
     persistentStorage: true, // Whether to use persistent storage
-    storageKey: '@ReactiveChmlsh:imageCache', // Storage key for persistent cache
+    storageKey: 'imageCache', // AsyncStorage key for persistent cache
   };
 
   /**
@@ -145,9 +150,10 @@ class ImageCache {
         
         parsedCache[uri] = { data, timestamp };
         
+        await ImageCache._removeLegacyCache();
         await AsyncStorage.setItem(
           ImageCache._options.storageKey,
-          JSON.stringify(parsedCache)
+          JSON.stringify(ImageCache._prunePersistentCache(parsedCache))
         );
       } catch (error) {
         console.error('Error caching image:', error);
@@ -227,6 +233,52 @@ class ImageCache {
       return { uri };
     }
   }
+
+  /**
+   * Drop expired images, then the oldest ones until the persistent cache fits
+   * in maxCacheSize and maxPersistentBytes
+   * Base64 images are large, and an unbounded cache exhausts the storage quota.
+   * @param {Object} cache - Persistent cache by URI
+   * @returns {Object} Pruned cache
+   * @private
+   */
+  static _prunePersistentCache(cache) {
+    const { maxCacheSize, maxPersistentBytes, ttl } = ImageCache._options;
+    const now = Date.now();
+    
+    // Newest first
+    const entries = Object.entries(cache)
+      .filter(([, image]) => image.timestamp + ttl >= now)
+      .sort(([, a], [, b]) => b.timestamp - a.timestamp)
+      .slice(0, maxCacheSize);
+    
+    const pruned = {};
+    let bytes = 4;
+    
+    entries.forEach(([uri, image]) => {
+      // Two bytes per character, as counted by AsyncStorage.getUsage()
+      const size = JSON.stringify([uri, image]).length * 2;
+      
+      if (bytes + size <= maxPersistentBytes) {
+        pruned[uri] = image;
+        bytes += size;
+      }
+    });
+    
+    return pruned;
+  }
+
+  /**
+   * Remove the persistent cache stored by earlier versions, once
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _removeLegacyCache() {
+    if (!ImageCache._legacyCacheRemoved) {
+      ImageCache._legacyCacheRemoved = true;
+      await AsyncStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
+  }
 }
 
 export { ImageCache };
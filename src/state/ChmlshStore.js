@@ -3,11 +3,70 @@
  * A lightweight Redux-like state management system
  */
 
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, {
+  createContext,
+  useContext,
+  useReducer,
+  useCallback,
+  useRef,
+  useEffect,
+  useLayoutEffect,
+} from 'react';
 
 // Create context for the store
 const StoreContext = createContext(null);
-const DispatchContext = createContext(null);
+
+// Action types reserved by the store
+export const ActionTypes = {
+  INIT: '@@chmlsh/INIT',
+  REPLACE: '@@chmlsh/REPLACE',
+};
+
+// useLayoutEffect warns when rendered on the server, so fall back to useEffect there
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * Default equality check used by useSelector
+ * @param {any} a - Previous value
+ * @param {any} b - Next value
+ * @returns {boolean} Whether the values are strictly equal
+ * @private
+ */
+const refEquality = (a, b) => a === b;
+
+/**
+ * Compare two values by their own enumerable keys, one level deep
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether the values are shallowly equal
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  
+  if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) {
+    return false;
+  }
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+  
+  for (let i = 0; i < keysA.length; i++) {
+    if (
+      !Object.prototype.hasOwnProperty.call(b, keysA[i]) ||
+      !Object.is(a[keysA[i]], b[keysA[i]])
+    ) {
+      return false;
+    }
+  }
+  
+  return true;
+}
 
 /**
  * Combine multiple reducers into a single reducer
@@ -18,7 +77,7 @@ export function combineReducers(reducers) {
   return (state = {}, action) => {
     const nextState = {};
     let hasChanged = false;
-
+    
     for (const key in reducers) {
       const reducer = reducers[key];
       const previousStateForKey = state[key];
@@ -27,11 +86,29 @@ export function combineReducers(reducers) {
       nextState[key] = nextStateForKey;
       hasChanged = hasChanged || nextStateForKey !== previousStateForKey;
     }
-
+    
     return hasChanged ? nextState : state;
   };
 }
 
+/**
+ * Compose functions from right to left
+ * Useful for combining several store enhancers into one.
+ * @param {...Function} funcs - Functions to compose
+ * @returns {Function} Composed function
+ */
+export function compose(...funcs) {
+  if (funcs.length === 0) {
+    return (arg) => arg;
+  }
+  
+  if (funcs.length === 1) {
+    return funcs[0];
+  }
+  
+  return funcs.reduce((a, b) => (...args) => a(b(...args)));
+}
+
 /**
  * Create a middleware chain for the store
  * @param {Array} middlewares - Array of middleware functions
@@ -149,13 +226,25 @@ export function createStore(reducer, initialState, enhancer) {
     return action;
   }
   
+  function replaceReducer(nextReducer) {
+    if (typeof nextReducer !== 'function') {
+      throw new Error('Expected the nextReducer to be a function.');
+    }
+    
+    reducer = nextReducer;
+    
+    // Let every reducer populate the state it now owns
+    dispatch({ type: ActionTypes.REPLACE });
+  }
+  
   // Initialize the store with a dummy action
-  dispatch({ type: '@@chmlsh/INIT' });
+  dispatch({ type: ActionTypes.INIT });
   
   return {
     getState,
     dispatch,
     subscribe,
+    replaceReducer,
   };
 }
 
@@ -181,14 +270,33 @@ export function createSelector(selector, equalityFn = (a, b) => a === b) {
 
 /**
  * Create an action creator
+ * The returned creator exposes its `type` and a `match(action)` type guard.
  * @param {string} type - Action type
+ * @param {Function} prepareAction - Optional function turning arguments into { payload, meta, error }
  * @returns {Function} Action creator function
  */
-export function createAction(type) {
-  return (payload) => ({
-    type,
-    payload,
-  });
+export function createAction(type, prepareAction) {
+  const actionCreator = (...args) => {
+    if (typeof prepareAction === 'function') {
+      const prepared = prepareAction(...args);
+      
+      return {
+        type,
+        ...prepared,
+      };
+    }
+    
+    return {
+      type,
+      payload: args[0],
+    };
+  };
+  
+  actionCreator.type = type;
+  actionCreator.toString = () => type;
+  actionCreator.match = (action) => !!action && action.type === type;
+  
+  return actionCreator;
 }
 
 /**
@@ -198,50 +306,180 @@ export function createAction(type) {
  */
 export function ChmlshProvider({ children, store }) {
   return (
-    <StoreContext.Provider value={store.getState()}>
-      <DispatchContext.Provider value={store.dispatch}>
-        {children}
-      </DispatchContext.Provider>
+    <StoreContext.Provider value={store}>
+      {children}
     </StoreContext.Provider>
   );
 }
 
 /**
- * Hook to access the store state
- * @returns {Object} Store state
+ * Read the store from context
+ * @param {string} hookName - Name of the calling hook, used in the error message
+ * @returns {Object} Store object
+ * @private
  */
-export function useStore() {
+function useStoreContext(hookName) {
   const store = useContext(StoreContext);
   
   if (store === null) {
-    throw new Error('useStore must be used within a ChmlshProvider');
+    throw new Error(`${hookName} must be used within a ChmlshProvider`);
   }
   
   return store;
 }
 
+/**
+ * Hook to access the store state
+ * @returns {Object} Store state
+ */
+export function useStore() {
+  useStoreContext('useStore');
+  return useSelector(identity);
+}
+
 /**
  * Hook to access the store dispatch function
  * @returns {Function} Dispatch function
  */
 export function useDispatch() {
-  const dispatch = useContext(DispatchContext);
-  
-  if (dispatch === null) {
-    throw new Error('useDispatch must be used within a ChmlshProvider');
-  }
-  
-  return dispatch;
+  return useStoreContext('useDispatch').dispatch;
 }
 
 /**
  * Hook to select data from the store
+ * Re-renders the component only when the selected value changes according to equalityFn.
  * @param {Function} selector - Function to select data from state
+ * @param {Function} equalityFn - Function to compare previous and next selected values
  * @returns {any} Selected data
  */
-export function useSelector(selector) {
-  const store = useStore();
-  return selector(store);
+export function useSelector(selector, equalityFn = refEquality) {
+  const store = useStoreContext('useSelector');
+  const [, forceRender] = useReducer(count => count + 1, 0);
+  
+  const latestSelector = useRef(null);
+  const latestEqualityFn = useRef(equalityFn);
+  const latestState = useRef(undefined);
+  const latestSelected = useRef(undefined);
+  
+  const state = store.getState();
+  let selected;
+  
+  if (selector !== latestSelector.current || state !== latestState.current) {
+    const nextSelected = selector(state);
+    
+    // Keep the previous reference when it is still equal so consumers can rely on identity
+    selected = latestSelector.current !== null && equalityFn(latestSelected.current, nextSelected)
+      ? latestSelected.current
+      : nextSelected;
+  } else {
+    selected = latestSelected.current;
+  }
+  
+  useIsomorphicLayoutEffect(() => {
+    latestSelector.current = selector;
+    latestEqualityFn.current = equalityFn;
+    latestState.current = state;
+    latestSelected.current = selected;
+  });
+  
+  useIsomorphicLayoutEffect(() => {
+    const checkForUpdates = () => {
+      try {
+        const nextState = store.getState();
+        
+        if (nextState === latestState.current) {
+          return;
+        }
+        
+        const nextSelected = latestSelector.current(nextState);
+        latestState.current = nextState;
+        
+        if (latestEqualityFn.current(latestSelected.current, nextSelected)) {
+          return;
+        }
+        
+        latestSelected.current = nextSelected;
+      } catch (error) {
+        // The selector may depend on props that are about to change,
+        // so let the next render run it again and surface the error there
+      }
+      
+      forceRender();
+    };
+    
+    const unsubscribe = store.subscribe(checkForUpdates);
+    
+    // The store may have changed between render and subscription
+    checkForUpdates();
+    
+    return unsubscribe;
+  }, [store]);
+  
+  return selected;
+}
+
+/**
+ * Selector returning the whole state
+ * @param {Object} state - Store state
+ * @returns {Object} Same state
+ * @private
+ */
+function identity(state) {
+  return state;
+}
+
+/**
+ * Hook to add reducers to the store when a component first renders
+ * Lets lazily loaded screens bring their own state. Requires the withReducerInjection enhancer.
+ * @param {Object} reducers - Object mapping state keys to reducers
+ */
+export function useInjectReducers(reducers) {
+  const store = useStoreContext('useInjectReducers');
+  
+  if (typeof store.injectReducer !== 'function') {
+    throw new Error('useInjectReducers requires a store created with withReducerInjection.');
+  }
+  
+  const hasInjected = useRef(false);
+  const needsNotify = useRef(false);
+  
+  // Inject during the first render so selectors in this render already see the new state,
+  // without notifying other components while rendering
+  if (!hasInjected.current) {
+    hasInjected.current = true;
+    
+    Object.keys(reducers).forEach((key) => {
+      if (store.injectReducer(key, reducers[key], { notify: false })) {
+        needsNotify.current = true;
+      }
+    });
+  }
+  
+  // Let components that rendered before the injection see the new state
+  useIsomorphicLayoutEffect(() => {
+    if (needsNotify.current) {
+      needsNotify.current = false;
+      store.dispatch({ type: ActionTypes.REPLACE });
+    }
+  }, [store]);
+}
+
+/**
+ * Wrap a component so its reducers are injected before it renders
+ * Useful for screens passed to StackNavigator or TabNavigator that are loaded on demand.
+ * @param {React.Component} Component - Component to wrap
+ * @param {Object} reducers - Object mapping state keys to reducers
+ * @returns {React.Component} Wrapped component
+ */
+export function withInjectedReducers(Component, reducers) {
+  const WithInjectedReducers = (props) => {
+    useInjectReducers(reducers);
+    return <Component {...props} />;
+  };
+  
+  WithInjectedReducers.displayName = `withInjectedReducers(${Component.displayName || Component.name || 'Component'})`;
+  
+  return WithInjectedReducers;
 }
 
 /**
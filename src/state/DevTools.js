@@ -0,0 +1,416 @@
+/**
+ * DevTools utilities for ChmlshStore
+ * A store enhancer that records an action log with state diffs and supports time travel
+ */
+
+import { ActionTypes } from './ChmlshStore';
+
+// Internal action used to move the store to a recorded state
+const JUMP_TO_STATE = '@@chmlsh/DEVTOOLS_JUMP_TO_STATE';
+
+/**
+ * Check if a value should be diffed key by key
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a plain object or array
+ * @private
+ */
+function isDiffable(value) {
+  return typeof value === 'object' && value !== null &&
+    (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * Compute the changes between two states
+ * Unchanged references are skipped, so structurally shared state diffs cheaply.
+ * @param {any} before - Previous state
+ * @param {any} after - Next state
+ * @param {Array} path - Path of the current value
+ * @param {Array} changes - Accumulated changes
+ * @returns {Array<Object>} Changes as { path, before, after }
+ */
+export function diffStates(before, after, path = [], changes = []) {
+  if (Object.is(before, after)) {
+    return changes;
+  }
+  
+  if (isDiffable(before) && isDiffable(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    
+    keys.forEach((key) => {
+      diffStates(before[key], after[key], [...path, key], changes);
+    });
+    
+    return changes;
+  }
+  
+  changes.push({ path, before, after });
+  return changes;
+}
+
+/**
+ * Parse a value sent by a DevTools monitor as JSON
+ * @param {any} value - Value, parsed when it is a string
+ * @param {string} what - What the value is, for the warning
+ * @returns {any} Parsed value, or undefined when it is not valid JSON
+ * @private
+ */
+function parseMonitorValue(value, what) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`DevTools: could not parse ${what} from monitor:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Create a store enhancer that records dispatched actions for debugging
+ * The store gains a `devTools` object to inspect, jump through and replay the history.
+ * When the Redux DevTools extension is available the store connects to it automatically.
+ * Put it after applyMiddleware in compose(), so actions dispatched by middleware
+ * are recorded too.
+ * @param {Object} options - DevTools options
+ * @param {string} options.name - Instance name shown in the extension
+ * @param {number} options.maxAge - Maximum number of recorded actions
+ * @param {boolean} options.diff - Whether to compute state diffs for each action
+ * @param {Object} options.connection - Custom connection with init/send/subscribe (defaults to the extension)
+ * @returns {Function} Store enhancer
+ */
+export function withDevTools(options = {}) {
+  const {
+    name = 'Reactive chmlsh',
+    maxAge = 50,
+    diff = true,
+    connection,
+  } = options;
+  
+  return (createStore) => (reducer, initialState) => {
+    let currentReducer = reducer;
+    let entries = [];
+    let currentIndex = -1;
+    let nextId = 0;
+    let listeners = [];
+    // Action being dispatched through the enhanced store, recorded once the reducer ran
+    let pendingAction = null;
+    
+    // Bridge to the Redux DevTools extension (or a custom connection)
+    const bridge = {
+      connection: null,
+      init() {
+        if (bridge.connection) {
+          bridge.connection.init(store.getState());
+        }
+      },
+    };
+    
+    const notify = () => {
+      listeners.slice().forEach(listener => listener());
+    };
+    
+    const record = (action, before, after) => {
+      // Dispatching while looking at the past discards the entries after it
+      if (currentIndex < entries.length - 1) {
+        entries = entries.slice(0, currentIndex + 1);
+      }
+      
+      entries.push({
+        id: nextId++,
+        action,
+        timestamp: Date.now(),
+        state: after,
+        diff: diff && entries.length > 0 ? diffStates(before, after) : [],
+      });
+      
+      // Keep the oldest entry as the base state replays start from
+      if (entries.length > maxAge + 1) {
+        entries.splice(0, entries.length - maxAge - 1);
+      }
+      
+      currentIndex = entries.length - 1;
+      
+      if (bridge.connection) {
+        bridge.connection.send(action, after);
+      }
+    };
+    
+    const liftReducer = (nextReducer) => (state, action) => {
+      if (action.type === JUMP_TO_STATE) {
+        return action.payload;
+      }
+      
+      return nextReducer(state, action);
+    };
+    
+    const store = createStore(liftReducer(reducer), initialState);
+    
+    // The initial state is the base replays start from
+    record({ type: ActionTypes.INIT }, undefined, store.getState());
+    
+    // Recorded outside of the reducer, which must stay free of side effects
+    const dispatch = (action) => {
+      pendingAction = { action, before: store.getState() };
+      
+      try {
+        return store.dispatch(action);
+      } finally {
+        pendingAction = null;
+      }
+    };
+    
+    const jumpToState = (state) => {
+      store.dispatch({ type: JUMP_TO_STATE, payload: state });
+    };
+    
+    const devTools = {
+      /**
+       * Get the recorded history
+       * @returns {Object} Object with entries and currentIndex
+       */
+      getHistory: () => ({
+        entries: entries.slice(),
+        currentIndex,
+      }),
+
+      /**
+       * Move the store to the state after a recorded entry
+       * @param {number} index - Entry index
+       */
+      jumpTo: (index) => {
+        if (index < 0 || index >= entries.length) {
+          throw new Error(`No recorded entry at index ${index}.`);
+        }
+        
+        currentIndex = index;
+        jumpToState(entries[index].state);
+      },
+
+      /**
+       * Move the store to the state after a recorded action
+       * @param {number} id - Entry ID
+       */
+      jumpToAction: (id) => {
+        const index = entries.findIndex(entry => entry.id === id);
+        
+        if (index === -1) {
+          throw new Error(`No recorded action with id ${id}.`);
+        }
+        
+        devTools.jumpTo(index);
+      },
+
+      /**
+       * Recompute recorded states by running the actions through the current reducer again
+       * @param {number} toIndex - Index of the entry to end on (defaults to the latest)
+       */
+      replay: (toIndex = entries.length - 1) => {
+        if (entries.length === 0) {
+          return;
+        }
+        
+        let state = entries[0].state;
+        
+        for (let i = 1; i < entries.length; i++) {
+          const nextState = currentReducer(state, entries[i].action);
+          entries[i] = {
+            ...entries[i],
+            state: nextState,
+            diff: diff ? diffStates(state, nextState) : [],
+          };
+          state = nextState;
+        }
+        
+        devTools.jumpTo(toIndex);
+      },
+
+      /**
+       * Drop the history and go back to the oldest recorded state
+       */
+      reset: () => {
+        entries = entries.slice(0, 1);
+        devTools.jumpTo(0);
+      },
+
+      /**
+       * Drop the history and keep the current state as the new base
+       */
+      commit: () => {
+        const entry = entries[currentIndex];
+        entries = [{ ...entry, diff: [] }];
+        currentIndex = 0;
+        notify();
+      },
+
+      /**
+       * Replace the history, e.g. with one exported from another session
+       * @param {Array<Object>} nextEntries - Entries with action and state, at least one
+       */
+      importHistory: (nextEntries) => {
+        if (nextEntries.length === 0) {
+          throw new Error('Cannot import an empty history.');
+        }
+        
+        entries = nextEntries.map((entry, index) => ({
+          id: index,
+          timestamp: Date.now(),
+          diff: [],
+          ...entry,
+        }));
+        nextId = entries.length;
+        devTools.jumpTo(entries.length - 1);
+      },
+
+      /**
+       * Subscribe to history changes
+       * @param {Function} listener - Listener function
+       * @returns {Function} Unsubscribe function
+       */
+      subscribe: (listener) => {
+        listeners.push(listener);
+        
+        return () => {
+          listeners = listeners.filter(l => l !== listener);
+        };
+      },
+
+      /**
+       * Handle a message sent by a DevTools monitor
+       * Follows the Redux DevTools extension protocol.
+       * @param {Object} message - Monitor message
+       */
+      handleMessage: (message) => {
+        if (message.type === 'ACTION') {
+          try {
+            const action = parseMonitorValue(message.payload, 'action');
+            
+            if (action !== undefined) {
+              dispatch(action);
+            }
+          } catch (error) {
+            console.warn('DevTools: could not dispatch action from monitor:', error);
+          }
+          return;
+        }
+        
+        if (message.type !== 'DISPATCH' || !message.payload) {
+          return;
+        }
+        
+        switch (message.payload.type) {
+          case 'JUMP_TO_STATE':
+          case 'JUMP_TO_ACTION': {
+            const index = entries.findIndex(entry => entry.id === message.payload.actionId);
+            
+            if (index !== -1) {
+              devTools.jumpTo(index);
+            } else if (message.state) {
+              const state = parseMonitorValue(message.state, 'state');
+              
+              if (state !== undefined) {
+                jumpToState(state);
+              }
+            }
+            break;
+          }
+          case 'RESET':
+            devTools.reset();
+            bridge.init();
+            break;
+          case 'COMMIT':
+            devTools.commit();
+            bridge.init();
+            break;
+          case 'ROLLBACK': {
+            const state = parseMonitorValue(message.state, 'state');
+            
+            if (state === undefined) {
+              break;
+            }
+            
+            jumpToState(state);
+            entries = [{
+              id: nextId++,
+              action: { type: ActionTypes.INIT },
+              timestamp: Date.now(),
+              state: store.getState(),
+              diff: [],
+            }];
+            currentIndex = 0;
+            notify();
+            bridge.init();
+            break;
+          }
+          case 'IMPORT_STATE': {
+            const { nextLiftedState } = message.payload;
+            const { computedStates = [], actionsById = {}, stagedActionIds = [] } = nextLiftedState;
+            
+            if (stagedActionIds.length === 0) {
+              console.warn('DevTools: ignoring an empty history from monitor');
+              break;
+            }
+            
+            devTools.importHistory(stagedActionIds.map((id, index) => ({
+              action: actionsById[id] ? actionsById[id].action : { type: ActionTypes.INIT },
+              state: computedStates[index] ? computedStates[index].state : undefined,
+            })));
+            
+            if (bridge.connection) {
+              bridge.connection.send(null, nextLiftedState);
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      },
+    };
+    
+    const extension = typeof window !== 'undefined' ? window.__REDUX_DEVTOOLS_EXTENSION__ : undefined;
+    
+    if (connection) {
+      bridge.connection = connection;
+    } else if (extension && typeof extension.connect === 'function') {
+      bridge.connection = extension.connect({ name, maxAge });
+    }
+    
+    if (bridge.connection) {
+      bridge.init();
+      
+      if (typeof bridge.connection.subscribe === 'function') {
+        bridge.connection.subscribe(devTools.handleMessage);
+      }
+    }
+    
+    // Subscribed before the app's listeners, so an action is recorded before
+    // listeners reacting to it dispatch the next one. Jumps go through dispatch
+    // too, so history listeners follow every store change.
+    store.subscribe(() => {
+      if (pendingAction) {
+        const { action, before } = pendingAction;
+        pendingAction = null;
+        record(action, before, store.getState());
+      }
+      
+      notify();
+    });
+    
+    return {
+      ...store,
+      dispatch,
+      replaceReducer: (nextReducer) => {
+        currentReducer = nextReducer;
+        pendingAction = { action: { type: ActionTypes.REPLACE }, before: store.getState() };
+        
+        try {
+          store.replaceReducer(liftReducer(nextReducer));
+        } finally {
+          pendingAction = null;
+        }
+      },
+      devTools,
+    };
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Draft utilities for ChmlshStore
+ * Copy-on-write drafts that let reducers "mutate" state while keeping it immutable
+ */
+
+// Marker used to read the internal state of a draft
+const DRAFT_STATE = Symbol('chmlsh.draft');
+
+/**
+ * Check if a value can be drafted (plain objects and arrays)
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value can be drafted
+ */
+export function isDraftable(value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+  
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Check if a value is a draft
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a draft
+ */
+export function isDraft(value) {
+  return !!value && !!value[DRAFT_STATE];
+}
+
+/**
+ * Get the value a draft was created from
+ * @param {Object} draft - Draft
+ * @returns {any} Original value
+ */
+export function original(draft) {
+  if (!isDraft(draft)) {
+    throw new Error('original() can only be called on a draft.');
+  }
+  
+  return draft[DRAFT_STATE].base;
+}
+
+/**
+ * Get the object currently backing a draft
+ * @param {Object} state - Draft state
+ * @returns {Object} Copy if modified, base otherwise
+ * @private
+ */
+function latest(state) {
+  return state.copy || state.base;
+}
+
+/**
+ * Make a shallow copy of the base the first time a draft is written to
+ * @param {Object} state - Draft state
+ * @private
+ */
+function prepareCopy(state) {
+  if (!state.copy) {
+    state.copy = Array.isArray(state.base) ? state.base.slice() : { ...state.base };
+  }
+}
+
+/**
+ * Flag a draft and all of its parents as modified
+ * @param {Object} state - Draft state
+ * @private
+ */
+function markChanged(state) {
+  let current = state;
+  
+  while (current && !current.modified) {
+    current.modified = true;
+    prepareCopy(current);
+    current = current.parent;
+  }
+}
+
+// Proxy handler shared by all drafts
+const handler = {
+  get(target, prop) {
+    if (prop === DRAFT_STATE) {
+      return target.state;
+    }
+    
+    const { state } = target;
+    const source = latest(state);
+    
+    if (!Object.prototype.hasOwnProperty.call(source, prop)) {
+      return source[prop];
+    }
+    
+    const value = source[prop];
+    
+    // Lazily create child drafts for values that still belong to the base
+    if (isDraftable(value) && value === state.base[prop]) {
+      prepareCopy(state);
+      state.copy[prop] = createDraft(value, state);
+      return state.copy[prop];
+    }
+    
+    return value;
+  },
+  
+  set(target, prop, value) {
+    const { state } = target;
+    
+    if (!state.modified) {
+      const source = latest(state);
+      const currentValue = source[prop];
+      
+      if (
+        Object.prototype.hasOwnProperty.call(source, prop) &&
+        (Object.is(currentValue, value) ||
+          (isDraft(currentValue) && currentValue[DRAFT_STATE].base === value))
+      ) {
+        return true;
+      }
+    }
+    
+    markChanged(state);
+    state.copy[prop] = value;
+    return true;
+  },
+  
+  deleteProperty(target, prop) {
+    const { state } = target;
+    
+    if (Object.prototype.hasOwnProperty.call(latest(state), prop)) {
+      markChanged(state);
+      delete state.copy[prop];
+    }
+    
+    return true;
+  },
+  
+  has(target, prop) {
+    return prop in latest(target.state);
+  },
+  
+  ownKeys(target) {
+    return Reflect.ownKeys(latest(target.state));
+  },
+  
+  getOwnPropertyDescriptor(target, prop) {
+    const source = latest(target.state);
+    const descriptor = Reflect.getOwnPropertyDescriptor(source, prop);
+    
+    if (!descriptor) {
+      return descriptor;
+    }
+    
+    return {
+      writable: true,
+      configurable: !Array.isArray(source) || prop !== 'length',
+      enumerable: descriptor.enumerable,
+      value: this.get(target, prop),
+    };
+  },
+  
+  defineProperty() {
+    throw new Error('Object.defineProperty() cannot be used on a draft.');
+  },
+  
+  getPrototypeOf(target) {
+    return Object.getPrototypeOf(target.state.base);
+  },
+  
+  setPrototypeOf() {
+    throw new Error('Object.setPrototypeOf() cannot be used on a draft.');
+  },
+};
+
+/**
+ * Create a draft for a value
+ * @param {Object|Array} base - Value to draft
+ * @param {Object} parent - Parent draft state
+ * @returns {Proxy} Draft
+ * @private
+ */
+function createDraft(base, parent = null) {
+  const state = {
+    base,
+    copy: null,
+    modified: false,
+    parent,
+  };
+  
+  // Arrays need an array target so Array.isArray() keeps working on the draft
+  const target = Array.isArray(base) ? [] : {};
+  Object.defineProperty(target, 'state', { value: state, configurable: true });
+  
+  return new Proxy(target, handler);
+}
+
+/**
+ * Turn a draft (or a value containing drafts) back into a plain value
+ * Unmodified parts keep their original references (structural sharing).
+ * @param {any} value - Draft or value
+ * @param {Set} seen - Drafts and values already finalized, so cyclic values are walked once
+ * @returns {any} Finalized value
+ * @private
+ */
+function finalize(value, seen = new Set()) {
+  if (isDraft(value)) {
+    const state = value[DRAFT_STATE];
+    
+    if (!state.modified) {
+      return state.base;
+    }
+    
+    const result = state.copy;
+    
+    if (seen.has(value)) {
+      return result;
+    }
+    
+    seen.add(value);
+    
+    Object.keys(result).forEach((key) => {
+      const child = result[key];
+      
+      if (child !== state.base[key]) {
+        result[key] = finalize(child, seen);
+      }
+    });
+    
+    return result;
+  }
+  
+  // New values assigned to a draft may themselves contain drafts
+  if (isDraftable(value) && !seen.has(value)) {
+    seen.add(value);
+    
+    Object.keys(value).forEach((key) => {
+      const child = value[key];
+      
+      if (isDraft(child) || isDraftable(child)) {
+        const finalized = finalize(child, seen);
+        
+        if (finalized !== child) {
+          value[key] = finalized;
+        }
+      }
+    });
+  }
+  
+  return value;
+}
+
+/**
+ * Produce the next state by applying a recipe to a draft of the base state
+ * The recipe can either mutate the draft or return a completely new value.
+ * @param {any} base - Base state
+ * @param {Function} recipe - Function receiving the draft
+ * @returns {any} Next state
+ */
+export function produce(base, recipe) {
+  if (!isDraftable(base)) {
+    const result = recipe(base);
+    return result === undefined ? base : result;
+  }
+  
+  const draft = createDraft(base);
+  const result = recipe(draft);
+  
+  if (result !== undefined && result !== draft) {
+    if (draft[DRAFT_STATE].modified) {
+      throw new Error('A reducer either returns a new state or modifies its draft, not both.');
+    }
+    
+    return finalize(result);
+  }
+  
+  return finalize(draft);
+}
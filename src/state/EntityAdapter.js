@@ -0,0 +1,258 @@
+/**
+ * Entity adapter for ChmlshStore
+ * Keep collections normalized as { ids, entities } so unchanged items keep their identity
+ */
+
+import { produce, isDraft } from './Draft';
+import { createSelector } from '../performance/Memoize';
+
+/**
+ * Check if a value is an action rather than a plain argument
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is an action
+ * @private
+ */
+function isAction(value) {
+  return typeof value === 'object' && value !== null &&
+    typeof value.type === 'string' && 'payload' in value;
+}
+
+/**
+ * Turn a mutating operation into a case reducer that works on drafts and plain state
+ * The returned function accepts either an action or the payload itself.
+ * @param {Function} mutator - Function (draft, payload) mutating the draft
+ * @returns {Function} Function (state, actionOrPayload) returning the next state
+ * @private
+ */
+function createStateOperator(mutator) {
+  return (state, arg) => {
+    const payload = isAction(arg) ? arg.payload : arg;
+    
+    // Inside createSlice or createReducer the state is already a draft
+    if (isDraft(state)) {
+      mutator(state, payload);
+      return state;
+    }
+    
+    return produce(state, (draft) => {
+      mutator(draft, payload);
+    });
+  };
+}
+
+/**
+ * Create an adapter for a normalized collection of entities
+ * @param {Object} options - Adapter options
+ * @param {Function} options.selectId - Function (entity) returning its ID
+ * @param {Function} options.sortComparer - Comparer used to keep ids sorted, insertion order when omitted
+ * @returns {Object} Adapter with getInitialState, CRUD reducers and getSelectors
+ */
+export function createEntityAdapter(options = {}) {
+  const {
+    selectId = entity => entity.id,
+    sortComparer = null,
+  } = options;
+  
+  const toArray = entities => (Array.isArray(entities) ? entities : Object.values(entities));
+  
+  // Keep ids sorted, only replacing the array when the order changed
+  const resortIds = (state) => {
+    if (!sortComparer) {
+      return;
+    }
+    
+    const sortedIds = state.ids
+      .map(id => state.entities[id])
+      .sort(sortComparer)
+      .map(selectId);
+    
+    if (sortedIds.length !== state.ids.length || sortedIds.some((id, index) => id !== state.ids[index])) {
+      state.ids = sortedIds;
+    }
+  };
+  
+  const addManyMutably = (state, entities) => {
+    let added = false;
+    
+    toArray(entities).forEach((entity) => {
+      const id = selectId(entity);
+      
+      if (!(id in state.entities)) {
+        state.entities[id] = entity;
+        state.ids.push(id);
+        added = true;
+      }
+    });
+    
+    if (added) {
+      resortIds(state);
+    }
+  };
+  
+  const setManyMutably = (state, entities) => {
+    let changed = false;
+    
+    toArray(entities).forEach((entity) => {
+      const id = selectId(entity);
+      
+      if (!(id in state.entities)) {
+        state.ids.push(id);
+      }
+      
+      state.entities[id] = entity;
+      changed = true;
+    });
+    
+    if (changed) {
+      resortIds(state);
+    }
+  };
+  
+  const removeManyMutably = (state, ids) => {
+    const removed = new Set();
+    
+    ids.forEach((id) => {
+      if (id in state.entities) {
+        delete state.entities[id];
+        removed.add(id);
+      }
+    });
+    
+    if (removed.size > 0) {
+      state.ids = state.ids.filter(id => !removed.has(id));
+    }
+  };
+  
+  const removeAllMutably = (state) => {
+    if (state.ids.length === 0) {
+      return;
+    }
+    
+    state.ids = [];
+    state.entities = {};
+  };
+  
+  const updateManyMutably = (state, updates) => {
+    let changed = false;
+    let idsChanged = false;
+    
+    updates.forEach(({ id, changes }) => {
+      if (!(id in state.entities)) {
+        return;
+      }
+      
+      const entity = state.entities[id];
+      Object.assign(entity, changes);
+      changed = true;
+      
+      // An update can change the ID itself
+      const newId = selectId(entity);
+      
+      if (newId !== id) {
+        delete state.entities[id];
+        state.entities[newId] = entity;
+        state.ids[state.ids.indexOf(id)] = newId;
+        idsChanged = true;
+      }
+    });
+    
+    // An entity moved to an ID that was already taken replaces that entity, keep the ID once
+    if (idsChanged) {
+      const seen = new Set();
+      const ids = state.ids.filter((id) => {
+        const key = String(id);
+        
+        if (seen.has(key)) {
+          return false;
+        }
+        
+        seen.add(key);
+        return true;
+      });
+      
+      if (ids.length !== state.ids.length) {
+        state.ids = ids;
+      }
+    }
+    
+    if (changed) {
+      resortIds(state);
+    }
+  };
+  
+  const upsertManyMutably = (state, entities) => {
+    const added = [];
+    const updates = [];
+    
+    toArray(entities).forEach((entity) => {
+      const id = selectId(entity);
+      
+      if (id in state.entities) {
+        updates.push({ id, changes: entity });
+      } else {
+        added.push(entity);
+      }
+    });
+    
+    updateManyMutably(state, updates);
+    addManyMutably(state, added);
+  };
+
+  /**
+   * Create selectors for the collection
+   * @param {Function} selectState - Function (rootState) returning the entity state, selectors take the entity state directly when omitted
+   * @returns {Object} Selectors selectIds, selectEntities, selectAll, selectTotal and selectById
+   */
+  const getSelectors = (selectState) => {
+    const selectIds = selectState
+      ? state => selectState(state).ids
+      : state => state.ids;
+    const selectEntities = selectState
+      ? state => selectState(state).entities
+      : state => state.entities;
+    
+    return {
+      selectIds,
+      selectEntities,
+      selectAll: createSelector(
+        [selectIds, selectEntities],
+        (ids, entities) => ids.map(id => entities[id])
+      ),
+      selectTotal: createSelector([selectIds], ids => ids.length),
+      selectById: (state, id) => selectEntities(state)[id],
+    };
+  };
+  
+  return {
+    selectId,
+    sortComparer,
+
+    /**
+     * Get an empty entity state
+     * @param {Object} additionalState - Extra fields to keep next to ids and entities
+     * @returns {Object} Entity state
+     */
+    getInitialState: (additionalState = {}) => ({
+      ids: [],
+      entities: {},
+      ...additionalState,
+    }),
+    
+    addOne: createStateOperator((state, entity) => addManyMutably(state, [entity])),
+    addMany: createStateOperator(addManyMutably),
+    setOne: createStateOperator((state, entity) => setManyMutably(state, [entity])),
+    setMany: createStateOperator(setManyMutably),
+    setAll: createStateOperator((state, entities) => {
+      removeAllMutably(state);
+      addManyMutably(state, entities);
+    }),
+    upsertOne: createStateOperator((state, entity) => upsertManyMutably(state, [entity])),
+    upsertMany: createStateOperator(upsertManyMutably),
+    updateOne: createStateOperator((state, update) => updateManyMutably(state, [update])),
+    updateMany: createStateOperator(updateManyMutably),
+    removeOne: createStateOperator((state, id) => removeManyMutably(state, [id])),
+    removeMany: createStateOperator(removeManyMutably),
+    removeAll: createStateOperator(removeAllMutably),
+    getSelectors,
+  };
+}
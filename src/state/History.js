@@ -0,0 +1,192 @@
+/**
+ * History utilities for ChmlshStore
+ * A higher-order reducer that adds undo/redo to any reducer
+ */
+
+// Action types handled by withHistory
+export const HistoryActionTypes = {
+  UNDO: '@@chmlsh/history/UNDO',
+  REDO: '@@chmlsh/history/REDO',
+  JUMP: '@@chmlsh/history/JUMP',
+  CLEAR_HISTORY: '@@chmlsh/history/CLEAR_HISTORY',
+};
+
+/**
+ * Create a history action
+ * @param {string} type - Action type
+ * @param {any} payload - Action payload
+ * @param {string} name - Name of the history to target, all histories when omitted
+ * @returns {Object} Action
+ * @private
+ */
+function createHistoryAction(type, payload, name) {
+  return name === undefined
+    ? { type, payload }
+    : { type, payload, meta: { history: name } };
+}
+
+/**
+ * History action creators
+ */
+export const HistoryActions = {
+  /**
+   * Go back one step
+   * @param {string} name - History name
+   * @returns {Object} Action
+   */
+  undo: name => createHistoryAction(HistoryActionTypes.UNDO, undefined, name),
+
+  /**
+   * Go forward one step
+   * @param {string} name - History name
+   * @returns {Object} Action
+   */
+  redo: name => createHistoryAction(HistoryActionTypes.REDO, undefined, name),
+
+  /**
+   * Move several steps, backwards when negative and forwards when positive
+   * @param {number} steps - Number of steps
+   * @param {string} name - History name
+   * @returns {Object} Action
+   */
+  jump: (steps, name) => createHistoryAction(HistoryActionTypes.JUMP, steps, name),
+
+  /**
+   * Forget past and future states, keeping the present
+   * @param {string} name - History name
+   * @returns {Object} Action
+   */
+  clearHistory: name => createHistoryAction(HistoryActionTypes.CLEAR_HISTORY, undefined, name),
+};
+
+/**
+ * Move a number of steps into the past
+ * @param {Object} history - History state
+ * @param {number} steps - Number of steps
+ * @returns {Object} Next history state
+ * @private
+ */
+function jumpToPast(history, steps) {
+  const { past, present, future } = history;
+  const index = past.length - steps;
+  
+  if (steps <= 0 || index < 0) {
+    return history;
+  }
+  
+  return {
+    past: past.slice(0, index),
+    present: past[index],
+    future: [...past.slice(index + 1), present, ...future],
+    group: null,
+  };
+}
+
+/**
+ * Move a number of steps into the future
+ * @param {Object} history - History state
+ * @param {number} steps - Number of steps
+ * @returns {Object} Next history state
+ * @private
+ */
+function jumpToFuture(history, steps) {
+  const { past, present, future } = history;
+  
+  if (steps <= 0 || steps > future.length) {
+    return history;
+  }
+  
+  return {
+    past: [...past, present, ...future.slice(0, steps - 1)],
+    present: future[steps - 1],
+    future: future.slice(steps),
+    group: null,
+  };
+}
+
+/**
+ * Add undo/redo history to a reducer
+ * The wrapped state has the shape { past, present, future, group }.
+ * @param {Function} reducer - Reducer to wrap
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of past states to keep
+ * @param {Function} options.filter - Function (action, nextPresent, history) returning false to skip recording
+ * @param {Function} options.groupBy - Function (action, nextPresent, history) returning a key; consecutive actions with the same key form one step
+ * @param {string} options.name - Name used to target this history with history actions
+ * @returns {Function} Reducer with history
+ */
+export function withHistory(reducer, options = {}) {
+  const {
+    limit = Infinity,
+    filter,
+    groupBy,
+    name,
+  } = options;
+  
+  const initialHistory = (present) => ({
+    past: [],
+    present,
+    future: [],
+    group: null,
+  });
+  
+  return (state, action) => {
+    if (state === undefined) {
+      return initialHistory(reducer(undefined, action));
+    }
+    
+    const history = state;
+    
+    const targetsHistory = !action.meta || action.meta.history === undefined || action.meta.history === name;
+    
+    if (targetsHistory) {
+      switch (action.type) {
+        case HistoryActionTypes.UNDO:
+          return jumpToPast(history, 1);
+        case HistoryActionTypes.REDO:
+          return jumpToFuture(history, 1);
+        case HistoryActionTypes.JUMP:
+          return action.payload < 0
+            ? jumpToPast(history, -action.payload)
+            : jumpToFuture(history, action.payload);
+        case HistoryActionTypes.CLEAR_HISTORY:
+          return initialHistory(history.present);
+        default:
+          break;
+      }
+    }
+    
+    const present = reducer(history.present, action);
+    
+    if (present === history.present) {
+      return history;
+    }
+    
+    // Filtered actions update the present without creating an undo step
+    if (filter && !filter(action, present, history)) {
+      return {
+        ...history,
+        present,
+      };
+    }
+    
+    const group = groupBy ? groupBy(action, present, history) : null;
+    
+    if (group !== null && group !== undefined && group === history.group) {
+      return {
+        ...history,
+        present,
+        future: [],
+      };
+    }
+    
+    const past = [...history.past, history.present];
+    
+    return {
+      past: past.length > limit ? past.slice(past.length - limit) : past,
+      present,
+      future: [],
+      group: group === undefined ? null : group,
+    };
+  };
+}
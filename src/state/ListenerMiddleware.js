@@ -0,0 +1,384 @@
+/**
+ * Listener middleware for ChmlshStore
+ * Run side effects in response to dispatched actions, outside of components
+ */
+
+/**
+ * Create the error thrown inside effects when they are cancelled
+ * @returns {Error} Error
+ * @private
+ */
+function createTaskAbortError() {
+  const error = new Error('Listener effect cancelled');
+  error.name = 'TaskAbortError';
+  return error;
+}
+
+/**
+ * Reject when a signal aborts
+ * @param {AbortSignal} signal - Signal to watch
+ * @param {Function} reject - Reject function
+ * @returns {Function} Function removing the abort handler
+ * @private
+ */
+function rejectOnAbort(signal, reject) {
+  const handleAbort = () => reject(createTaskAbortError());
+  
+  if (signal.aborted) {
+    handleAbort();
+    return () => {};
+  }
+  
+  signal.addEventListener('abort', handleAbort);
+  return () => signal.removeEventListener('abort', handleAbort);
+}
+
+/**
+ * Build a match function from the different ways a listener can be targeted
+ * @param {Object} options - Listener options
+ * @returns {Function} Function (action, currentState, originalState) returning whether the listener runs
+ * @private
+ */
+function createMatcher({ type, actionCreator, matcher, predicate }) {
+  if (type) {
+    return action => action.type === type;
+  }
+  
+  if (actionCreator) {
+    return action => action.type === actionCreator.type;
+  }
+  
+  if (matcher) {
+    return action => matcher(action);
+  }
+  
+  if (predicate) {
+    return predicate;
+  }
+  
+  throw new Error('A listener needs a "type", "actionCreator", "matcher" or "predicate".');
+}
+
+/**
+ * Create a listener middleware
+ * @param {Object} options - Middleware options
+ * @param {any} options.extra - Value passed to every effect
+ * @param {Function} options.onError - Function (error, info) called when an effect throws
+ * @returns {Object} Object with middleware, startListening, takeEvery, takeLatest, debounce, throttle and clearListeners
+ */
+export function createListenerMiddleware(options = {}) {
+  const {
+    extra,
+    onError = (error, info) => console.error(`Error in listener ${info.raisedBy}:`, error),
+  } = options;
+  
+  let listeners = [];
+  let waiters = [];
+  let middlewareAPI = null;
+
+  /**
+   * Wait for an action matching a predicate
+   * @param {Function} predicate - Function (action, currentState, originalState)
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {AbortSignal} signal - Signal cancelling the wait
+   * @returns {Promise<Array|null>} [action, currentState, originalState] or null on timeout
+   * @private
+   */
+  const take = (predicate, timeout, signal) => new Promise((resolve, reject) => {
+    let timeoutId = null;
+    let removeAbortHandler = () => {};
+    
+    const waiter = {
+      predicate,
+      resolve: (result) => {
+        cleanup();
+        resolve(result);
+      },
+    };
+    
+    const cleanup = () => {
+      waiters = waiters.filter(w => w !== waiter);
+      removeAbortHandler();
+      
+      if (timeoutId !== null) {
+        clearTimeout(timeoutId);
+      }
+    };
+    
+    if (signal) {
+      removeAbortHandler = rejectOnAbort(signal, (error) => {
+        cleanup();
+        reject(error);
+      });
+      
+      if (signal.aborted) {
+        return;
+      }
+    }
+    
+    if (typeof timeout === 'number') {
+      timeoutId = setTimeout(() => waiter.resolve(null), timeout);
+    }
+    
+    waiters.push(waiter);
+  });
+
+  /**
+   * Run a listener effect
+   * @param {Object} listener - Listener entry
+   * @param {Object} action - Matched action
+   * @param {Object} originalState - State before the action
+   * @private
+   */
+  const runEffect = (listener, action, originalState) => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const task = { controller };
+    
+    listener.tasks.add(task);
+    
+    const api = {
+      getState: middlewareAPI.getState,
+      getOriginalState: () => originalState,
+      dispatch: middlewareAPI.dispatch,
+      extra,
+      signal,
+      condition: (predicate, timeout) => take(predicate, timeout, signal).then(result => result !== null),
+      take: (predicate, timeout) => take(predicate, timeout, signal),
+      delay: ms => new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+          removeAbortHandler();
+          resolve();
+        }, ms);
+        const removeAbortHandler = rejectOnAbort(signal, (error) => {
+          clearTimeout(timeoutId);
+          reject(error);
+        });
+      }),
+      cancelActiveListeners: () => {
+        listener.tasks.forEach((other) => {
+          if (other !== task) {
+            other.controller.abort();
+            listener.tasks.delete(other);
+          }
+        });
+      },
+      unsubscribe: () => removeListener(listener),
+    };
+    
+    Promise.resolve()
+      .then(() => listener.effect(action, api))
+      .catch((error) => {
+        if (error && error.name === 'TaskAbortError') {
+          return;
+        }
+        
+        onError(error, { raisedBy: 'effect' });
+      })
+      .finally(() => {
+        controller.abort();
+        listener.tasks.delete(task);
+      });
+  };
+
+  /**
+   * Handle a matched action according to the listener mode
+   * @param {Object} listener - Listener entry
+   * @param {Object} action - Matched action
+   * @param {Object} originalState - State before the action
+   * @private
+   */
+  const scheduleEffect = (listener, action, originalState) => {
+    switch (listener.mode) {
+      case 'latest':
+        listener.tasks.forEach(task => task.controller.abort());
+        listener.tasks.clear();
+        runEffect(listener, action, originalState);
+        break;
+      
+      case 'debounce':
+        if (listener.timeoutId !== null) {
+          clearTimeout(listener.timeoutId);
+        }
+        
+        listener.timeoutId = setTimeout(() => {
+          listener.timeoutId = null;
+          runEffect(listener, action, originalState);
+        }, listener.wait);
+        break;
+      
+      case 'throttle': {
+        const now = Date.now();
+        
+        if (now - listener.lastRun >= listener.wait) {
+          listener.lastRun = now;
+          runEffect(listener, action, originalState);
+        }
+        break;
+      }
+      
+      default:
+        runEffect(listener, action, originalState);
+        break;
+    }
+  };
+
+  /**
+   * Remove a listener and cancel its running effects
+   * @param {Object} listener - Listener entry
+   * @private
+   */
+  const removeListener = (listener) => {
+    listeners = listeners.filter(l => l !== listener);
+    
+    if (listener.timeoutId !== null) {
+      clearTimeout(listener.timeoutId);
+      listener.timeoutId = null;
+    }
+    
+    listener.tasks.forEach(task => task.controller.abort());
+    listener.tasks.clear();
+  };
+
+  /**
+   * Start listening for actions
+   * @param {Object} listenerOptions - Listener options
+   * @param {string} listenerOptions.type - Action type to match
+   * @param {Function} listenerOptions.actionCreator - Action creator whose type to match
+   * @param {Function} listenerOptions.matcher - Function (action) returning whether to match
+   * @param {Function} listenerOptions.predicate - Function (action, currentState, originalState) returning whether to match
+   * @param {Function} listenerOptions.effect - Function (action, listenerApi) to run
+   * @param {string} listenerOptions.mode - 'every', 'latest', 'debounce' or 'throttle'
+   * @param {number} listenerOptions.wait - Delay for debounce and throttle in milliseconds
+   * @returns {Function} Unsubscribe function
+   */
+  const startListening = (listenerOptions) => {
+    const {
+      effect,
+      mode = 'every',
+      wait = 0,
+    } = listenerOptions;
+    
+    if (typeof effect !== 'function') {
+      throw new Error('startListening requires an "effect" function.');
+    }
+    
+    const listener = {
+      match: createMatcher(listenerOptions),
+      effect,
+      mode,
+      wait,
+      tasks: new Set(),
+      timeoutId: null,
+      lastRun: -Infinity,
+    };
+    
+    listeners.push(listener);
+    
+    return () => removeListener(listener);
+  };
+
+  /**
+   * Turn a type, action creator or predicate into listener options
+   * @param {string|Function} pattern - Pattern to match
+   * @returns {Object} Listener options
+   * @private
+   */
+  const patternToOptions = (pattern) => {
+    if (typeof pattern === 'string') {
+      return { type: pattern };
+    }
+    
+    if (typeof pattern === 'function' && typeof pattern.type === 'string') {
+      return { actionCreator: pattern };
+    }
+    
+    return { predicate: pattern };
+  };
+  
+  const middleware = (api) => {
+    middlewareAPI = api;
+    
+    return (next) => (action) => {
+      if (typeof action !== 'object' || action === null) {
+        return next(action);
+      }
+      
+      const originalState = api.getState();
+      const result = next(action);
+      const currentState = api.getState();
+      
+      waiters.slice().forEach((waiter) => {
+        try {
+          if (waiter.predicate(action, currentState, originalState)) {
+            waiter.resolve([action, currentState, originalState]);
+          }
+        } catch (error) {
+          onError(error, { raisedBy: 'predicate' });
+        }
+      });
+      
+      listeners.slice().forEach((listener) => {
+        let matches = false;
+        
+        try {
+          matches = listener.match(action, currentState, originalState);
+        } catch (error) {
+          onError(error, { raisedBy: 'predicate' });
+        }
+        
+        if (matches) {
+          scheduleEffect(listener, action, originalState);
+        }
+      });
+      
+      return result;
+    };
+  };
+  
+  return {
+    middleware,
+    startListening,
+
+    /**
+     * Run the effect for every matching action
+     * @param {string|Function} pattern - Action type, action creator or predicate
+     * @param {Function} effect - Effect function
+     * @returns {Function} Unsubscribe function
+     */
+    takeEvery: (pattern, effect) => startListening({ ...patternToOptions(pattern), effect, mode: 'every' }),
+
+    /**
+     * Run the effect for the latest matching action, cancelling earlier runs
+     * @param {string|Function} pattern - Action type, action creator or predicate
+     * @param {Function} effect - Effect function
+     * @returns {Function} Unsubscribe function
+     */
+    takeLatest: (pattern, effect) => startListening({ ...patternToOptions(pattern), effect, mode: 'latest' }),
+
+    /**
+     * Run the effect once matching actions stop arriving for `wait` milliseconds
+     * @param {string|Function} pattern - Action type, action creator or predicate
+     * @param {number} wait - Delay in milliseconds
+     * @param {Function} effect - Effect function
+     * @returns {Function} Unsubscribe function
+     */
+    debounce: (pattern, wait, effect) => startListening({ ...patternToOptions(pattern), effect, mode: 'debounce', wait }),
+
+    /**
+     * Run the effect at most once every `wait` milliseconds
+     * @param {string|Function} pattern - Action type, action creator or predicate
+     * @param {number} wait - Interval in milliseconds
+     * @param {Function} effect - Effect function
+     * @returns {Function} Unsubscribe function
+     */
+    throttle: (pattern, wait, effect) => startListening({ ...patternToOptions(pattern), effect, mode: 'throttle', wait }),
+
+    /**
+     * Remove every listener and cancel running effects
+     */
+    clearListeners: () => {
+      listeners.slice().forEach(removeListener);
+    },
+  };
+}
@@ -0,0 +1,343 @@
+/**
+ * Persist utilities for ChmlshStore
+ * A store enhancer that saves state to AsyncStorage and loads it back on startup
+ */
+
+import React, { useState, useEffect } from 'react';
+import { AsyncStorage } from '../AsyncStorage';
+
+// Action types dispatched by the persist enhancer
+export const PERSIST = '@@chmlsh/PERSIST';
+export const REHYDRATE = '@@chmlsh/REHYDRATE';
+
+// Version used when none is configured
+const DEFAULT_VERSION = -1;
+
+/**
+ * Create a migrate function from a map of versioned migrations
+ * Each migration receives the state saved at the previous version and returns the next one.
+ * @param {Object} migrations - Object mapping version numbers to migration functions
+ * @returns {Function} Migrate function (state, fromVersion, toVersion) => Promise<state>
+ */
+export function createMigrate(migrations) {
+  return async (state, fromVersion, toVersion) => {
+    const versions = Object.keys(migrations)
+      .map(Number)
+      .filter(version => version > fromVersion && version <= toVersion)
+      .sort((a, b) => a - b);
+    
+    let migratedState = state;
+    
+    for (const version of versions) {
+      migratedState = await migrations[version](migratedState);
+    }
+    
+    return migratedState;
+  };
+}
+
+/**
+ * Pick the top-level keys that should be persisted
+ * @param {Object} state - Store state
+ * @param {string[]} whitelist - Keys to persist
+ * @param {string[]} blacklist - Keys to skip
+ * @returns {Object} Filtered state
+ * @private
+ */
+function filterState(state, whitelist, blacklist) {
+  if (typeof state !== 'object' || state === null || Array.isArray(state)) {
+    return state;
+  }
+  
+  const filtered = {};
+  
+  for (const key of Object.keys(state)) {
+    if (whitelist && !whitelist.includes(key)) {
+      continue;
+    }
+    
+    if (blacklist && blacklist.includes(key)) {
+      continue;
+    }
+    
+    filtered[key] = state[key];
+  }
+  
+  return filtered;
+}
+
+/**
+ * Merge rehydrated state into the current state, one level deep
+ * @param {any} state - Current state
+ * @param {any} inboundState - Rehydrated state
+ * @returns {any} Merged state
+ * @private
+ */
+function mergeState(state, inboundState) {
+  if (
+    typeof state === 'object' && state !== null && !Array.isArray(state) &&
+    typeof inboundState === 'object' && inboundState !== null && !Array.isArray(inboundState)
+  ) {
+    return { ...state, ...inboundState };
+  }
+  
+  return inboundState;
+}
+
+/**
+ * Create a store enhancer that persists state
+ * @param {Object} config - Persist configuration
+ * @param {string} config.key - Key used to store the state
+ * @param {Object} config.storage - Storage with getItem/setItem/removeItem (defaults to AsyncStorage)
+ * @param {string[]} config.whitelist - Top-level keys to persist
+ * @param {string[]} config.blacklist - Top-level keys to skip
+ * @param {number} config.version - Version of the persisted state shape
+ * @param {Function} config.migrate - Function (state, fromVersion, toVersion) => state, see createMigrate
+ * @param {number} config.throttle - Minimum delay between writes in milliseconds
+ * @returns {Function} Store enhancer
+ */
+export function persistStore(config) {
+  const {
+    key,
+    storage = AsyncStorage,
+    whitelist,
+    blacklist,
+    version = DEFAULT_VERSION,
+    migrate,
+    throttle = 1000,
+  } = config;
+  
+  if (!key) {
+    throw new Error('persistStore requires a "key" in its config.');
+  }
+  
+  const storageKey = `persist:${key}`;
+  
+  const persistReducer = (reducer) => (state, action) => {
+    if (action.type === REHYDRATE && action.key === key && action.payload !== undefined) {
+      return reducer(mergeState(state, action.payload), action);
+    }
+    
+    return reducer(state, action);
+  };
+  
+  return (createStore) => (reducer, initialState) => {
+    const store = createStore(persistReducer(reducer), initialState);
+    
+    let bootstrapped = false;
+    let paused = false;
+    let timeoutId = null;
+    let lastPersistedState = null;
+    let listeners = [];
+    
+    const notify = () => {
+      listeners.slice().forEach(listener => listener());
+    };
+    
+    const writeState = async () => {
+      timeoutId = null;
+      const state = store.getState();
+      
+      if (state === lastPersistedState) {
+        return;
+      }
+      
+      lastPersistedState = state;
+      
+      try {
+        await storage.setItem(storageKey, JSON.stringify({
+          version,
+          state: filterState(state, whitelist, blacklist),
+        }));
+      } catch (error) {
+        console.error('Error persisting store state:', error);
+      }
+    };
+    
+    const handleChange = () => {
+      if (!bootstrapped || paused || timeoutId !== null) {
+        return;
+      }
+      
+      if (store.getState() === lastPersistedState) {
+        return;
+      }
+      
+      timeoutId = setTimeout(writeState, throttle);
+    };
+    
+    const rehydrate = async () => {
+      let payload;
+      let err;
+      
+      try {
+        const serialized = await storage.getItem(storageKey);
+        
+        if (serialized) {
+          const saved = JSON.parse(serialized);
+          const savedVersion = typeof saved.version === 'number' ? saved.version : DEFAULT_VERSION;
+          
+          if (savedVersion === version) {
+            payload = saved.state;
+          } else if (savedVersion < version) {
+            payload = typeof migrate === 'function'
+              ? await migrate(saved.state, savedVersion, version)
+              : saved.state;
+          } else {
+            console.warn(
+              `persistStore: saved state for "${key}" has version ${savedVersion} ` +
+              `and cannot be migrated to version ${version}, skipping rehydration`
+            );
+          }
+        }
+      } catch (error) {
+        console.error('Error rehydrating store state:', error);
+        err = error;
+      }
+      
+      store.dispatch({
+        type: REHYDRATE,
+        key,
+        payload,
+        err,
+      });
+      
+      // The rehydrated state is what storage already holds
+      lastPersistedState = store.getState();
+      bootstrapped = true;
+      notify();
+    };
+    
+    const persistor = {
+      /**
+       * Get the persistor status
+       * @returns {Object} Object with a bootstrapped flag
+       */
+      getState: () => ({ bootstrapped }),
+
+      /**
+       * Subscribe to persistor status changes
+       * @param {Function} listener - Listener function
+       * @returns {Function} Unsubscribe function
+       */
+      subscribe: (listener) => {
+        listeners.push(listener);
+        
+        return () => {
+          listeners = listeners.filter(l => l !== listener);
+        };
+      },
+
+      /**
+       * Write pending state immediately
+       * @returns {Promise<void>}
+       */
+      flush: async () => {
+        if (timeoutId !== null) {
+          clearTimeout(timeoutId);
+        }
+        
+        if (bootstrapped) {
+          await writeState();
+        }
+      },
+
+      /**
+       * Stop writing state changes
+       */
+      pause: () => {
+        paused = true;
+        
+        if (timeoutId !== null) {
+          clearTimeout(timeoutId);
+          timeoutId = null;
+        }
+      },
+
+      /**
+       * Resume writing state changes
+       */
+      persist: () => {
+        paused = false;
+        handleChange();
+      },
+
+      /**
+       * Remove the persisted state from storage
+       * @returns {Promise<void>}
+       */
+      purge: async () => {
+        if (timeoutId !== null) {
+          clearTimeout(timeoutId);
+          timeoutId = null;
+        }
+        
+        lastPersistedState = null;
+        await storage.removeItem(storageKey);
+      },
+    };
+    
+    store.subscribe(handleChange);
+    store.dispatch({ type: PERSIST, key });
+    rehydrate();
+    
+    return {
+      ...store,
+      replaceReducer: nextReducer => store.replaceReducer(persistReducer(nextReducer)),
+      persistor,
+    };
+  };
+}
+
+/**
+ * PersistGate component
+ * Delays rendering children until the persisted state has been loaded.
+ * @param {Object} props - Component properties
+ * @returns {React.Element} Rendered component
+ */
+export const PersistGate = (props) => {
+  const {
+    persistor,
+    loading = null,
+    onBeforeLift,
+    children,
+  } = props;
+  
+  const [lifted, setLifted] = useState(() => persistor.getState().bootstrapped && !onBeforeLift);
+  
+  useEffect(() => {
+    let cancelled = false;
+    
+    const handleStatusChange = async () => {
+      if (!persistor.getState().bootstrapped) {
+        return;
+      }
+      
+      unsubscribe();
+      
+      try {
+        if (onBeforeLift) {
+          await onBeforeLift();
+        }
+      } finally {
+        if (!cancelled) {
+          setLifted(true);
+        }
+      }
+    };
+    
+    const unsubscribe = persistor.subscribe(handleStatusChange);
+    handleStatusChange();
+    
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [persistor]);
+  
+  if (typeof children === 'function') {
+    return children(lifted);
+  }
+  
+  return lifted ? children : loading;
+};
@@ -0,0 +1,147 @@
+/**
+ * Reducer injection for ChmlshStore
+ * A store enhancer that lets code-split features add and remove reducers at runtime
+ */
+
+import { shallowEqual } from './ChmlshStore';
+
+/**
+ * Create a store enhancer that adds injectReducer and ejectReducer to the store
+ * The reducer passed to createStore keeps handling its own keys; injected reducers
+ * each own one top-level key next to them.
+ * @returns {Function} Store enhancer
+ */
+export function withReducerInjection() {
+  return (createStore) => (reducer, initialState) => {
+    let staticReducer = reducer;
+    const injectedReducers = {};
+    const keysToRemove = new Set();
+    // State of keys no reducer owns yet, e.g. preloaded state of lazily injected reducers
+    const setAsideState = {};
+    let isMuted = false;
+    
+    const rootReducer = (state, action) => {
+      let currentState = state;
+      
+      // Drop the state of ejected reducers
+      if (keysToRemove.size > 0 && currentState !== undefined) {
+        currentState = { ...currentState };
+        keysToRemove.forEach((key) => {
+          delete currentState[key];
+          delete setAsideState[key];
+        });
+        keysToRemove.clear();
+      }
+      
+      const injectedKeys = Object.keys(injectedReducers);
+      
+      // Hand the static reducer only the keys it owns, so combineReducers does not drop injected state
+      let staticState = currentState;
+      
+      if (currentState !== undefined && injectedKeys.length > 0) {
+        staticState = {};
+        
+        Object.keys(currentState).forEach((key) => {
+          if (!(key in injectedReducers)) {
+            staticState[key] = currentState[key];
+          }
+        });
+      }
+      
+      const nextStaticState = staticReducer(staticState, action);
+      
+      // combineReducers drops the keys it has no reducer for, keep them until one is injected
+      if (staticState && nextStaticState && typeof nextStaticState === 'object') {
+        Object.keys(staticState).forEach((key) => {
+          if (!(key in nextStaticState)) {
+            setAsideState[key] = staticState[key];
+          }
+        });
+      }
+      
+      if (injectedKeys.length === 0) {
+        return nextStaticState;
+      }
+      
+      const nextState = { ...nextStaticState };
+      let hasChanged = currentState !== state || currentState === undefined ||
+        !shallowEqual(nextStaticState, staticState);
+      
+      injectedKeys.forEach((key) => {
+        const currentStateForKey = currentState === undefined ? undefined : currentState[key];
+        let previousStateForKey = currentStateForKey;
+        
+        if (previousStateForKey === undefined && key in setAsideState) {
+          previousStateForKey = setAsideState[key];
+          delete setAsideState[key];
+        }
+        
+        const nextStateForKey = injectedReducers[key](previousStateForKey, action);
+        
+        nextState[key] = nextStateForKey;
+        hasChanged = hasChanged || nextStateForKey !== currentStateForKey;
+      });
+      
+      return hasChanged ? nextState : currentState;
+    };
+    
+    const store = createStore(rootReducer, initialState);
+
+    /**
+     * Add a reducer under a top-level key
+     * @param {string} key - State key
+     * @param {Function} keyReducer - Reducer for the key
+     * @param {Object} options - Injection options
+     * @param {boolean} options.notify - Whether to call the store listeners, false while rendering
+     * @returns {boolean} Whether the reducer was added, false when it already was
+     */
+    const injectReducer = (key, keyReducer, options = {}) => {
+      if (injectedReducers[key] === keyReducer) {
+        return false;
+      }
+      
+      injectedReducers[key] = keyReducer;
+      keysToRemove.delete(key);
+      
+      isMuted = options.notify === false;
+      
+      try {
+        store.replaceReducer(rootReducer);
+      } finally {
+        isMuted = false;
+      }
+      
+      return true;
+    };
+
+    /**
+     * Remove a reducer and its state
+     * @param {string} key - State key
+     */
+    const ejectReducer = (key) => {
+      if (!(key in injectedReducers)) {
+        return;
+      }
+      
+      delete injectedReducers[key];
+      keysToRemove.add(key);
+      store.replaceReducer(rootReducer);
+    };
+    
+    return {
+      ...store,
+      injectReducer,
+      ejectReducer,
+      hasReducer: key => key in injectedReducers,
+      subscribe: listener => store.subscribe(() => {
+        if (!isMuted) {
+          listener();
+        }
+      }),
+      replaceReducer: (nextReducer) => {
+        staticReducer = nextReducer;
+        store.replaceReducer(rootReducer);
+      },
+    };
+  };
+}
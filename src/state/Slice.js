@@ -0,0 +1,178 @@
+/**
+ * Slice utilities for ChmlshStore
+ * Generate action creators and a reducer from a map of case reducers
+ */
+
+import { createAction } from './ChmlshStore';
+import { produce } from './Draft';
+
+/**
+ * Collect case reducers and matchers from a builder callback or a map of reducers
+ * @param {Function|Object} mapOrBuilderCallback - Builder callback or object keyed by action type
+ * @returns {Object} Object with actionsMap, matchers and defaultCaseReducer
+ * @private
+ */
+function executeReducerBuilder(mapOrBuilderCallback) {
+  const actionsMap = {};
+  const matchers = [];
+  let defaultCaseReducer;
+  
+  if (typeof mapOrBuilderCallback === 'function') {
+    const builder = {
+      addCase(typeOrActionCreator, reducer) {
+        const type = typeof typeOrActionCreator === 'string'
+          ? typeOrActionCreator
+          : typeOrActionCreator.type;
+        
+        if (type in actionsMap) {
+          throw new Error(`addCase cannot be called with two reducers for the same action type "${type}".`);
+        }
+        
+        actionsMap[type] = reducer;
+        return builder;
+      },
+      addMatcher(matcher, reducer) {
+        matchers.push({ matcher, reducer });
+        return builder;
+      },
+      addDefaultCase(reducer) {
+        defaultCaseReducer = reducer;
+        return builder;
+      },
+    };
+    
+    mapOrBuilderCallback(builder);
+  } else if (mapOrBuilderCallback) {
+    Object.assign(actionsMap, mapOrBuilderCallback);
+  }
+  
+  return { actionsMap, matchers, defaultCaseReducer };
+}
+
+/**
+ * Create a reducer from case reducers
+ * Case reducers receive a draft and can either mutate it or return a new state.
+ * @param {any|Function} initialState - Initial state or a function returning it
+ * @param {Function|Object} mapOrBuilderCallback - Builder callback or object keyed by action type
+ * @returns {Function} Reducer function
+ */
+export function createReducer(initialState, mapOrBuilderCallback) {
+  const getInitialState = typeof initialState === 'function'
+    ? initialState
+    : () => initialState;
+  
+  const { actionsMap, matchers, defaultCaseReducer } = executeReducerBuilder(mapOrBuilderCallback);
+  
+  function reducer(state = getInitialState(), action) {
+    const caseReducers = [
+      actionsMap[action.type],
+      ...matchers.filter(({ matcher }) => matcher(action)).map(({ reducer }) => reducer),
+    ].filter(Boolean);
+    
+    if (caseReducers.length === 0 && defaultCaseReducer) {
+      caseReducers.push(defaultCaseReducer);
+    }
+    
+    return caseReducers.reduce((previousState, caseReducer) => (
+      produce(previousState, draft => caseReducer(draft, action))
+    ), state);
+  }
+  
+  reducer.getInitialState = getInitialState;
+  
+  return reducer;
+}
+
+/**
+ * Create a slice of state
+ * @param {Object} options - Slice options
+ * @param {string} options.name - Slice name, used as the action type prefix
+ * @param {any|Function} options.initialState - Initial state or a function returning it
+ * @param {Object} options.reducers - Case reducers, either functions or { reducer, prepare } objects
+ * @param {Function|Object} options.extraReducers - Reducers for actions defined outside the slice
+ * @returns {Object} Slice with name, reducer, actions, caseReducers and getInitialState
+ */
+export function createSlice(options) {
+  const {
+    name,
+    initialState,
+    reducers = {},
+    extraReducers,
+  } = options;
+  
+  if (!name) {
+    throw new Error('createSlice requires a "name" option.');
+  }
+  
+  const actions = {};
+  const caseReducers = {};
+  const sliceCaseReducersByType = {};
+  
+  Object.keys(reducers).forEach((reducerName) => {
+    const definition = reducers[reducerName];
+    const type = `${name}/${reducerName}`;
+    
+    let caseReducer;
+    let prepare;
+    
+    if (typeof definition === 'function') {
+      caseReducer = definition;
+    } else {
+      caseReducer = definition.reducer;
+      prepare = definition.prepare;
+    }
+    
+    caseReducers[reducerName] = caseReducer;
+    sliceCaseReducersByType[type] = caseReducer;
+    actions[reducerName] = createAction(type, prepare);
+  });
+  
+  const buildReducer = () => {
+    const extra = executeReducerBuilder(extraReducers);
+    
+    return createReducer(initialState, (builder) => {
+      Object.keys(extra.actionsMap).forEach((type) => {
+        if (!(type in sliceCaseReducersByType)) {
+          builder.addCase(type, extra.actionsMap[type]);
+        }
+      });
+      
+      Object.keys(sliceCaseReducersByType).forEach((type) => {
+        builder.addCase(type, sliceCaseReducersByType[type]);
+      });
+      
+      extra.matchers.forEach(({ matcher, reducer }) => {
+        builder.addMatcher(matcher, reducer);
+      });
+      
+      if (extra.defaultCaseReducer) {
+        builder.addDefaultCase(extra.defaultCaseReducer);
+      }
+    });
+  };
+  
+  // Build lazily so extraReducers can reference action creators declared later
+  let sliceReducer;
+  
+  const reducer = (state, action) => {
+    if (!sliceReducer) {
+      sliceReducer = buildReducer();
+    }
+    
+    return sliceReducer(state, action);
+  };
+  
+  return {
+    name,
+    reducer,
+    actions,
+    caseReducers,
+    getInitialState: () => {
+      if (!sliceReducer) {
+        sliceReducer = buildReducer();
+      }
+      
+      return sliceReducer.getInitialState();
+    },
+  };
+}
@@ -0,0 +1,378 @@
+/**
+ * Sync utilities for ChmlshStore
+ * Keep stores in several tabs or windows in sync over BroadcastChannel or storage events
+ */
+
+// Action used to apply a state slice received from another tab
+const SYNC_STATE = '@@chmlsh/sync/STATE';
+
+/**
+ * Generate an ID for this tab
+ * @returns {string} Tab ID
+ * @private
+ */
+function generateTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Create a transport over BroadcastChannel, falling back to localStorage storage events
+ * @param {string} channelName - Channel name
+ * @returns {Object} Transport with post, subscribe and close methods
+ * @private
+ */
+function createDefaultTransport(channelName) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(channelName);
+    let listeners = [];
+    
+    channel.onmessage = (event) => {
+      listeners.forEach(listener => listener(event.data));
+    };
+    
+    return {
+      post: message => channel.postMessage(message),
+      subscribe: (listener) => {
+        listeners.push(listener);
+        return () => {
+          listeners = listeners.filter(l => l !== listener);
+        };
+      },
+      close: () => channel.close(),
+    };
+  }
+  
+  if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    const storageKey = `@ReactiveChmlsh:sync:${channelName}`;
+    
+    return {
+      post: (message) => {
+        // Storage events only fire on change, and the message carries a unique ID
+        localStorage.setItem(storageKey, JSON.stringify(message));
+        localStorage.removeItem(storageKey);
+      },
+      subscribe: (listener) => {
+        const handleStorage = (event) => {
+          if (event.key !== storageKey || !event.newValue) {
+            return;
+          }
+          
+          try {
+            listener(JSON.parse(event.newValue));
+          } catch (error) {
+            console.error('Error parsing sync message:', error);
+          }
+        };
+        
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+      },
+      close: () => {},
+    };
+  }
+  
+  console.warn('Store sync is not supported in this environment');
+  
+  return {
+    post: () => {},
+    subscribe: () => () => {},
+    close: () => {},
+  };
+}
+
+/**
+ * Mark an action so it is never broadcast to other tabs
+ * @param {Object} action - Action
+ * @returns {Object} Action with meta.local set
+ */
+export function localOnly(action) {
+  return {
+    ...action,
+    meta: {
+      ...action.meta,
+      local: true,
+    },
+  };
+}
+
+/**
+ * Wrap the root reducer so it can apply state slices received from other tabs
+ * Required when createSyncMiddleware is used with the `slices` option.
+ * @param {Function} reducer - Root reducer
+ * @returns {Function} Reducer
+ */
+export function withSyncReducer(reducer) {
+  return (state, action) => {
+    if (action.type === SYNC_STATE) {
+      return {
+        ...state,
+        [action.payload.key]: action.payload.value,
+      };
+    }
+    
+    return reducer(state, action);
+  };
+}
+
+/**
+ * Default conflict resolution: last writer wins, ties broken by tab ID
+ * @param {Object} conflict - Conflict details
+ * @returns {any} Value to keep
+ * @private
+ */
+function lastWriterWins({ local, remote, localTimestamp, remoteTimestamp, localSource, remoteSource }) {
+  if (remoteTimestamp !== localTimestamp) {
+    return remoteTimestamp > localTimestamp ? remote : local;
+  }
+  
+  return remoteSource > localSource ? remote : local;
+}
+
+/**
+ * Report a message that could not be posted
+ * @param {Error} error - Error thrown by the transport
+ * @private
+ */
+function logPostError(error) {
+  console.error('Error posting sync message:', error);
+}
+
+/**
+ * Create a middleware that synchronizes the store with other tabs
+ * Actions are replayed in other tabs; slices are copied as values.
+ * When neither actions, predicate nor slices are given, every action is
+ * broadcast except the pending/fulfilled/rejected actions of async thunks,
+ * which belong to requests made by this tab.
+ * @param {Object} options - Sync options
+ * @param {string} options.channel - Channel name shared by the tabs
+ * @param {string[]} options.actions - Action types to broadcast
+ * @param {Function} options.predicate - Function (action, getState) returning whether to broadcast
+ * @param {string[]} options.slices - Top-level state keys to copy between tabs
+ * @param {Function} options.onConflict - Function (conflict) returning the slice value to keep
+ * @param {Object} options.transport - Custom transport with post, subscribe and close
+ * @param {Function} options.onError - Function (error, message) called when a message cannot be posted, e.g. with a DataCloneError for an action holding a function
+ * @returns {Function} Middleware with a close() method
+ */
+export function createSyncMiddleware(options = {}) {
+  const {
+    channel = 'chmlsh-sync',
+    actions,
+    predicate,
+    slices = [],
+    onConflict = lastWriterWins,
+    transport: customTransport,
+    onError = logPostError,
+  } = options;
+  
+  const tabId = generateTabId();
+  let transport = null;
+  let unsubscribe = null;
+  let messageCount = 0;
+  
+  // Version ({ timestamp, source }) of the last local or accepted change of each slice
+  const sliceClocks = {};
+  
+  const sameClock = (a, b) => !!a && !!b && a.timestamp === b.timestamp && a.source === b.source;
+  
+  const compareClocks = (a, b) => {
+    if (a.timestamp !== b.timestamp) {
+      return a.timestamp - b.timestamp;
+    }
+    
+    return a.source < b.source ? -1 : a.source > b.source ? 1 : 0;
+  };
+  
+  const shouldBroadcast = (action, getState) => {
+    if (action.meta && (action.meta.local || action.meta.remote)) {
+      return false;
+    }
+    
+    if (action.type === SYNC_STATE) {
+      return false;
+    }
+    
+    if (predicate) {
+      return predicate(action, getState);
+    }
+    
+    if (actions) {
+      return actions.includes(action.type);
+    }
+    
+    return slices.length === 0 && !(action.meta && action.meta.requestStatus);
+  };
+  
+  // The local dispatch already went through the reducer, so a message that cannot be posted must not throw
+  const post = (message) => {
+    try {
+      transport.post({
+        ...message,
+        id: `${tabId}:${messageCount++}`,
+        source: tabId,
+      });
+    } catch (error) {
+      onError(error, message);
+    }
+  };
+  
+  const postSlice = (key, value, base = null) => {
+    post({
+      kind: 'state',
+      key,
+      value,
+      clock: sliceClocks[key],
+      base,
+    });
+  };
+  
+  const middleware = ({ dispatch, getState }) => {
+    transport = customTransport || createDefaultTransport(channel);
+    
+    slices.forEach((key) => {
+      sliceClocks[key] = { timestamp: 0, source: tabId };
+    });
+    
+    const applySlice = (key, value, clock) => {
+      sliceClocks[key] = clock;
+      dispatch({
+        type: SYNC_STATE,
+        payload: { key, value },
+        meta: { remote: true },
+      });
+    };
+    
+    const handleMessage = (message) => {
+      if (!message || message.source === tabId) {
+        return;
+      }
+      
+      switch (message.kind) {
+        case 'action':
+          dispatch({
+            ...message.action,
+            meta: {
+              ...message.action.meta,
+              remote: true,
+              source: message.source,
+            },
+          });
+          break;
+        
+        case 'state': {
+          const { key, value, clock, base } = message;
+          
+          if (!(key in sliceClocks)) {
+            return;
+          }
+          
+          const localClock = sliceClocks[key];
+          
+          if (sameClock(localClock, clock)) {
+            return;
+          }
+          
+          // Fast-forward when this tab never changed the slice or the change was made on top of our version
+          if (localClock.timestamp === 0 || sameClock(localClock, base)) {
+            applySlice(key, value, clock);
+            return;
+          }
+          
+          // Both tabs see the conflict; only the one holding the newer version resolves it.
+          // The other adopts that version as its base and waits for the resolved value.
+          if (compareClocks(localClock, clock) < 0) {
+            sliceClocks[key] = clock;
+            return;
+          }
+          
+          const local = getState()[key];
+          const resolved = onConflict({
+            key,
+            local,
+            remote: value,
+            localTimestamp: localClock.timestamp,
+            remoteTimestamp: clock.timestamp,
+            localSource: localClock.source,
+            remoteSource: clock.source,
+          });
+          
+          sliceClocks[key] = {
+            timestamp: Math.max(Date.now(), localClock.timestamp + 1, clock.timestamp + 1),
+            source: tabId,
+          };
+          
+          if (resolved !== local) {
+            dispatch({
+              type: SYNC_STATE,
+              payload: { key, value: resolved },
+              meta: { remote: true },
+            });
+          }
+          
+          postSlice(key, getState()[key], localClock);
+          break;
+        }
+        
+        case 'request':
+          slices.forEach((key) => {
+            if (sliceClocks[key].timestamp > 0) {
+              postSlice(key, getState()[key]);
+            }
+          });
+          break;
+        
+        default:
+          break;
+      }
+    };
+    
+    unsubscribe = transport.subscribe(handleMessage);
+    
+    // Ask the other tabs for their latest slices
+    if (slices.length > 0) {
+      post({ kind: 'request' });
+    }
+    
+    return (next) => (action) => {
+      const previousState = getState();
+      const result = next(action);
+      
+      if (typeof action !== 'object' || action === null) {
+        return result;
+      }
+      
+      if (shouldBroadcast(action, getState)) {
+        post({ kind: 'action', action });
+      }
+      
+      if (slices.length > 0 && !(action.meta && (action.meta.remote || action.meta.local))) {
+        const nextState = getState();
+        
+        slices.forEach((key) => {
+          if (nextState[key] !== previousState[key]) {
+            const base = sliceClocks[key];
+            sliceClocks[key] = { timestamp: Date.now(), source: tabId };
+            postSlice(key, nextState[key], base);
+          }
+        });
+      }
+      
+      return result;
+    };
+  };
+
+  /**
+   * Stop listening to other tabs
+   */
+  middleware.close = () => {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+    
+    if (transport) {
+      transport.close();
+    }
+  };
+  
+  return middleware;
+}
@@ -0,0 +1,226 @@
+/**
+ * Async utilities for ChmlshStore
+ * Thunk middleware and async thunks with pending/fulfilled/rejected lifecycle actions
+ */
+
+import { createAction } from './ChmlshStore';
+
+// Error properties copied onto rejected actions
+const SERIALIZED_ERROR_FIELDS = ['name', 'message', 'stack', 'code', 'status'];
+
+/**
+ * Create a thunk middleware
+ * @param {any} extraArgument - Value passed as the third argument to thunks
+ * @returns {Function} Middleware
+ * @private
+ */
+function createThunkMiddleware(extraArgument) {
+  return ({ dispatch, getState }) => (next) => (action) => {
+    if (typeof action === 'function') {
+      return action(dispatch, getState, extraArgument);
+    }
+    
+    return next(action);
+  };
+}
+
+/**
+ * Thunk middleware
+ * Lets dispatch accept functions of (dispatch, getState, extraArgument).
+ * Use thunk.withExtraArgument(value) to inject a value into every thunk.
+ */
+export const thunk = createThunkMiddleware();
+thunk.withExtraArgument = createThunkMiddleware;
+
+/**
+ * Wrapper marking a value returned through rejectWithValue
+ * @private
+ */
+class RejectWithValue {
+  constructor(payload) {
+    this.payload = payload;
+  }
+}
+
+/**
+ * Turn an error into a plain serializable object
+ * @param {any} error - Error to serialize
+ * @returns {Object} Serialized error
+ * @private
+ */
+function serializeError(error) {
+  if (typeof error !== 'object' || error === null) {
+    return { message: String(error) };
+  }
+  
+  const serialized = {};
+  
+  for (const field of SERIALIZED_ERROR_FIELDS) {
+    if (error[field] !== undefined) {
+      serialized[field] = error[field];
+    }
+  }
+  
+  return serialized;
+}
+
+/**
+ * Create an error with a given name
+ * @param {string} name - Error name
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ * @private
+ */
+function createNamedError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Generate a unique request ID
+ * @returns {string} Request ID
+ * @private
+ */
+function generateRequestId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Extract the payload of a fulfilled action or throw the error of a rejected one
+ * @param {Object} action - Action returned by an async thunk
+ * @returns {any} Payload
+ */
+export function unwrapResult(action) {
+  if (action.meta && action.meta.requestStatus === 'rejected') {
+    throw action.meta.rejectedWithValue ? action.payload : action.error;
+  }
+  
+  return action.payload;
+}
+
+/**
+ * Create an async thunk
+ * Dispatches `${type}/pending` before running the payload creator and
+ * `${type}/fulfilled` or `${type}/rejected` once it settles.
+ * @param {string} type - Action type prefix
+ * @param {Function} payloadCreator - Function (arg, thunkAPI) returning the payload or a promise
+ * @param {Object} options - Thunk options
+ * @param {Function} options.condition - Function (arg, { getState, extra }) returning false to skip the request
+ * @param {Function} options.idGenerator - Function (arg) returning a request ID
+ * @returns {Function} Thunk action creator with pending, fulfilled and rejected action creators
+ */
+export function createAsyncThunk(type, payloadCreator, options = {}) {
+  const {
+    condition,
+    idGenerator = generateRequestId,
+  } = options;
+  
+  const pending = createAction(`${type}/pending`, (requestId, arg) => ({
+    payload: undefined,
+    meta: {
+      arg,
+      requestId,
+      requestStatus: 'pending',
+    },
+  }));
+  
+  const fulfilled = createAction(`${type}/fulfilled`, (payload, requestId, arg) => ({
+    payload,
+    meta: {
+      arg,
+      requestId,
+      requestStatus: 'fulfilled',
+    },
+  }));
+  
+  const rejected = createAction(`${type}/rejected`, (error, requestId, arg, payload) => ({
+    payload,
+    error: serializeError(error || { message: 'Rejected' }),
+    meta: {
+      arg,
+      requestId,
+      requestStatus: 'rejected',
+      rejectedWithValue: payload !== undefined,
+      aborted: !!error && error.name === 'AbortError',
+      condition: !!error && error.name === 'ConditionError',
+    },
+  }));
+  
+  function actionCreator(arg) {
+    return (dispatch, getState, extra) => {
+      const requestId = idGenerator(arg);
+      const controller = new AbortController();
+      let abortReason;
+      
+      const abortedPromise = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => {
+          reject(createNamedError('AbortError', abortReason || 'Aborted'));
+        });
+      });
+      
+      // The abort promise may never be awaited, e.g. when the condition check fails
+      abortedPromise.catch(() => {});
+      
+      const abort = (reason) => {
+        abortReason = reason;
+        controller.abort();
+      };
+      
+      const promise = (async () => {
+        let finalAction;
+        
+        try {
+          if (condition && condition(arg, { getState, extra }) === false) {
+            throw createNamedError('ConditionError', 'Aborted due to condition callback returning false.');
+          }
+          
+          dispatch(pending(requestId, arg));
+          
+          finalAction = await Promise.race([
+            abortedPromise,
+            Promise.resolve(payloadCreator(arg, {
+              dispatch,
+              getState,
+              extra,
+              requestId,
+              signal: controller.signal,
+              rejectWithValue: (value) => new RejectWithValue(value),
+            })).then((result) => {
+              if (result instanceof RejectWithValue) {
+                throw result;
+              }
+              
+              return fulfilled(result, requestId, arg);
+            }),
+          ]);
+        } catch (error) {
+          finalAction = error instanceof RejectWithValue
+            ? rejected(null, requestId, arg, error.payload)
+            : rejected(error, requestId, arg);
+        }
+        
+        // A request skipped by its condition never dispatched pending, so it stays silent
+        if (!finalAction.meta.condition) {
+          dispatch(finalAction);
+        }
+        
+        return finalAction;
+      })();
+      
+      return Object.assign(promise, {
+        abort,
+        requestId,
+        arg,
+        unwrap: () => promise.then(unwrapResult),
+      });
+    };
+  }
+  
+  return Object.assign(actionCreator, {
+    pending,
+    fulfilled,
+    rejected,
+    typePrefix: type,
+  });
+}
@@ -0,0 +1,118 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import {
+  createStore,
+  shallowEqual,
+  ChmlshProvider,
+  useSelector,
+  useDispatch,
+  useStore,
+} from '../ChmlshStore';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const reducer = (state = { count: 0, other: 0, list: [1] }, action) => {
+  switch (action.type) {
+    case 'increment':
+      return { ...state, count: state.count + 1 };
+    case 'other':
+      return { ...state, other: state.other + 1 };
+    case 'copyList':
+      return { ...state, list: state.list.slice() };
+    default:
+      return state;
+  }
+};
+
+const render = (element) => {
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(element);
+  });
+  return renderer;
+};
+
+describe('shallowEqual', () => {
+  it('compares own keys one level deep', () => {
+    const shared = {};
+
+    expect(shallowEqual({ a: 1, b: shared }, { a: 1, b: shared })).toBe(true);
+    expect(shallowEqual({ a: 1 }, { a: 2 })).toBe(false);
+    expect(shallowEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(shallowEqual({ a: {} }, { a: {} })).toBe(false);
+    expect(shallowEqual([1, 2], [1, 2])).toBe(true);
+    expect(shallowEqual(NaN, NaN)).toBe(true);
+    expect(shallowEqual(null, {})).toBe(false);
+  });
+});
+
+describe('ChmlshProvider hooks', () => {
+  it('re-renders selectors only when the selected value changes', () => {
+    const store = createStore(reducer);
+    const renders = jest.fn();
+
+    const Count = () => {
+      const count = useSelector(state => state.count);
+      renders(count);
+      return count;
+    };
+
+    const renderer = render(<ChmlshProvider store={store}><Count /></ChmlshProvider>);
+
+    act(() => {
+      store.dispatch({ type: 'other' });
+    });
+    expect(renders.mock.calls).toEqual([[0]]);
+
+    act(() => {
+      store.dispatch({ type: 'increment' });
+    });
+    expect(renders.mock.calls).toEqual([[0], [1]]);
+    expect(renderer.toJSON()).toBe('1');
+  });
+
+  it('keeps the selected reference when the equality function says it is unchanged', () => {
+    const store = createStore(reducer);
+    const seen = [];
+
+    const List = () => {
+      seen.push(useSelector(state => state.list, shallowEqual));
+      return null;
+    };
+
+    render(<ChmlshProvider store={store}><List /></ChmlshProvider>);
+
+    act(() => {
+      store.dispatch({ type: 'copyList' });
+    });
+
+    expect(seen).toHaveLength(1);
+  });
+
+  it('gives the dispatch function and the whole state', () => {
+    const store = createStore(reducer);
+    let dispatch;
+
+    const Whole = () => {
+      dispatch = useDispatch();
+      return String(useStore().count);
+    };
+
+    const renderer = render(<ChmlshProvider store={store}><Whole /></ChmlshProvider>);
+
+    act(() => {
+      dispatch({ type: 'increment' });
+    });
+
+    expect(dispatch).toBe(store.dispatch);
+    expect(renderer.toJSON()).toBe('1');
+  });
+
+  it('requires a ChmlshProvider', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const Orphan = () => useSelector(state => state);
+
+    expect(() => render(<Orphan />)).toThrow('useSelector must be used within a ChmlshProvider');
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,121 @@
+import { createStore, applyMiddleware, compose } from '../ChmlshStore';
+import { withDevTools } from '../DevTools';
+import { thunk } from '../Thunk';
+
+const counter = (state = { count: 0 }, action) => (
+  action.type === 'increment' ? { count: state.count + 1 } : state
+);
+
+const createConnection = () => ({
+  init: jest.fn(),
+  send: jest.fn(),
+  subscribe: jest.fn(),
+});
+
+describe('withDevTools', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  it('records dispatched actions with their diffs', () => {
+    const store = createStore(counter, undefined, withDevTools({ connection: createConnection() }));
+
+    store.dispatch({ type: 'increment' });
+
+    const { entries, currentIndex } = store.devTools.getHistory();
+    expect(entries.map(entry => entry.action.type)).toEqual(['@@chmlsh/INIT', 'increment']);
+    expect(entries[1].diff).toEqual([{ path: ['count'], before: 0, after: 1 }]);
+    expect(currentIndex).toBe(1);
+  });
+
+  it('sends to the monitor once the reducer is done', () => {
+    const connection = createConnection();
+    let store;
+    const states = [];
+    connection.send.mockImplementation(() => states.push(store.getState()));
+    store = createStore(counter, undefined, withDevTools({ connection }));
+
+    store.dispatch({ type: 'increment' });
+
+    expect(connection.send).toHaveBeenCalledWith({ type: 'increment' }, { count: 1 });
+    expect(states).toEqual([{ count: 1 }]);
+  });
+
+  it('does not record the reducer running again for replays', () => {
+    const connection = createConnection();
+    const store = createStore(counter, undefined, withDevTools({ connection }));
+    store.dispatch({ type: 'increment' });
+    connection.send.mockClear();
+
+    store.devTools.replay();
+
+    expect(store.devTools.getHistory().entries).toHaveLength(2);
+    expect(connection.send).not.toHaveBeenCalled();
+  });
+
+  it('records actions dispatched by middleware and by listeners in order', () => {
+    const store = createStore(
+      counter,
+      undefined,
+      compose(applyMiddleware(thunk), withDevTools({ connection: createConnection() }))
+    );
+    let followedUp = false;
+    const unsubscribe = store.subscribe(() => {
+      if (!followedUp) {
+        followedUp = true;
+        store.dispatch({ type: 'followUp' });
+      }
+    });
+
+    store.dispatch((dispatch) => {
+      dispatch({ type: 'increment' });
+    });
+    unsubscribe();
+
+    expect(store.devTools.getHistory().entries.map(entry => entry.action.type))
+      .toEqual(['@@chmlsh/INIT', 'increment', 'followUp']);
+  });
+
+  it('jumps to states sent by the monitor and ignores ones that are not JSON', () => {
+    const store = createStore(counter, undefined, withDevTools({ connection: createConnection() }));
+
+    store.devTools.handleMessage({
+      type: 'DISPATCH',
+      payload: { type: 'JUMP_TO_STATE', actionId: 99 },
+      state: '{"count":5}',
+    });
+    expect(store.getState()).toEqual({ count: 5 });
+
+    store.devTools.handleMessage({ type: 'DISPATCH', payload: { type: 'ROLLBACK' }, state: '{oops' });
+    store.devTools.handleMessage({ type: 'ACTION', payload: '{oops' });
+
+    expect(store.getState()).toEqual({ count: 5 });
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects importing an empty history and ignores one sent by the monitor', () => {
+    const connection = createConnection();
+    const store = createStore(counter, undefined, withDevTools({ connection }));
+    store.dispatch({ type: 'increment' });
+
+    expect(() => store.devTools.importHistory([])).toThrow('empty history');
+
+    store.devTools.handleMessage({
+      type: 'DISPATCH',
+      payload: {
+        type: 'IMPORT_STATE',
+        nextLiftedState: { computedStates: [], actionsById: {}, stagedActionIds: [] },
+      },
+    });
+
+    expect(store.getState()).toEqual({ count: 1 });
+    expect(store.devTools.getHistory().entries).toHaveLength(2);
+    expect(warn).toHaveBeenCalledWith('DevTools: ignoring an empty history from monitor');
+  });
+});
@@ -0,0 +1,71 @@
+import { produce, isDraft, original } from '../Draft';
+
+describe('produce', () => {
+  const base = {
+    user: { name: 'Ada', tags: ['admin'] },
+    settings: { theme: 'dark' },
+  };
+
+  it('copies the changed path and shares the rest', () => {
+    const next = produce(base, (draft) => {
+      draft.user.tags.push('owner');
+    });
+
+    expect(next.user.tags).toEqual(['admin', 'owner']);
+    expect(next).not.toBe(base);
+    expect(next.user).not.toBe(base.user);
+    expect(next.settings).toBe(base.settings);
+    expect(base.user.tags).toEqual(['admin']);
+  });
+
+  it('returns the base when nothing changed', () => {
+    const next = produce(base, (draft) => {
+      draft.user.name = 'Ada';
+    });
+
+    expect(next).toBe(base);
+  });
+
+  it('uses a returned value instead of the draft', () => {
+    expect(produce(base, () => ({ reset: true }))).toEqual({ reset: true });
+  });
+
+  it('rejects recipes that modify the draft and return a new value', () => {
+    expect(() => produce(base, (draft) => {
+      draft.settings.theme = 'light';
+      return {};
+    })).toThrow('not both');
+  });
+
+  it('finalizes drafts placed inside new values', () => {
+    const next = produce(base, (draft) => {
+      draft.moved = { user: draft.user };
+      draft.user.name = 'Grace';
+    });
+
+    expect(isDraft(next.moved.user)).toBe(false);
+    expect(next.moved.user).toEqual({ name: 'Grace', tags: ['admin'] });
+  });
+
+  it('gives access to the original value', () => {
+    produce(base, (draft) => {
+      draft.user.name = 'Grace';
+      expect(original(draft.user)).toBe(base.user);
+    });
+  });
+
+  it('finalizes cyclic values assigned to the draft', () => {
+    const node = { name: 'loop' };
+    node.self = node;
+
+    const next = produce(base, (draft) => {
+      draft.node = node;
+      node.user = draft.user;
+      draft.user.name = 'Grace';
+    });
+
+    expect(next.node.self).toBe(next.node);
+    expect(isDraft(next.node.user)).toBe(false);
+    expect(next.node.user.name).toBe('Grace');
+  });
+});
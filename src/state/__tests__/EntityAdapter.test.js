@@ -0,0 +1,89 @@
+import { createEntityAdapter } from '../EntityAdapter';
+
+describe('createEntityAdapter updates', () => {
+  const adapter = createEntityAdapter();
+
+  it('keeps an ID once when an update moves an entity onto an existing ID', () => {
+    const state = adapter.setAll(adapter.getInitialState(), [
+      { id: 'a', title: 'A' },
+      { id: 'b', title: 'B' },
+    ]);
+
+    const next = adapter.updateOne(state, { id: 'a', changes: { id: 'b', title: 'A2' } });
+
+    expect(next.ids).toEqual(['b']);
+    expect(next.entities).toEqual({ b: { id: 'b', title: 'A2' } });
+  });
+
+  it('moves an entity to a new ID in place', () => {
+    const state = adapter.setAll(adapter.getInitialState(), [
+      { id: 'a', title: 'A' },
+      { id: 'b', title: 'B' },
+    ]);
+
+    const next = adapter.updateOne(state, { id: 'a', changes: { id: 'c' } });
+
+    expect(next.ids).toEqual(['c', 'b']);
+    expect(next.entities.c).toEqual({ id: 'c', title: 'A' });
+  });
+});
+
+describe('createEntityAdapter', () => {
+  const books = createEntityAdapter({
+    selectId: book => book.isbn,
+    sortComparer: (a, b) => a.title.localeCompare(b.title),
+  });
+
+  const dune = { isbn: '1', title: 'Dune' };
+  const emma = { isbn: '2', title: 'Emma' };
+  const beloved = { isbn: '3', title: 'Beloved' };
+
+  it('adds entities once and keeps ids sorted', () => {
+    const state = books.addMany(books.getInitialState({ loading: false }), [dune, emma, beloved]);
+
+    expect(state.ids).toEqual(['3', '1', '2']);
+    expect(state.loading).toBe(false);
+    expect(books.addOne(state, { isbn: '1', title: 'Other' }).entities['1']).toBe(dune);
+  });
+
+  it('replaces entities with set and merges them with upsert', () => {
+    const state = books.setAll(books.getInitialState(), [{ ...dune, year: 1965 }]);
+
+    expect(books.setOne(state, dune).entities['1']).toEqual(dune);
+    expect(books.upsertOne(state, { isbn: '1', title: 'Dune' }).entities['1']).toEqual({ ...dune, year: 1965 });
+    expect(books.upsertMany(state, [emma]).ids).toEqual(['1', '2']);
+  });
+
+  it('keeps unchanged entities by reference', () => {
+    const state = books.setAll(books.getInitialState(), [dune, emma]);
+    const next = books.updateOne(state, { id: '2', changes: { title: 'Zadie' } });
+
+    expect(next.entities['1']).toBe(dune);
+    expect(next.entities['2']).toEqual({ isbn: '2', title: 'Zadie' });
+    expect(next.ids).toEqual(['1', '2']);
+    expect(books.updateOne(state, { id: 'missing', changes: {} })).toBe(state);
+  });
+
+  it('removes entities', () => {
+    const state = books.setAll(books.getInitialState(), [dune, emma, beloved]);
+
+    expect(books.removeMany(state, ['1', '3']).ids).toEqual(['2']);
+    expect(books.removeAll(state)).toEqual({ ids: [], entities: {} });
+  });
+
+  it('works as a case reducer taking an action', () => {
+    const state = books.addOne(books.getInitialState(), { type: 'books/added', payload: dune });
+
+    expect(state.ids).toEqual(['1']);
+  });
+
+  it('memoizes selectors over a slice of the root state', () => {
+    const selectors = books.getSelectors(state => state.books);
+    const root = { books: books.setAll(books.getInitialState(), [dune, emma]) };
+
+    expect(selectors.selectAll(root)).toEqual([dune, emma]);
+    expect(selectors.selectAll(root)).toBe(selectors.selectAll({ ...root }));
+    expect(selectors.selectTotal(root)).toBe(2);
+    expect(selectors.selectById(root, '2')).toBe(emma);
+  });
+});
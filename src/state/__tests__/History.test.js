@@ -0,0 +1,78 @@
+import { withHistory, HistoryActions } from '../History';
+
+const counter = (state = 0, action) => (action.type === 'add' ? state + action.payload : state);
+
+const run = (reducer, actions) => actions.reduce(reducer, reducer(undefined, { type: '@@init' }));
+
+const add = payload => ({ type: 'add', payload });
+
+describe('withHistory', () => {
+  const reducer = withHistory(counter);
+
+  it('records each change as an undo step', () => {
+    const state = run(reducer, [add(1), add(2), { type: 'noop' }]);
+
+    expect(state.past).toEqual([0, 1]);
+    expect(state.present).toBe(3);
+  });
+
+  it('undoes and redoes steps', () => {
+    const undone = run(reducer, [add(1), add(2), HistoryActions.undo(), HistoryActions.undo()]);
+
+    expect(undone.present).toBe(0);
+    expect(undone.future).toEqual([1, 3]);
+    expect(reducer(undone, HistoryActions.redo()).present).toBe(1);
+  });
+
+  it('jumps several steps and ignores jumps out of range', () => {
+    const state = run(reducer, [add(1), add(1), add(1), HistoryActions.jump(-2)]);
+
+    expect(state.present).toBe(1);
+    expect(reducer(state, HistoryActions.jump(2)).present).toBe(3);
+    expect(reducer(state, HistoryActions.jump(-5))).toBe(state);
+  });
+
+  it('drops the future when a new change is recorded', () => {
+    const state = run(reducer, [add(1), add(1), HistoryActions.undo(), add(5)]);
+
+    expect(state.present).toBe(6);
+    expect(state.future).toEqual([]);
+  });
+
+  it('keeps only the configured number of past states', () => {
+    const state = run(withHistory(counter, { limit: 2 }), [add(1), add(1), add(1)]);
+
+    expect(state.past).toEqual([1, 2]);
+  });
+
+  it('updates the present without a step for filtered actions', () => {
+    const filtered = withHistory(counter, { filter: action => action.payload !== 10 });
+    const state = run(filtered, [add(1), add(10)]);
+
+    expect(state.present).toBe(11);
+    expect(state.past).toEqual([0]);
+  });
+
+  it('merges consecutive actions of the same group into one step', () => {
+    const grouped = withHistory(counter, { groupBy: action => action.meta && action.meta.group });
+    const typing = payload => ({ ...add(payload), meta: { group: 'typing' } });
+    const state = run(grouped, [typing(1), typing(1), add(5), HistoryActions.undo()]);
+
+    expect(state.present).toBe(2);
+    expect(state.past).toEqual([0]);
+  });
+
+  it('only handles history actions for its own name', () => {
+    const named = withHistory(counter, { name: 'editor' });
+    const state = run(named, [add(1)]);
+
+    expect(named(state, HistoryActions.undo('canvas'))).toBe(state);
+    expect(named(state, HistoryActions.undo('editor')).present).toBe(0);
+  });
+
+  it('forgets past and future on clearHistory', () => {
+    const state = run(reducer, [add(1), add(1), HistoryActions.undo(), HistoryActions.clearHistory()]);
+
+    expect(state).toEqual({ past: [], present: 1, future: [], group: null });
+  });
+});
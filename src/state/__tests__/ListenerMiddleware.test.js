@@ -0,0 +1,143 @@
+import { createStore, applyMiddleware, createAction } from '../ChmlshStore';
+import { createListenerMiddleware } from '../ListenerMiddleware';
+
+const searched = createAction('search/changed');
+
+const reducer = (state = { query: '' }, action) => (
+  action.type === searched.type ? { query: action.payload } : state
+);
+
+const setup = (options) => {
+  const listener = createListenerMiddleware(options);
+  const store = createStore(reducer, undefined, applyMiddleware(listener.middleware));
+  return { listener, store };
+};
+
+// Effects start on a microtask after the dispatch, so wait one timer tick
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createListenerMiddleware', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('runs the effect for every matching action with the state before it', async () => {
+    const { listener, store } = setup({ extra: 'extra' });
+    const seen = [];
+
+    listener.takeEvery(searched, (action, api) => {
+      seen.push([action.payload, api.getOriginalState().query, api.extra]);
+    });
+
+    store.dispatch(searched('a'));
+    store.dispatch({ type: 'other' });
+    store.dispatch(searched('ab'));
+    await flush();
+
+    expect(seen).toEqual([['a', '', 'extra'], ['ab', 'a', 'extra']]);
+  });
+
+  it('cancels earlier runs with takeLatest', async () => {
+    jest.useFakeTimers();
+    const { listener, store } = setup();
+    const finished = [];
+
+    listener.takeLatest('search/changed', async (action, api) => {
+      await api.delay(100);
+      finished.push(action.payload);
+    });
+
+    store.dispatch(searched('a'));
+    await jest.advanceTimersByTimeAsync(50);
+    store.dispatch(searched('ab'));
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(finished).toEqual(['ab']);
+  });
+
+  it('debounces until actions stop arriving', async () => {
+    jest.useFakeTimers();
+    const { listener, store } = setup();
+    const effect = jest.fn();
+
+    listener.debounce(searched, 300, effect);
+
+    store.dispatch(searched('a'));
+    await jest.advanceTimersByTimeAsync(200);
+    store.dispatch(searched('ab'));
+    await jest.advanceTimersByTimeAsync(299);
+    expect(effect).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(effect).toHaveBeenCalledTimes(1);
+    expect(effect.mock.calls[0][0].payload).toBe('ab');
+  });
+
+  it('throttles to one run per interval', async () => {
+    jest.useFakeTimers();
+    const { listener, store } = setup();
+    const effect = jest.fn();
+
+    listener.throttle(searched, 1000, effect);
+
+    store.dispatch(searched('a'));
+    store.dispatch(searched('ab'));
+    await jest.advanceTimersByTimeAsync(1000);
+    store.dispatch(searched('abc'));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(effect.mock.calls.map(([action]) => action.payload)).toEqual(['a', 'abc']);
+  });
+
+  it('waits for a later action with take', async () => {
+    const { listener, store } = setup();
+    let taken;
+
+    listener.startListening({
+      type: 'checkout/started',
+      effect: async (action, api) => {
+        [taken] = await api.take(next => next.type === 'checkout/confirmed');
+      },
+    });
+
+    store.dispatch({ type: 'checkout/started' });
+    await flush();
+    store.dispatch({ type: 'checkout/confirmed', payload: 1 });
+    await flush();
+
+    expect(taken).toEqual({ type: 'checkout/confirmed', payload: 1 });
+  });
+
+  it('stops running effects once unsubscribed', async () => {
+    const { listener, store } = setup();
+    const effect = jest.fn();
+    const unsubscribe = listener.takeEvery(searched, effect);
+
+    unsubscribe();
+    store.dispatch(searched('a'));
+    await flush();
+
+    expect(effect).not.toHaveBeenCalled();
+  });
+
+  it('reports errors thrown by effects', async () => {
+    const onError = jest.fn();
+    const { listener, store } = setup({ onError });
+    const error = new Error('boom');
+
+    listener.takeEvery(searched, () => {
+      throw error;
+    });
+
+    store.dispatch(searched('a'));
+    await flush();
+
+    expect(onError).toHaveBeenCalledWith(error, { raisedBy: 'effect' });
+  });
+
+  it('requires a way to match actions', () => {
+    const { listener } = setup();
+
+    expect(() => listener.startListening({ effect: () => {} })).toThrow('needs a "type"');
+  });
+});
@@ -0,0 +1,141 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { createStore } from '../ChmlshStore';
+import { persistStore, createMigrate, PersistGate, REHYDRATE } from '../Persist';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const createMemoryStorage = (items = {}) => ({
+  items,
+  getItem: async key => (key in items ? items[key] : null),
+  setItem: async (key, value) => {
+    items[key] = value;
+  },
+  removeItem: async (key) => {
+    delete items[key];
+  },
+});
+
+const reducer = (state = { todos: [], draft: '' }, action) => {
+  switch (action.type) {
+    case 'add':
+      return { ...state, todos: [...state.todos, action.payload] };
+    case 'type':
+      return { ...state, draft: action.payload };
+    default:
+      return state;
+  }
+};
+
+const bootstrapped = persistor => new Promise((resolve) => {
+  if (persistor.getState().bootstrapped) {
+    resolve();
+    return;
+  }
+
+  const unsubscribe = persistor.subscribe(() => {
+    unsubscribe();
+    resolve();
+  });
+});
+
+describe('persistStore', () => {
+  it('rehydrates saved state over the initial state', async () => {
+    const storage = createMemoryStorage({
+      'persist:app': JSON.stringify({ version: -1, state: { todos: ['saved'] } }),
+    });
+    const actions = [];
+    const store = createStore((state, action) => {
+      actions.push(action);
+      return reducer(state, action);
+    }, undefined, persistStore({ key: 'app', storage }));
+
+    await bootstrapped(store.persistor);
+
+    expect(store.getState()).toEqual({ todos: ['saved'], draft: '' });
+    expect(actions.some(action => action.type === REHYDRATE && action.key === 'app')).toBe(true);
+  });
+
+  it('writes only whitelisted keys', async () => {
+    const storage = createMemoryStorage();
+    const store = createStore(reducer, undefined, persistStore({ key: 'app', storage, whitelist: ['todos'] }));
+
+    await bootstrapped(store.persistor);
+    store.dispatch({ type: 'add', payload: 'milk' });
+    store.dispatch({ type: 'type', payload: 'eg' });
+    await store.persistor.flush();
+
+    expect(JSON.parse(storage.items['persist:app'])).toEqual({
+      version: -1,
+      state: { todos: ['milk'] },
+    });
+  });
+
+  it('runs the migrations between the saved and the configured version', async () => {
+    const storage = createMemoryStorage({
+      'persist:app': JSON.stringify({ version: 1, state: { items: ['a'] } }),
+    });
+    const migrate = createMigrate({
+      1: () => {
+        throw new Error('already applied');
+      },
+      2: state => ({ todos: state.items }),
+      3: state => ({ ...state, todos: [...state.todos, 'b'] }),
+    });
+    const store = createStore(reducer, undefined, persistStore({ key: 'app', storage, version: 3, migrate }));
+
+    await bootstrapped(store.persistor);
+
+    expect(store.getState().todos).toEqual(['a', 'b']);
+  });
+
+  it('skips state saved by a newer version', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createMemoryStorage({
+      'persist:app': JSON.stringify({ version: 5, state: { todos: ['future'] } }),
+    });
+    const store = createStore(reducer, undefined, persistStore({ key: 'app', storage, version: 2 }));
+
+    await bootstrapped(store.persistor);
+
+    expect(store.getState().todos).toEqual([]);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('removes the saved state on purge', async () => {
+    const storage = createMemoryStorage({
+      'persist:app': JSON.stringify({ version: -1, state: { todos: ['saved'] } }),
+    });
+    const store = createStore(reducer, undefined, persistStore({ key: 'app', storage }));
+
+    await bootstrapped(store.persistor);
+    await store.persistor.purge();
+
+    expect(storage.items).toEqual({});
+  });
+
+  it('requires a key', () => {
+    expect(() => persistStore({})).toThrow('requires a "key"');
+  });
+});
+
+describe('PersistGate', () => {
+  it('renders the loading element until the state is rehydrated', async () => {
+    const storage = createMemoryStorage();
+    const store = createStore(reducer, undefined, persistStore({ key: 'app', storage }));
+    let renderer;
+
+    act(() => {
+      renderer = TestRenderer.create(
+        <PersistGate persistor={store.persistor} loading="loading">ready</PersistGate>
+      );
+    });
+
+    expect(renderer.toJSON()).toBe('loading');
+
+    await act(() => bootstrapped(store.persistor));
+
+    expect(renderer.toJSON()).toBe('ready');
+  });
+});
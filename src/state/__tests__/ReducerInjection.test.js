@@ -0,0 +1,54 @@
+import { createStore, combineReducers } from '../ChmlshStore';
+import { withReducerInjection } from '../ReducerInjection';
+
+const counter = (state = 0, action) => (action.type === 'increment' ? state + 1 : state);
+const todos = (state = [], action) => (action.type === 'add' ? [...state, action.payload] : state);
+
+describe('withReducerInjection', () => {
+  it('adds the state of injected reducers next to the static ones', () => {
+    const store = createStore(combineReducers({ counter }), undefined, withReducerInjection());
+
+    store.injectReducer('todos', todos);
+    store.dispatch({ type: 'add', payload: 'a' });
+    store.dispatch({ type: 'increment' });
+
+    expect(store.getState()).toEqual({ counter: 1, todos: ['a'] });
+  });
+
+  it('keeps preloaded state for reducers injected later', () => {
+    const store = createStore(
+      combineReducers({ counter }),
+      { counter: 2, todos: ['saved'] },
+      withReducerInjection()
+    );
+
+    store.dispatch({ type: 'increment' });
+    store.injectReducer('todos', todos);
+
+    expect(store.getState()).toEqual({ counter: 3, todos: ['saved'] });
+  });
+
+  it('drops the state of ejected reducers', () => {
+    const store = createStore(combineReducers({ counter }), undefined, withReducerInjection());
+
+    store.injectReducer('todos', todos);
+    store.ejectReducer('todos');
+
+    expect(store.getState()).toEqual({ counter: 0 });
+    expect(store.hasReducer('todos')).toBe(false);
+  });
+
+  it('does not call listeners for injections made with notify false', () => {
+    const store = createStore(combineReducers({ counter }), undefined, withReducerInjection());
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    expect(store.injectReducer('todos', todos, { notify: false })).toBe(true);
+    expect(listener).not.toHaveBeenCalled();
+    expect(store.getState().todos).toEqual([]);
+
+    expect(store.injectReducer('todos', todos)).toBe(false);
+    store.dispatch({ type: 'increment' });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,86 @@
+import { createAction } from '../ChmlshStore';
+import { createSlice, createReducer } from '../Slice';
+
+describe('createSlice', () => {
+  const todos = createSlice({
+    name: 'todos',
+    initialState: { items: [], filter: 'all' },
+    reducers: {
+      added: {
+        reducer: (state, action) => {
+          state.items.push(action.payload);
+        },
+        prepare: text => ({ payload: { text, done: false } }),
+      },
+      toggled: (state, action) => {
+        const item = state.items[action.payload];
+        item.done = !item.done;
+      },
+      cleared: () => ({ items: [], filter: 'all' }),
+    },
+  });
+
+  it('generates action creators prefixed with the slice name', () => {
+    expect(todos.actions.added('milk')).toEqual({
+      type: 'todos/added',
+      payload: { text: 'milk', done: false },
+    });
+    expect(todos.actions.toggled.type).toBe('todos/toggled');
+  });
+
+  it('applies mutations to a copy and keeps untouched parts', () => {
+    const state = todos.reducer(undefined, todos.actions.added('milk'));
+    const next = todos.reducer(state, todos.actions.toggled(0));
+
+    expect(next.items[0].done).toBe(true);
+    expect(state.items[0].done).toBe(false);
+    expect(todos.reducer(next, { type: 'unknown' })).toBe(next);
+  });
+
+  it('accepts a new state returned by a case reducer', () => {
+    const state = todos.reducer(undefined, todos.actions.added('milk'));
+
+    expect(todos.reducer(state, todos.actions.cleared())).toEqual(todos.getInitialState());
+  });
+
+  it('handles actions defined outside the slice', () => {
+    const reset = createAction('app/reset');
+    const counter = createSlice({
+      name: 'counter',
+      initialState: 0,
+      reducers: {},
+      extraReducers: (builder) => {
+        builder
+          .addCase(reset, () => 0)
+          .addMatcher(action => action.type.endsWith('/ping'), state => state + 1);
+      },
+    });
+
+    const state = counter.reducer(counter.reducer(undefined, { type: 'server/ping' }), { type: 'a/ping' });
+
+    expect(state).toBe(2);
+    expect(counter.reducer(state, reset())).toBe(0);
+  });
+
+  it('requires a name', () => {
+    expect(() => createSlice({ initialState: {} })).toThrow('requires a "name"');
+  });
+});
+
+describe('createReducer', () => {
+  it('falls back to the default case when nothing matches', () => {
+    const reducer = createReducer({ seen: 0 }, (builder) => {
+      builder.addDefaultCase((state) => {
+        state.seen += 1;
+      });
+    });
+
+    expect(reducer(undefined, { type: 'any' })).toEqual({ seen: 1 });
+  });
+
+  it('rejects two reducers for the same type', () => {
+    expect(() => createReducer({}, (builder) => {
+      builder.addCase('a', () => {}).addCase('a', () => {});
+    })).toThrow('same action type "a"');
+  });
+});
@@ -0,0 +1,78 @@
+import { createStore, applyMiddleware } from '../ChmlshStore';
+import { createSyncMiddleware } from '../Sync';
+import { thunk, createAsyncThunk } from '../Thunk';
+
+/**
+ * Create transports delivering messages to every other transport of the hub
+ */
+function createHub() {
+  const listeners = new Set();
+
+  return () => {
+    let own = null;
+
+    return {
+      post: (message) => {
+        structuredClone(message);
+        listeners.forEach(listener => listener !== own && listener(message));
+      },
+      subscribe: (listener) => {
+        own = listener;
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      close: () => {},
+    };
+  };
+}
+
+const reducer = (state = { count: 0, log: [] }, action) => ({
+  count: action.type === 'increment' ? state.count + 1 : state.count,
+  log: [...state.log, action.type],
+});
+
+describe('createSyncMiddleware', () => {
+  let hub;
+
+  beforeEach(() => {
+    hub = createHub();
+  });
+
+  const createTab = (options = {}) => {
+    const sync = createSyncMiddleware({ transport: hub(), ...options });
+    return createStore(reducer, undefined, applyMiddleware(thunk, sync));
+  };
+
+  it('replays actions in the other tabs', () => {
+    const a = createTab();
+    const b = createTab();
+
+    a.dispatch({ type: 'increment' });
+
+    expect(b.getState().count).toBe(1);
+  });
+
+  it('does not broadcast async thunk lifecycle actions by default', async () => {
+    const a = createTab();
+    const b = createTab();
+    const load = createAsyncThunk('load', async () => 'done');
+
+    await a.dispatch(load());
+
+    expect(a.getState().log).toEqual(expect.arrayContaining(['load/pending', 'load/fulfilled']));
+    expect(b.getState().log.filter(type => type.startsWith('load/'))).toEqual([]);
+  });
+
+  it('reports messages that cannot be posted without throwing from dispatch', () => {
+    const onError = jest.fn();
+    const a = createTab({ onError });
+    createTab();
+
+    expect(() => a.dispatch({ type: 'increment', payload: () => {} })).not.toThrow();
+    expect(a.getState().count).toBe(1);
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'DataCloneError' }),
+      expect.objectContaining({ kind: 'action' })
+    );
+  });
+});
@@ -0,0 +1,101 @@
+import { createStore, applyMiddleware } from '../ChmlshStore';
+import { thunk, createAsyncThunk, unwrapResult } from '../Thunk';
+
+const createLoggingStore = (middleware = thunk) => {
+  const actions = [];
+  const store = createStore((state = {}, action) => {
+    actions.push(action);
+    return state;
+  }, undefined, applyMiddleware(middleware));
+
+  return { store, actions: () => actions.filter(action => !action.type.startsWith('@@')) };
+};
+
+describe('thunk', () => {
+  it('runs functions with dispatch, getState and the extra argument', () => {
+    const { store, actions } = createLoggingStore(thunk.withExtraArgument({ api: 'api' }));
+
+    const result = store.dispatch((dispatch, getState, extra) => {
+      dispatch({ type: 'inner' });
+      return extra.api;
+    });
+
+    expect(result).toBe('api');
+    expect(actions()).toEqual([{ type: 'inner' }]);
+  });
+});
+
+describe('createAsyncThunk', () => {
+  it('dispatches pending and fulfilled around the payload creator', async () => {
+    const { store, actions } = createLoggingStore();
+    const fetchUser = createAsyncThunk('users/fetch', async id => ({ id }), { idGenerator: () => 'req-1' });
+
+    const action = await store.dispatch(fetchUser(7));
+
+    expect(actions().map(a => a.type)).toEqual(['users/fetch/pending', 'users/fetch/fulfilled']);
+    expect(action).toEqual({
+      type: 'users/fetch/fulfilled',
+      payload: { id: 7 },
+      meta: { arg: 7, requestId: 'req-1', requestStatus: 'fulfilled' },
+    });
+    expect(fetchUser.fulfilled.type).toBe('users/fetch/fulfilled');
+  });
+
+  it('serializes thrown errors into the rejected action', async () => {
+    const { store } = createLoggingStore();
+    const failing = createAsyncThunk('users/fetch', async () => {
+      const error = new Error('Not found');
+      error.status = 404;
+      throw error;
+    });
+
+    const action = await store.dispatch(failing());
+
+    expect(action.type).toBe('users/fetch/rejected');
+    expect(action.error).toMatchObject({ name: 'Error', message: 'Not found', status: 404 });
+    expect(() => unwrapResult(action)).toThrow();
+  });
+
+  it('rejects with the value given to rejectWithValue', async () => {
+    const { store } = createLoggingStore();
+    const validate = createAsyncThunk('form/validate', (arg, { rejectWithValue }) => (
+      rejectWithValue({ field: 'email' })
+    ));
+
+    const promise = store.dispatch(validate());
+    const action = await promise;
+
+    expect(action.payload).toEqual({ field: 'email' });
+    expect(action.meta.rejectedWithValue).toBe(true);
+    await expect(promise.unwrap()).rejects.toEqual({ field: 'email' });
+  });
+
+  it('skips the request when the condition returns false', async () => {
+    const { store, actions } = createLoggingStore();
+    const payloadCreator = jest.fn();
+    const load = createAsyncThunk('data/load', payloadCreator, { condition: () => false });
+
+    const action = await store.dispatch(load());
+
+    expect(action.meta.condition).toBe(true);
+    expect(payloadCreator).not.toHaveBeenCalled();
+    expect(actions()).toEqual([]);
+  });
+
+  it('rejects as aborted and aborts the signal', async () => {
+    const { store } = createLoggingStore();
+    let signal;
+    const load = createAsyncThunk('data/load', (arg, thunkAPI) => {
+      signal = thunkAPI.signal;
+      return new Promise(() => {});
+    });
+
+    const promise = store.dispatch(load());
+    promise.abort('Left the screen');
+    const action = await promise;
+
+    expect(signal.aborted).toBe(true);
+    expect(action.meta.aborted).toBe(true);
+    expect(action.error).toMatchObject({ name: 'AbortError', message: 'Left the screen' });
+  });
+});
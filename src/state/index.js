@@ -12,8 +12,29 @@ import {
   useStore,
   useDispatch,
   useSelector,
-  useAction
+  useAction,
+  shallowEqual,
+  compose,
+  ActionTypes,
+  useInjectReducers,
+  withInjectedReducers
 } from './ChmlshStore';
+import {
+  persistStore,
+  createMigrate,
+  PersistGate,
+  PERSIST,
+  REHYDRATE
+} from './Persist';
+import { createSlice, createReducer } from './Slice';
+import { produce } from './Draft';
+import { thunk, createAsyncThunk, unwrapResult } from './Thunk';
+import { withDevTools, diffStates } from './DevTools';
+import { withHistory, HistoryActions, HistoryActionTypes } from './History';
+import { createSyncMiddleware, withSyncReducer, localOnly } from './Sync';
+import { withReducerInjection } from './ReducerInjection';
+import { createListenerMiddleware } from './ListenerMiddleware';
+import { createEntityAdapter } from './EntityAdapter';
 
 export {
   ChmlshProvider,
@@ -25,5 +46,32 @@ export {
   useStore,
   useDispatch,
   useSelector,
-  useAction
+  useAction,
+  shallowEqual,
+  compose,
+  persistStore,
+  createMigrate,
+  PersistGate,
+  PERSIST,
+  REHYDRATE,
+  createSlice,
+  createReducer,
+  produce,
+  thunk,
+  createAsyncThunk,
+  unwrapResult,
+  ActionTypes,
+  withDevTools,
+  diffStates,
+  withHistory,
+  HistoryActions,
+  HistoryActionTypes,
+  createSyncMiddleware,
+  withSyncReducer,
+  localOnly,
+  withReducerInjection,
+  useInjectReducers,
+  withInjectedReducers,
+  createListenerMiddleware,
+  createEntityAdapter
 };
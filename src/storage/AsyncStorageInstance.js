@@ -0,0 +1,459 @@
+/**
+ * AsyncStorageInstance for Reactive chmlsh
+ * A namespaced AsyncStorage with per-key expiry and change subscriptions
+ */
+
+import { INSTANCE_PREFIX } from '../AsyncStorage';
+import { StorageTransaction } from './StorageTransaction';
+import { parseJSONValue, serializeJSONValue } from './jsonValues';
+
+// Listeners, cross-tab channels and transaction queues by namespace, shared by instances of the same namespace
+const namespaces = new Map();
+
+/**
+ * Get the listeners and channel of a namespace
+ * @param {string} namespace - Namespace
+ * @returns {Object} { listeners, channel, handleStorage, transactionQueue, activeTransaction }
+ * @private
+ */
+function getNamespace(namespace) {
+  if (!namespaces.has(namespace)) {
+    namespaces.set(namespace, {
+      listeners: [],
+      channel: null,
+      handleStorage: null,
+      transactionQueue: Promise.resolve(),
+      activeTransaction: null,
+    });
+  }
+  
+  return namespaces.get(namespace);
+}
+
+/**
+ * Get the cross-tab channel of a namespace, shared by its writes and its listeners
+ * @param {Object} namespace - Namespace listeners and channel
+ * @param {string} name - Channel name
+ * @returns {BroadcastChannel} Channel
+ * @private
+ */
+function getChannel(namespace, name) {
+  if (!namespace.channel) {
+    namespace.channel = new BroadcastChannel(name);
+    
+    // The channel stays open, it must not keep Node processes alive
+    if (typeof namespace.channel.unref === 'function') {
+      namespace.channel.unref();
+    }
+  }
+  
+  return namespace.channel;
+}
+
+/**
+ * Call the listeners of a key
+ * @param {string} namespace - Namespace
+ * @param {string|null} key - Changed key, null when every key changed
+ * @param {string|null} value - New value
+ * @private
+ */
+function notifyListeners(namespace, key, value) {
+  getNamespace(namespace).listeners.forEach((entry) => {
+    if (key !== null && entry.key !== key) {
+      return;
+    }
+    
+    try {
+      entry.listener(key === null ? null : value, entry.key);
+    } catch (error) {
+      console.error('Error in AsyncStorage listener:', error);
+    }
+  });
+}
+
+/**
+ * Read a stored entry
+ * Values written outside of an instance are read as entries without expiry.
+ * @param {string|null} raw - Stored string
+ * @returns {Object|null} { value, expires }, or null when nothing is stored
+ * @private
+ */
+function parseEntry(raw) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  
+  try {
+    const entry = JSON.parse(raw);
+    
+    if (entry && typeof entry === 'object' && typeof entry.value === 'string') {
+      return entry;
+    }
+  } catch (error) {
+    // Not an entry
+  }
+  
+  return { value: raw, expires: null };
+}
+
+/**
+ * Check if an entry has expired
+ * @param {Object} entry - Entry
+ * @returns {boolean} Whether the entry has expired
+ * @private
+ */
+function isExpired(entry) {
+  return typeof entry.expires === 'number' && entry.expires <= Date.now();
+}
+
+/**
+ * AsyncStorageInstance class
+ * Values are stored under `@ReactiveChmlsh#<namespace>:` as entries with an
+ * expiry time, apart from the AsyncStorage keys. Expired values are removed
+ * when they are read. Failed operations reject.
+ */
+class AsyncStorageInstance {
+  /**
+   * Create a storage instance, usually with AsyncStorage.createInstance()
+   * @param {Object} options - Instance options
+   * @param {string} options.namespace - Namespace of the keys, without ':'
+   * @param {number|null} options.defaultTTL - Milliseconds before values expire, null to keep them
+   * @param {Function} getBackend - Function returning the storage backend
+   */
+  constructor(options, getBackend) {
+    if (!options || !options.namespace) {
+      throw new Error('AsyncStorage instances need a namespace');
+    }
+    
+    // A namespace containing ':' would be inside the prefix of another one
+    if (options.namespace.includes(':')) {
+      throw new Error(`AsyncStorage namespace "${options.namespace}" cannot contain ":"`);
+    }
+    
+    this.namespace = options.namespace;
+    this.defaultTTL = options.defaultTTL || null;
+    this._prefix = `${INSTANCE_PREFIX}${this.namespace}:`;
+    this._getBackend = getBackend;
+  }
+
+  /**
+   * Get an item
+   * @param {string} key - Key to get
+   * @returns {Promise<string|null>} Stored value, or null if not found or expired
+   */
+  async getItem(key) {
+    const raw = await this._getBackend().getItem(this._prefix + key);
+    const entry = parseEntry(raw);
+    
+    if (entry && isExpired(entry)) {
+      await this._getBackend().removeItem(this._prefix + key);
+      this._emitChange(key, null);
+      return null;
+    }
+    
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Set an item
+   * @param {string} key - Key to set
+   * @param {string} value - Value to store
+   * @param {Object} options - Item options
+   * @param {number|null} options.ttl - Milliseconds before the value expires, defaults to defaultTTL
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value, options = {}) {
+    await this._getBackend().setItem(this._prefix + key, this._serialize(value, options.ttl));
+    this._emitChange(key, String(value));
+  }
+
+  /**
+   * Remove an item
+   * @param {string} key - Key to remove
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    await this._getBackend().removeItem(this._prefix + key);
+    this._emitChange(key, null);
+  }
+
+  /**
+   * Get the keys of the namespace, removing expired items
+   * @returns {Promise<string[]>} Array of keys
+   */
+  async getAllKeys() {
+    const keys = (await this._getBackend().getAllKeys())
+      .filter(key => key.startsWith(this._prefix))
+      .map(key => key.substring(this._prefix.length));
+    
+    const pairs = await this.multiGet(keys);
+    
+    return pairs
+      .filter(([, value]) => value !== null)
+      .map(([key]) => key);
+  }
+
+  /**
+   * Remove every item of the namespace
+   * Items of other namespaces are kept.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const keys = (await this._getBackend().getAllKeys())
+      .filter(key => key.startsWith(this._prefix));
+    
+    await this._getBackend().multiRemove(keys);
+    this._emitChange(null, null);
+  }
+
+  /**
+   * Get multiple items
+   * @param {string[]} keys - Keys to get
+   * @returns {Promise<Array<Array<string|null>>>} Array of [key, value] pairs
+   */
+  async multiGet(keys) {
+    const values = await this._getBackend().multiGet(keys.map(key => this._prefix + key));
+    const expired = [];
+    
+    const pairs = keys.map((key, index) => {
+      const entry = parseEntry(values[index]);
+      
+      if (entry && isExpired(entry)) {
+        expired.push(key);
+        return [key, null];
+      }
+      
+      return [key, entry ? entry.value : null];
+    });
+    
+    if (expired.length > 0) {
+      await this._getBackend().multiRemove(expired.map(key => this._prefix + key));
+      expired.forEach(key => this._emitChange(key, null));
+    }
+    
+    return pairs;
+  }
+
+  /**
+   * Set multiple items, all or nothing
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs
+   * @param {Object} options - Item options
+   * @param {number|null} options.ttl - Milliseconds before the values expire, defaults to defaultTTL
+   * @returns {Promise<void>}
+   */
+  async multiSet(keyValuePairs, options = {}) {
+    await this._getBackend().multiSet(keyValuePairs.map(([key, value]) => (
+      [this._prefix + key, this._serialize(value, options.ttl)]
+    )));
+    keyValuePairs.forEach(([key, value]) => this._emitChange(key, String(value)));
+  }
+
+  /**
+   * Remove multiple items
+   * @param {string[]} keys - Keys to remove
+   * @returns {Promise<void>}
+   */
+  async multiRemove(keys) {
+    await this._getBackend().multiRemove(keys.map(key => this._prefix + key));
+    keys.forEach(key => this._emitChange(key, null));
+  }
+
+  /**
+   * Merge an existing item with a new value
+   * @param {string} key - Key to merge
+   * @param {string} value - Value to merge
+   * @param {Object} options - Item options
+   * @param {number|null} options.ttl - Milliseconds before the value expires, defaults to defaultTTL
+   * @returns {Promise<void>}
+   */
+  async mergeItem(key, value, options = {}) {
+    const existingValue = await this.getItem(key);
+    let mergedValue = value;
+    
+    if (existingValue) {
+      try {
+        mergedValue = JSON.stringify({ ...JSON.parse(existingValue), ...JSON.parse(value) });
+      } catch (parseError) {
+        // If not JSON, just overwrite
+      }
+    }
+    
+    await this.setItem(key, mergedValue, options);
+  }
+
+  /**
+   * Get a JSON item
+   * @param {string} key - Key to get
+   * @param {Object} options - Options
+   * @param {Function|Object} options.schema - Validator function returning an error message, or object with a parse method
+   * @returns {Promise<any>} Parsed value or null if not found; rejects when it is not valid JSON or does not match the schema
+   */
+  async getJSON(key, options = {}) {
+    return parseJSONValue(key, await this.getItem(key), options.schema);
+  }
+
+  /**
+   * Set a JSON item
+   * @param {string} key - Key to set
+   * @param {any} value - Value to store
+   * @param {Object} options - Item options
+   * @param {Function|Object} options.schema - Validator function returning an error message, or object with a parse method
+   * @param {number|null} options.ttl - Milliseconds before the value expires, defaults to defaultTTL
+   * @returns {Promise<void>} Rejects without writing when the value does not match the schema
+   */
+  async setJSON(key, value, options = {}) {
+    await this.setItem(key, serializeJSONValue(key, value, options.schema), options);
+  }
+
+  /**
+   * Run a transaction on the namespace
+   * Works like AsyncStorage.transaction(); setItem and setJSON of the
+   * transaction also take a ttl option. Subscribers are notified once the
+   * writes are stored.
+   * @param {Function} callback - Async function (tx) => result
+   * @returns {Promise<any>} Result of the callback
+   */
+  transaction(callback) {
+    const namespace = getNamespace(this.namespace);
+    
+    if (namespace.activeTransaction) {
+      return Promise.reject(StorageTransaction.nestedError());
+    }
+    
+    const run = namespace.transactionQueue.then(async () => {
+      const tx = new StorageTransaction(this._getBackend(), {
+        prefix: this._prefix,
+        readValue: (raw) => {
+          const entry = parseEntry(raw);
+          return entry && !isExpired(entry) ? entry.value : null;
+        },
+        writeValue: (value, options) => this._serialize(value, options.ttl),
+      });
+      
+      namespace.activeTransaction = tx;
+      
+      let result;
+      let changes;
+      
+      try {
+        result = await callback(tx);
+        changes = await tx._commit();
+      } catch (error) {
+        tx._abort();
+        throw error;
+      } finally {
+        namespace.activeTransaction = null;
+      }
+      
+      // Listeners may start transactions of their own
+      changes.forEach(([key, value]) => this._emitChange(key, value));
+      return result;
+    });
+    
+    namespace.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Subscribe to changes of a key, including changes made in other tabs
+   * @param {string} key - Key
+   * @param {Function} listener - Function called with the new value (null when removed) and the key
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(key, listener) {
+    const namespace = getNamespace(this.namespace);
+    const entry = { key, listener };
+    
+    namespace.listeners.push(entry);
+    
+    if (namespace.listeners.length === 1) {
+      this._startCrossTab(namespace);
+    }
+    
+    return () => {
+      namespace.listeners = namespace.listeners.filter(e => e !== entry);
+      
+      if (namespace.listeners.length === 0) {
+        this._stopCrossTab(namespace);
+      }
+    };
+  }
+
+  /**
+   * Serialize a value with its expiry time
+   * @param {string} value - Value
+   * @param {number|null|undefined} ttl - Milliseconds before the value expires
+   * @returns {string} Stored string
+   * @private
+   */
+  _serialize(value, ttl) {
+    const lifetime = ttl === undefined ? this.defaultTTL : ttl;
+    
+    return JSON.stringify({
+      value: String(value),
+      expires: lifetime ? Date.now() + lifetime : null,
+    });
+  }
+
+  /**
+   * Notify listeners in this tab and in other tabs
+   * @param {string|null} key - Changed key, null when the namespace was cleared
+   * @param {string|null} value - New value
+   * @private
+   */
+  _emitChange(key, value) {
+    const namespace = getNamespace(this.namespace);
+    
+    notifyListeners(this.namespace, key, value);
+    
+    // Other tabs may be listening even when this one is not
+    if (typeof BroadcastChannel !== 'undefined') {
+      getChannel(namespace, this._prefix).postMessage({ key, value });
+    }
+  }
+
+  /**
+   * Listen to changes made in other tabs
+   * BroadcastChannel works with every backend; without it only localStorage
+   * changes are seen, through storage events.
+   * @param {Object} namespace - Namespace listeners and channel
+   * @private
+   */
+  _startCrossTab(namespace) {
+    if (typeof BroadcastChannel !== 'undefined') {
+      getChannel(namespace, this._prefix).onmessage = (event) => {
+        notifyListeners(this.namespace, event.data.key, event.data.value);
+      };
+    } else if (typeof window !== 'undefined') {
+      namespace.handleStorage = (event) => {
+        if (event.key === null) {
+          notifyListeners(this.namespace, null, null);
+        } else if (event.key.startsWith(this._prefix)) {
+          const entry = parseEntry(event.newValue);
+          const value = entry && !isExpired(entry) ? entry.value : null;
+          
+          notifyListeners(this.namespace, event.key.substring(this._prefix.length), value);
+        }
+      };
+      window.addEventListener('storage', namespace.handleStorage);
+    }
+  }
+
+  /**
+   * Stop listening to other tabs
+   * @param {Object} namespace - Namespace listeners and channel
+   * @private
+   */
+  _stopCrossTab(namespace) {
+    if (namespace.channel) {
+      namespace.channel.onmessage = null;
+    }
+    
+    if (namespace.handleStorage) {
+      window.removeEventListener('storage', namespace.handleStorage);
+      namespace.handleStorage = null;
+    }
+  }
+}
+
+export { AsyncStorageInstance };
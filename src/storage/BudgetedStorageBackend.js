@@ -0,0 +1,294 @@
+/**
+ * BudgetedStorageBackend for Reactive chmlsh
+ * A backend wrapper that keeps the stored items under a size budget
+ */
+
+/**
+ * Get the size of a stored item
+ * Web Storage counts UTF-16 code units, so each character counts two bytes.
+ * @param {string} key - Stored key
+ * @param {string} value - Stored value
+ * @returns {number} Size in bytes
+ */
+function getItemSize(key, value) {
+  return (key.length + value.length) * 2;
+}
+
+/**
+ * Check if a key starts with one of several prefixes
+ * @param {string} key - Stored key
+ * @param {string[]} prefixes - Prefixes
+ * @returns {boolean} Whether the key has one of the prefixes
+ */
+function hasPrefix(key, prefixes) {
+  return prefixes.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Measure the items of a backend
+ * @param {Object} backend - Storage backend
+ * @param {string[]} prefixes - Prefixes of the keys to measure
+ * @returns {Promise<Map<string, number>>} Sizes in bytes by stored key
+ */
+async function measureBackend(backend, prefixes) {
+  const keys = (await backend.getAllKeys()).filter(key => hasPrefix(key, prefixes));
+  const values = await backend.multiGet(keys);
+  
+  return new Map(keys.map((key, index) => [
+    key,
+    values[index] === null ? 0 : getItemSize(key, values[index]),
+  ]));
+}
+
+/**
+ * Create the error of a write that does not fit in the budget
+ * @param {Object} info - Info with requiredBytes and budget
+ * @returns {Error} StorageBudgetError
+ */
+function createBudgetError({ budget, requiredBytes }) {
+  const error = new Error(
+    `AsyncStorage budget of ${budget} bytes exceeded, ${requiredBytes} bytes required`
+  );
+  error.name = 'StorageBudgetError';
+  error.budget = budget;
+  error.requiredBytes = requiredBytes;
+  return error;
+}
+
+/**
+ * BudgetedStorageBackend class
+ * Sizes are measured once and then tracked on every write through the wrapper,
+ * so writes made by other tabs are only seen after refreshSizes().
+ * Writes run one at a time, so concurrent writes are checked against the
+ * sizes left by the ones before them. The eviction policy runs outside of that
+ * queue, so it can read and write storage itself.
+ */
+class BudgetedStorageBackend {
+  /**
+   * Wrap a backend
+   * @param {Object} backend - Storage backend
+   * @param {Object} options - Budget options
+   * @param {number} options.budget - Maximum bytes of the items under the prefixes
+   * @param {string[]} options.prefixes - Prefixes of the keys counted in the budget
+   * @param {Function} options.evictionPolicy - Async function (info) returning stored keys to remove to make room
+   * @param {Function} options.onExceeded - Function (info) called before a write would exceed the budget
+   */
+  constructor(backend, options) {
+    this.backend = backend;
+    this.budget = options.budget;
+    this.prefixes = options.prefixes;
+    this.evictionPolicy = options.evictionPolicy || null;
+    this.onExceeded = options.onExceeded || (() => {});
+    this._sizes = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Value or null
+   */
+  getItem(key) {
+    return this.backend.getItem(key);
+  }
+
+  /**
+   * Set a value, if it fits in the budget
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @returns {Promise<void>}
+   */
+  setItem(key, value) {
+    return this._write([[key, value]], [], () => this.backend.setItem(key, value));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  removeItem(key) {
+    return this._enqueue(async () => {
+      await this.backend.removeItem(key);
+      this._record([], [key]);
+    });
+  }
+
+  /**
+   * Get every key
+   * @returns {Promise<string[]>} Keys
+   */
+  getAllKeys() {
+    return this.backend.getAllKeys();
+  }
+
+  /**
+   * Get several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<Array<string|null>>} Values in the order of the keys
+   */
+  multiGet(keys) {
+    return this.backend.multiGet(keys);
+  }
+
+  /**
+   * Set several values, if they fit in the budget
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  multiSet(keyValuePairs) {
+    return this._write(keyValuePairs, [], () => this.backend.multiSet(keyValuePairs));
+  }
+
+  /**
+   * Remove several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<void>}
+   */
+  multiRemove(keys) {
+    return this._enqueue(async () => {
+      await this.backend.multiRemove(keys);
+      this._record([], keys);
+    });
+  }
+
+  /**
+   * Set and remove several values, all or nothing, if they fit in the budget
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs to set
+   * @param {string[]} keysToRemove - Keys to remove
+   * @returns {Promise<void>}
+   */
+  writeBatch(keyValuePairs, keysToRemove) {
+    return this._write(keyValuePairs, keysToRemove, () => this.backend.writeBatch(keyValuePairs, keysToRemove));
+  }
+
+  /**
+   * Measure the stored items again
+   * Not queued behind the writes, so reads such as AsyncStorage.getUsage() never wait for them.
+   * @returns {Promise<Map<string, number>>} Sizes in bytes by stored key
+   */
+  async refreshSizes() {
+    this._sizes = await measureBackend(this.backend, this.prefixes);
+    return this._sizes;
+  }
+
+  /**
+   * Run a write after the writes before it
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueue(write) {
+    const run = this._writeQueue.then(write);
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write items if they fit in the budget, evicting items if needed
+   * @param {Array<Array<string>>} keyValuePairs - Pairs to set
+   * @param {string[]} keysToRemove - Keys to remove
+   * @param {Function} write - Async function doing the write on the wrapped backend
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(keyValuePairs, keysToRemove, write) {
+    const written = new Map();
+    
+    keyValuePairs.forEach(([key, value]) => written.set(key, getItemSize(key, String(value))));
+    keysToRemove.forEach(key => written.set(key, 0));
+    
+    const writeIfFits = async () => {
+      const info = await this._measure(written);
+      
+      if (info.requiredBytes > this.budget) {
+        return info;
+      }
+      
+      await write();
+      this._record(keyValuePairs, keysToRemove);
+      return null;
+    };
+    
+    const info = await this._enqueue(writeIfFits);
+    
+    if (!info) {
+      return;
+    }
+    
+    this.onExceeded(info);
+    
+    if (!this.evictionPolicy) {
+      throw createBudgetError(info);
+    }
+    
+    // Outside of the queue: a policy removing items through AsyncStorage would wait for this write otherwise
+    const keysToEvict = (await this.evictionPolicy(info)) || [];
+    
+    const remaining = await this._enqueue(async () => {
+      // Writes made meanwhile, including the policy's own, are already tracked
+      const evicted = keysToEvict.filter(key => this._sizes.has(key) && !written.has(key));
+      
+      if (evicted.length > 0) {
+        await this.backend.multiRemove(evicted);
+        this._record([], evicted);
+      }
+      
+      return writeIfFits();
+    });
+    
+    if (remaining) {
+      throw createBudgetError(remaining);
+    }
+  }
+
+  /**
+   * Compute the usage with and without pending writes
+   * @param {Map<string, number>} written - Sizes in bytes of the pending writes by stored key, 0 for removals
+   * @returns {Promise<Object>} Info with keys, usage, requiredBytes and budget
+   * @private
+   */
+  async _measure(written) {
+    if (!this._sizes) {
+      await this.refreshSizes();
+    }
+    
+    let usage = 0;
+    let requiredBytes = 0;
+    
+    this._sizes.forEach((size, key) => {
+      usage += size;
+      requiredBytes += written.has(key) ? 0 : size;
+    });
+    
+    written.forEach((size, key) => {
+      requiredBytes += hasPrefix(key, this.prefixes) ? size : 0;
+    });
+    
+    return {
+      keys: Array.from(written.keys()),
+      usage,
+      requiredBytes,
+      budget: this.budget,
+    };
+  }
+
+  /**
+   * Track the sizes of written items
+   * @param {Array<Array<string>>} keyValuePairs - Pairs set
+   * @param {string[]} keysRemoved - Keys removed
+   * @private
+   */
+  _record(keyValuePairs, keysRemoved) {
+    if (!this._sizes) {
+      return;
+    }
+    
+    keyValuePairs
+      .filter(([key]) => hasPrefix(key, this.prefixes))
+      .forEach(([key, value]) => this._sizes.set(key, getItemSize(key, String(value))));
+    keysRemoved.forEach(key => this._sizes.delete(key));
+  }
+}
+
+export { BudgetedStorageBackend, measureBackend };
@@ -0,0 +1,181 @@
+/**
+ * IndexedDBStorageBackend for Reactive chmlsh
+ * An AsyncStorage backend on top of IndexedDB, for larger and non-blocking storage
+ */
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ * @private
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDBStorageBackend class
+ * Operations on several keys run in one transaction, so they succeed or fail together.
+ */
+class IndexedDBStorageBackend {
+  /**
+   * Check if IndexedDB can be used in this environment
+   * @returns {boolean} Whether IndexedDB is available
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Create an IndexedDB backend
+   * @param {Object} options - Backend options
+   * @param {string} options.databaseName - Database name
+   * @param {string} options.storeName - Object store name
+   */
+  constructor(options = {}) {
+    this.databaseName = options.databaseName || 'ReactiveChmlsh';
+    this.storeName = options.storeName || 'keyValuePairs';
+    this._database = null;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Value or null
+   */
+  async getItem(key) {
+    const value = await this._transaction('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    await this._transaction('readwrite', store => store.put(String(value), key));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    await this._transaction('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Get every key
+   * @returns {Promise<string[]>} Keys
+   */
+  async getAllKeys() {
+    const keys = await this._transaction('readonly', store => store.getAllKeys());
+    return keys.map(String);
+  }
+
+  /**
+   * Get several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<Array<string|null>>} Values in the order of the keys
+   */
+  async multiGet(keys) {
+    const values = await this._transaction('readonly', store => keys.map(key => store.get(key)));
+    return values.map(value => (value === undefined ? null : value));
+  }
+
+  /**
+   * Set several values in one transaction
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  async multiSet(keyValuePairs) {
+    await this._transaction('readwrite', store => (
+      keyValuePairs.map(([key, value]) => store.put(String(value), key))
+    ));
+  }
+
+  /**
+   * Remove several values in one transaction
+   * @param {string[]} keys - Keys
+   * @returns {Promise<void>}
+   */
+  async multiRemove(keys) {
+    await this._transaction('readwrite', store => keys.map(key => store.delete(key)));
+  }
+
+  /**
+   * Set and remove several values in one transaction
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs to set
+   * @param {string[]} keysToRemove - Keys to remove
+   * @returns {Promise<void>}
+   */
+  async writeBatch(keyValuePairs, keysToRemove) {
+    await this._transaction('readwrite', store => [
+      ...keyValuePairs.map(([key, value]) => store.put(String(value), key)),
+      ...keysToRemove.map(key => store.delete(key)),
+    ]);
+  }
+
+  /**
+   * Open the database once
+   * @returns {Promise<IDBDatabase>} Database
+   * @private
+   */
+  _getDatabase() {
+    if (!this._database) {
+      const request = indexedDB.open(this.databaseName, 1);
+      
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      
+      this._database = promisifyRequest(request).then((database) => {
+        // Let other tabs upgrade the database; it is opened again on next use
+        database.onversionchange = () => {
+          database.close();
+          this._database = null;
+        };
+        
+        return database;
+      }, (error) => {
+        this._database = null;
+        throw error;
+      });
+    }
+    
+    return this._database;
+  }
+
+  /**
+   * Run requests in a transaction
+   * The requests must be made synchronously in the callback, before the transaction commits.
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Function (store) returning a request or an array of requests
+   * @returns {Promise<any>} Result, or array of results, once the transaction completed
+   * @private
+   */
+  async _transaction(mode, callback) {
+    const database = await this._getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const requests = callback(transaction.objectStore(this.storeName));
+      
+      transaction.oncomplete = () => {
+        resolve(Array.isArray(requests)
+          ? requests.map(request => request.result)
+          : requests.result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+}
+
+export { IndexedDBStorageBackend };
@@ -0,0 +1,132 @@
+/**
+ * LocalStorageBackend for Reactive chmlsh
+ * An AsyncStorage backend on top of the Web Storage API
+ */
+
+/**
+ * LocalStorageBackend class
+ * Web Storage is synchronous and limited to a few megabytes per origin.
+ */
+class LocalStorageBackend {
+  /**
+   * Check if localStorage can be used in this environment
+   * Some browsers throw on access, e.g. with cookies disabled.
+   * @returns {boolean} Whether localStorage is available
+   */
+  static isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a localStorage backend
+   * @param {Object} options - Backend options
+   * @param {Storage} options.storage - Storage to use instead of localStorage, e.g. sessionStorage
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Value or null
+   */
+  async getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * Get every key
+   * @returns {Promise<string[]>} Keys
+   */
+  async getAllKeys() {
+    const keys = [];
+    
+    for (let i = 0; i < this.storage.length; i++) {
+      keys.push(this.storage.key(i));
+    }
+    
+    return keys;
+  }
+
+  /**
+   * Get several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<Array<string|null>>} Values in the order of the keys
+   */
+  async multiGet(keys) {
+    return keys.map(key => this.storage.getItem(key));
+  }
+
+  /**
+   * Set several values
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  async multiSet(keyValuePairs) {
+    await this.writeBatch(keyValuePairs, []);
+  }
+
+  /**
+   * Remove several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<void>}
+   */
+  async multiRemove(keys) {
+    await this.writeBatch([], keys);
+  }
+
+  /**
+   * Set and remove several values, all or nothing
+   * Web Storage has no transactions, so the previous values are restored when
+   * a write fails, e.g. when the quota is exceeded.
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs to set
+   * @param {string[]} keysToRemove - Keys to remove
+   * @returns {Promise<void>}
+   */
+  async writeBatch(keyValuePairs, keysToRemove) {
+    const keys = [...keyValuePairs.map(([key]) => key), ...keysToRemove];
+    const previous = keys.map(key => [key, this.storage.getItem(key)]);
+    
+    try {
+      keyValuePairs.forEach(([key, value]) => this.storage.setItem(key, value));
+      keysToRemove.forEach(key => this.storage.removeItem(key));
+    } catch (error) {
+      // Restore in reverse order, so a key written twice gets its oldest value
+      previous.reverse().forEach(([key, value]) => {
+        if (value === null) {
+          this.storage.removeItem(key);
+        } else {
+          this.storage.setItem(key, value);
+        }
+      });
+      
+      throw error;
+    }
+  }
+}
+
+export { LocalStorageBackend };
@@ -0,0 +1,104 @@
+/**
+ * MemoryStorageBackend for Reactive chmlsh
+ * An AsyncStorage backend keeping values in memory, e.g. for Node and tests
+ */
+
+/**
+ * MemoryStorageBackend class
+ * Values are lost when the page reloads.
+ */
+class MemoryStorageBackend {
+  /**
+   * Check if the backend can be used in this environment
+   * @returns {boolean} Always true
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Create a memory backend
+   */
+  constructor() {
+    this._values = new Map();
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Value or null
+   */
+  async getItem(key) {
+    return this._values.has(key) ? this._values.get(key) : null;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    this._values.set(key, String(value));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    this._values.delete(key);
+  }
+
+  /**
+   * Get every key
+   * @returns {Promise<string[]>} Keys
+   */
+  async getAllKeys() {
+    return Array.from(this._values.keys());
+  }
+
+  /**
+   * Get several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<Array<string|null>>} Values in the order of the keys
+   */
+  async multiGet(keys) {
+    return keys.map(key => (this._values.has(key) ? this._values.get(key) : null));
+  }
+
+  /**
+   * Set several values
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  async multiSet(keyValuePairs) {
+    await this.writeBatch(keyValuePairs, []);
+  }
+
+  /**
+   * Remove several values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<void>}
+   */
+  async multiRemove(keys) {
+    await this.writeBatch([], keys);
+  }
+
+  /**
+   * Set and remove several values, all or nothing
+   * @param {Array<Array<string>>} keyValuePairs - Array of [key, value] pairs to set
+   * @param {string[]} keysToRemove - Keys to remove
+   * @returns {Promise<void>}
+   */
+  async writeBatch(keyValuePairs, keysToRemove) {
+    // Convert every value first, so that a failing conversion writes nothing
+    const entries = keyValuePairs.map(([key, value]) => [key, String(value)]);
+    
+    entries.forEach(([key, value]) => this._values.set(key, value));
+    keysToRemove.forEach(key => this._values.delete(key));
+  }
+}
+
+export { MemoryStorageBackend };
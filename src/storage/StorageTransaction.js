@@ -0,0 +1,173 @@
+/**
+ * StorageTransaction for Reactive chmlsh
+ * Writes buffered by AsyncStorage.transaction() and committed all or nothing
+ */
+
+import { parseJSONValue, serializeJSONValue } from './jsonValues';
+
+/**
+ * StorageTransaction class
+ * Reads see the transaction's own writes. Nothing is written to the backend
+ * until the transaction callback resolves.
+ */
+class StorageTransaction {
+  /**
+   * Create a transaction
+   * @param {Object} backend - Storage backend with getItem and writeBatch
+   * @param {Object} options - Transaction options
+   * @param {string} options.prefix - Prefix of the stored keys
+   * @param {Function} options.readValue - Function (raw) returning the value of a stored string, or null
+   * @param {Function} options.writeValue - Function (value, itemOptions) returning the string to store
+   */
+  constructor(backend, options) {
+    this._backend = backend;
+    this._prefix = options.prefix;
+    this._readValue = options.readValue || (raw => raw);
+    this._writeValue = options.writeValue || (value => String(value));
+    this._writes = new Map();
+    this._done = false;
+  }
+
+  /**
+   * Get an item, as written by this transaction if it was
+   * @param {string} key - Key to get
+   * @returns {Promise<string|null>} Value or null if not found
+   */
+  async getItem(key) {
+    this._assertActive();
+    
+    if (this._writes.has(key)) {
+      return this._writes.get(key).value;
+    }
+    
+    return this._readValue(await this._backend.getItem(this._prefix + key));
+  }
+
+  /**
+   * Set an item when the transaction commits
+   * @param {string} key - Key to set
+   * @param {string} value - Value to store
+   * @param {Object} options - Item options, e.g. ttl for storage instances
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value, options = {}) {
+    this._assertActive();
+    this._writes.set(key, {
+      value: String(value),
+      raw: this._writeValue(value, options),
+    });
+  }
+
+  /**
+   * Remove an item when the transaction commits
+   * @param {string} key - Key to remove
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    this._assertActive();
+    this._writes.set(key, { value: null, raw: null });
+  }
+
+  /**
+   * Merge an existing item with a new value when the transaction commits
+   * @param {string} key - Key to merge
+   * @param {string} value - Value to merge
+   * @param {Object} options - Item options
+   * @returns {Promise<void>}
+   */
+  async mergeItem(key, value, options = {}) {
+    const existingValue = await this.getItem(key);
+    let mergedValue = value;
+    
+    if (existingValue) {
+      try {
+        mergedValue = JSON.stringify({ ...JSON.parse(existingValue), ...JSON.parse(value) });
+      } catch (parseError) {
+        // If not JSON, just overwrite
+      }
+    }
+    
+    await this.setItem(key, mergedValue, options);
+  }
+
+  /**
+   * Get a JSON item
+   * @param {string} key - Key to get
+   * @param {Object} options - Options
+   * @param {Function|Object} options.schema - Schema the value must match
+   * @returns {Promise<any>} Value or null if not found
+   */
+  async getJSON(key, options = {}) {
+    return parseJSONValue(key, await this.getItem(key), options.schema);
+  }
+
+  /**
+   * Set a JSON item when the transaction commits
+   * @param {string} key - Key to set
+   * @param {any} value - Value to store
+   * @param {Object} options - Item options
+   * @param {Function|Object} options.schema - Schema the value must match
+   * @returns {Promise<void>}
+   */
+  async setJSON(key, value, options = {}) {
+    await this.setItem(key, serializeJSONValue(key, value, options.schema), options);
+  }
+
+  /**
+   * Write the buffered changes to the backend
+   * @returns {Promise<Array<Array<string|null>>>} Changed [key, value] pairs, value null when removed
+   * @private
+   */
+  async _commit() {
+    this._assertActive();
+    this._done = true;
+    
+    const changes = Array.from(this._writes.entries());
+    const keyValuePairs = changes
+      .filter(([, write]) => write.raw !== null)
+      .map(([key, write]) => [this._prefix + key, write.raw]);
+    const keysToRemove = changes
+      .filter(([, write]) => write.raw === null)
+      .map(([key]) => this._prefix + key);
+    
+    if (changes.length > 0) {
+      await this._backend.writeBatch(keyValuePairs, keysToRemove);
+    }
+    
+    return changes.map(([key, write]) => [key, write.value]);
+  }
+
+  /**
+   * Create the error of a transaction started while the callback of another one runs
+   * @returns {Error} Error named NestedTransactionError
+   */
+  static nestedError() {
+    const error = new Error(
+      'AsyncStorage transaction started while another transaction callback is running. ' +
+      'A transaction started from a callback would wait for that callback forever, use the transaction object passed to it instead.'
+    );
+    error.name = 'NestedTransactionError';
+    return error;
+  }
+
+  /**
+   * Discard the buffered changes
+   * @private
+   */
+  _abort() {
+    this._done = true;
+    this._writes.clear();
+  }
+
+  /**
+   * Throw if the transaction already committed or aborted
+   * @private
+   */
+  _assertActive() {
+    if (this._done) {
+      throw new Error('AsyncStorage transaction is already finished');
+    }
+  }
+}
+
+export { StorageTransaction };
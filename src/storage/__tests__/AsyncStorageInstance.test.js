@@ -0,0 +1,131 @@
+import { AsyncStorage } from '../../AsyncStorage';
+
+describe('AsyncStorageInstance', () => {
+  beforeEach(() => {
+    AsyncStorage.configure({ backend: 'memory', budget: null, evictionPolicy: null });
+  });
+
+  it('rejects namespaces containing ":"', () => {
+    expect(() => AsyncStorage.createInstance({ namespace: 'a:b' })).toThrow('cannot contain ":"');
+  });
+
+  it('keeps its keys apart from other namespaces', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    const ab = AsyncStorage.createInstance({ namespace: 'ab' });
+    await a.setItem('k', '1');
+    await ab.setItem('k', '2');
+
+    await a.clear();
+
+    expect(await ab.getItem('k')).toBe('2');
+    expect(await ab.getAllKeys()).toEqual(['k']);
+  });
+
+  it('keeps its keys apart from AsyncStorage keys', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    await AsyncStorage.setItem('a:k', 'global');
+    await a.setItem('k', 'instance');
+
+    await a.clear();
+
+    expect(await AsyncStorage.getItem('a:k')).toBe('global');
+    expect(await AsyncStorage.getAllKeys()).toEqual(['a:k']);
+  });
+
+  it('leaves every key to AsyncStorage, including keys starting with "#"', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    await AsyncStorage.setItem('#a:k', 'global');
+    await a.setItem('k', 'instance');
+
+    expect(await AsyncStorage.getItem('#a:k')).toBe('global');
+    expect(await AsyncStorage.getAllKeys()).toEqual(['#a:k']);
+
+    await AsyncStorage.removeItem('#a:k');
+
+    expect(await AsyncStorage.getItem('#a:k')).toBeNull();
+    expect(await a.getItem('k')).toBe('instance');
+  });
+
+  it('expires values after their ttl', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    await a.setItem('k', 'v', { ttl: -1 });
+
+    expect(await a.getItem('k')).toBeNull();
+  });
+
+  it('notifies subscribers when an expired value is removed on read', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    const listener = jest.fn();
+    await a.setItem('k', 'v', { ttl: -1 });
+    await a.setItem('j', 'v', { ttl: -1 });
+    const unsubscribeK = a.subscribe('k', listener);
+    const unsubscribeJ = a.subscribe('j', listener);
+
+    await a.getItem('k');
+    await a.multiGet(['j']);
+
+    expect(listener.mock.calls).toEqual([[null, 'k'], [null, 'j']]);
+    unsubscribeK();
+    unsubscribeJ();
+  });
+
+  it('posts changes on one channel per namespace', async () => {
+    const OriginalBroadcastChannel = global.BroadcastChannel;
+    const created = [];
+    global.BroadcastChannel = class extends OriginalBroadcastChannel {
+      constructor(name) {
+        super(name);
+        created.push(this);
+      }
+    };
+
+    try {
+      const a = AsyncStorage.createInstance({ namespace: 'channels' });
+      await a.setItem('k', '1');
+      await a.setItem('k', '2');
+      const unsubscribe = a.subscribe('k', () => {});
+      await a.setItem('k', '3');
+      unsubscribe();
+      await a.removeItem('k');
+
+      expect(created).toHaveLength(1);
+    } finally {
+      global.BroadcastChannel = OriginalBroadcastChannel;
+    }
+  });
+
+  it('rejects a transaction started from the callback of another one', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+
+    await expect(a.transaction(async (tx) => {
+      await tx.setItem('k', 'outer');
+      await a.transaction(inner => inner.setItem('k', 'inner'));
+    })).rejects.toMatchObject({ name: 'NestedTransactionError' });
+
+    expect(await a.getItem('k')).toBeNull();
+  }, 1000);
+
+  it('lets subscribers start transactions once the writes are stored', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    const copied = new Promise((resolve) => {
+      const unsubscribe = a.subscribe('k', (value) => {
+        unsubscribe();
+        resolve(a.transaction(tx => tx.setItem('copy', value)));
+      });
+    });
+
+    await a.transaction(tx => tx.setItem('k', 'v'));
+    await copied;
+
+    expect(await a.getItem('copy')).toBe('v');
+  });
+
+  it('is cleared with AsyncStorage.clear()', async () => {
+    const a = AsyncStorage.createInstance({ namespace: 'a' });
+    await a.setItem('k', 'v');
+
+    await AsyncStorage.clear();
+
+    expect(await a.getItem('k')).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+import { AsyncStorage } from '../../AsyncStorage';
+import { MemoryStorageBackend } from '../MemoryStorageBackend';
+import { LocalStorageBackend } from '../LocalStorageBackend';
+import { IndexedDBStorageBackend } from '../IndexedDBStorageBackend';
+
+// Minimal Web Storage with an optional quota in characters
+class FakeStorage {
+  constructor(quota = Infinity) {
+    this.quota = quota;
+    this.values = new Map();
+  }
+
+  get length() {
+    return this.values.size;
+  }
+
+  key(index) {
+    return Array.from(this.values.keys())[index];
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const used = Array.from(this.values.entries())
+      .filter(([k]) => k !== key)
+      .reduce((total, [k, v]) => total + k.length + v.length, 0);
+
+    if (used + key.length + String(value).length > this.quota) {
+      const error = new Error('The quota has been exceeded.');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+}
+
+describe.each([
+  ['MemoryStorageBackend', () => new MemoryStorageBackend()],
+  ['LocalStorageBackend', () => new LocalStorageBackend({ storage: new FakeStorage() })],
+])('%s', (_, createBackend) => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createBackend();
+  });
+
+  it('stores, reads and removes values', async () => {
+    await backend.setItem('a', '1');
+
+    expect(await backend.getItem('a')).toBe('1');
+    expect(await backend.getItem('missing')).toBeNull();
+
+    await backend.removeItem('a');
+    expect(await backend.getAllKeys()).toEqual([]);
+  });
+
+  it('reads and writes several values', async () => {
+    await backend.multiSet([['a', '1'], ['b', '2']]);
+    await backend.writeBatch([['c', '3']], ['a']);
+
+    expect(await backend.multiGet(['a', 'b', 'c'])).toEqual([null, '2', '3']);
+
+    await backend.multiRemove(['b', 'c']);
+    expect(await backend.getAllKeys()).toEqual([]);
+  });
+});
+
+describe('LocalStorageBackend', () => {
+  it('restores the previous values when a batch exceeds the quota', async () => {
+    const storage = new FakeStorage(10);
+    const backend = new LocalStorageBackend({ storage });
+    await backend.setItem('a', '1');
+
+    await expect(backend.writeBatch([['a', '2'], ['b', 'too long']], [])).rejects.toMatchObject({
+      name: 'QuotaExceededError',
+    });
+
+    expect(await backend.multiGet(['a', 'b'])).toEqual(['1', null]);
+  });
+});
+
+describe('AsyncStorage backends', () => {
+  afterEach(() => {
+    AsyncStorage.configure({ backend: 'memory' });
+  });
+
+  it('uses a backend configured by name', () => {
+    AsyncStorage.configure({ backend: 'memory' });
+
+    expect(AsyncStorage.getBackend()).toBeInstanceOf(MemoryStorageBackend);
+  });
+
+  it('falls back to memory when the backend is not supported', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(IndexedDBStorageBackend.isAvailable()).toBe(false);
+    AsyncStorage.configure({ backend: 'indexedDB' });
+
+    expect(AsyncStorage.getBackend()).toBeInstanceOf(MemoryStorageBackend);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('uses a custom backend object', async () => {
+    const backend = new LocalStorageBackend({ storage: new FakeStorage() });
+    AsyncStorage.configure({ backend });
+
+    await AsyncStorage.setItem('theme', 'dark');
+
+    expect(await AsyncStorage.getItem('theme')).toBe('dark');
+    expect(await backend.getAllKeys()).toHaveLength(1);
+  });
+
+  it('rejects unknown backend names', () => {
+    expect(() => AsyncStorage.configure({ backend: 'floppy' })).toThrow('Unknown AsyncStorage backend: floppy');
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Storage backend exports for Reactive chmlsh
+ */
+
+import { MemoryStorageBackend } from './MemoryStorageBackend';
+import { LocalStorageBackend } from './LocalStorageBackend';
+import { IndexedDBStorageBackend } from './IndexedDBStorageBackend';
+import { AsyncStorageInstance } from './AsyncStorageInstance';
+import { StorageTransaction } from './StorageTransaction';
+import { BudgetedStorageBackend, measureBackend } from './BudgetedStorageBackend';
+
+export {
+  MemoryStorageBackend,
+  LocalStorageBackend,
+  IndexedDBStorageBackend,
+  AsyncStorageInstance,
+  StorageTransaction,
+  BudgetedStorageBackend,
+  measureBackend
+};
@@ -0,0 +1,76 @@
+/**
+ * JSON value helpers for Reactive chmlsh storage
+ * Serialization and schema validation shared by getJSON and setJSON
+ */
+
+/**
+ * Validate a value against a schema
+ * A schema is either a validator function returning an error message (or false)
+ * when the value is invalid, like the form validators, or an object with a
+ * parse method returning the value or throwing, e.g. a zod schema.
+ * @param {string} key - Storage key, for the error
+ * @param {any} value - Value
+ * @param {Function|Object} schema - Schema
+ * @returns {any} Validated value
+ * @private
+ */
+function validate(key, value, schema) {
+  if (!schema) {
+    return value;
+  }
+  
+  let message;
+  let cause;
+  let result = value;
+  
+  if (typeof schema.parse === 'function') {
+    try {
+      result = schema.parse(value);
+    } catch (error) {
+      message = error.message;
+      cause = error;
+    }
+  } else {
+    const outcome = schema(value);
+    
+    if (outcome === false || typeof outcome === 'string') {
+      message = outcome || 'Invalid value';
+    }
+  }
+  
+  if (message !== undefined) {
+    const error = new Error(`AsyncStorage value for "${key}" is invalid: ${message}`);
+    error.name = 'StorageValidationError';
+    error.key = key;
+    error.cause = cause;
+    throw error;
+  }
+  
+  return result;
+}
+
+/**
+ * Parse a stored JSON value
+ * @param {string} key - Storage key
+ * @param {string|null} raw - Stored string
+ * @param {Function|Object} schema - Optional schema
+ * @returns {any} Value, or null when nothing is stored
+ */
+export function parseJSONValue(key, raw, schema) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  
+  return validate(key, JSON.parse(raw), schema);
+}
+
+/**
+ * Serialize a value to store as JSON
+ * @param {string} key - Storage key
+ * @param {any} value - Value
+ * @param {Function|Object} schema - Optional schema
+ * @returns {string} JSON string
+ */
+export function serializeJSONValue(key, value, schema) {
+  return JSON.stringify(validate(key, value, schema));
+}